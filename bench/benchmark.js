@@ -0,0 +1,52 @@
+"use strict";
+
+/**
+ * Times parsing, reviewing and rendering generated plans of growing size,
+ *  to show how the time scales with the number of resources.
+ *
+ *  node bench/benchmark.js [units...]
+ */
+
+const PLAN_REVIEWER = require("../lib/PlanReviewer");
+const generatePlan = require("./generatePlan");
+
+const DEFAULT_SIZES = [500, 1000, 2000, 4000, 8000];
+
+/**
+ * @param {function} fn
+ * @returns {object} { result, ms }
+ */
+function time(fn) {
+    let start = process.hrtime.bigint();
+    let result = fn();
+    return {
+        result: result,
+        ms: Number(process.hrtime.bigint() - start) / 1e6
+    };
+}
+
+let sizes = (process.argv.length > 2) ? process.argv.slice(2).map(Number) : DEFAULT_SIZES;
+let rows = [["resources", "plan MB", "parse ms", "review ms", "render ms", "us/resource"]];
+sizes.forEach((units) => {
+    let text = JSON.stringify(generatePlan(units));
+    let reviewer = new PLAN_REVIEWER();
+    let renderer = reviewer.getRenderer("terminal", { color: false });
+    let parsed = time(() => JSON.parse(text));
+    let reviewed = time(() => reviewer.review(parsed.result));
+    let rendered = time(() => renderer.render(reviewed.result));
+    let resources = parsed.result.resource_changes.length;
+    let total = parsed.ms + reviewed.ms + rendered.ms;
+    rows.push([
+        resources,
+        (text.length / 1024 / 1024).toFixed(1),
+        parsed.ms.toFixed(0),
+        reviewed.ms.toFixed(0),
+        rendered.ms.toFixed(0),
+        (total * 1000 / resources).toFixed(0)
+    ].map(String));
+});
+
+let widths = rows[0].map((title, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+rows.forEach((row) => {
+    console.log(row.map((cell, i) => String(cell).padStart(widths[i])).join("  "));
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * Generates synthetic plan JSON of a given size for benchmarking.  Resources
+ *  are spread over instances of a module, and each unit has a bucket policy
+ *  whose policy is (known after apply) but predicted from the policy
+ *  document it references, plus an instance with a changed tag, so reviews
+ *  exercise the configuration and planned_values lookups.
+ *
+ *  node bench/generatePlan.js <units> [unitsPerModule] > plan.json
+ */
+
+/**
+ * @param {number} units number of policy/instance pairs
+ * @param {number} [unitsPerModule] pairs per module instance
+ * @returns {object} plan JSON
+ */
+function generatePlan(units, unitsPerModule = 50) {
+    let plan = {
+        format_version: "1.2",
+        terraform_version: "1.6.0",
+        planned_values: { root_module: { child_modules: [] } },
+        resource_changes: [],
+        configuration: {
+            root_module: {
+                module_calls: {
+                    svc: { source: "./svc", module: { resources: [] } }
+                }
+            }
+        }
+    };
+
+    let configResources = plan.configuration.root_module.module_calls.svc.module.resources;
+    for(let j=0; j<Math.min(units, unitsPerModule); j++) {
+        configResources.push({
+            address: `aws_s3_bucket_policy.p${j}`,
+            mode: "managed",
+            type: "aws_s3_bucket_policy",
+            name: `p${j}`,
+            expressions: {
+                bucket: { constant_value: `bucket-${j}` },
+                policy: { references: [`data.aws_iam_policy_document.doc${j}.json`, `data.aws_iam_policy_document.doc${j}`] }
+            }
+        });
+        configResources.push({ address: `data.aws_iam_policy_document.doc${j}`, mode: "data", type: "aws_iam_policy_document", name: `doc${j}`, expressions: {} });
+        configResources.push({ address: `aws_instance.web${j}`, mode: "managed", type: "aws_instance", name: `web${j}`, expressions: {} });
+    }
+
+    let moduleCount = Math.ceil(units / unitsPerModule);
+    for(let m=0; m<moduleCount; m++) {
+        let moduleAddress = `module.svc["m${m}"]`;
+        let plannedModule = { address: moduleAddress, resources: [] };
+        plan.planned_values.root_module.child_modules.push(plannedModule);
+
+        for(let j=0; j<unitsPerModule && m * unitsPerModule + j < units; j++) {
+            let policy = JSON.stringify({
+                Version: "2012-10-17",
+                Statement: [{ Effect: "Allow", Action: "s3:GetObject", Resource: `arn:aws:s3:::bucket-${m}-${j}/*` }]
+            });
+            plannedModule.resources.push({
+                address: `${moduleAddress}.data.aws_iam_policy_document.doc${j}`,
+                mode: "data",
+                type: "aws_iam_policy_document",
+                name: `doc${j}`,
+                values: { json: policy },
+                sensitive_values: {}
+            });
+            plannedModule.resources.push({
+                address: `${moduleAddress}.aws_s3_bucket_policy.p${j}`,
+                mode: "managed",
+                type: "aws_s3_bucket_policy",
+                name: `p${j}`,
+                values: { bucket: `bucket-${m}-${j}` },
+                sensitive_values: {}
+            });
+            plan.resource_changes.push({
+                address: `${moduleAddress}.aws_s3_bucket_policy.p${j}`,
+                module_address: moduleAddress,
+                mode: "managed",
+                type: "aws_s3_bucket_policy",
+                name: `p${j}`,
+                change: {
+                    actions: ["update"],
+                    before: { bucket: `bucket-${m}-${j}`, policy: policy },
+                    after: { bucket: `bucket-${m}-${j}` },
+                    after_unknown: { policy: true },
+                    before_sensitive: {},
+                    after_sensitive: {}
+                }
+            });
+            plan.resource_changes.push({
+                address: `${moduleAddress}.aws_instance.web${j}`,
+                module_address: moduleAddress,
+                mode: "managed",
+                type: "aws_instance",
+                name: `web${j}`,
+                change: {
+                    actions: ["update"],
+                    before: { ami: "ami-123", instance_type: "t3.micro", tags: { Name: `web-${m}-${j}`, Build: "1" } },
+                    after: { ami: "ami-123", instance_type: "t3.micro", tags: { Name: `web-${m}-${j}`, Build: "2" } },
+                    after_unknown: {},
+                    before_sensitive: {},
+                    after_sensitive: {}
+                }
+            });
+        }
+    }
+    return plan;
+}
+
+module.exports = generatePlan;
+
+if(require.main === module) {
+    let units = Number(process.argv[2]);
+    let unitsPerModule = (process.argv[3] === undefined) ? undefined : Number(process.argv[3]);
+    if(!Number.isInteger(units) || units < 1) {
+        process.stderr.write("Usage: node bench/generatePlan.js <units> [unitsPerModule] > plan.json\n");
+        process.exit(1);
+    }
+    process.stdout.write(JSON.stringify(generatePlan(units, unitsPerModule)));
+}
@@ -1,14 +1,16 @@
+#!/usr/bin/env node
 "use strict";
 
-const PATH = require("path");    
-const PLAN_REVIEWER = require("./lib/PlanReviewer"); 
+const CLI = require("./lib/Cli");
 
-let main = function() {   
+// output is written as the plan is reviewed; stop quietly when it's piped into e.g. head that exits early
+process.stdout.on("error", (error) => {
+    if(error.code !== "EPIPE") throw error;
+    process.exit();
+});
 
-    let fileName = (process.argv.length < 3) ? "plan.json" : process.argv[2];     
-    let planFile = PATH.join(process.cwd(), fileName);    
-    let reviewer = new PLAN_REVIEWER();
-    reviewer.process(planFile);
+let main = async function() {
+    process.exitCode = await new CLI().run(process.argv.slice(2));
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * Parses Terraform resource addresses such as
+ *  module.a["key"].module.b.data.aws_iam_policy_document.x[0]
+ *  into their module path and resource parts.  Instance keys may be
+ *  numbers (count) or quoted strings (for_each) holding any character.
+ */
+class AddressParser {
+
+    constructor() {
+        this.MODES = {
+            "data": "data",
+            "ephemeral": "ephemeral"
+        };
+    }
+
+    /**
+     * @param {string} address
+     * @returns {object} {
+     *      modules: [{ name, index }],   module path from the root, index is undefined when not indexed
+     *      mode: "managed" | "data" | "ephemeral",
+     *      type, name, index,
+     *      moduleAddress,    e.g. module.a["key"].module.b; "" for the root module
+     *      relativeAddress,  resource address within its module, with instance key
+     *      configAddress     resource address within its module as listed in configuration
+     *  }
+     * @memberof AddressParser
+     */
+    parse(address) {
+        let steps = this.readSteps(address);
+        let modules = [];
+        let i = 0;
+        while(i + 1 < steps.length && steps[i].name === "module" && steps[i].index === undefined) {
+            modules.push({ name: steps[i + 1].name, index: steps[i + 1].index });
+            i += 2;
+        }
+
+        let mode = "managed";
+        if(this.MODES[steps[i] && steps[i].name] !== undefined && steps.length - i === 3) {
+            mode = this.MODES[steps[i].name];
+            i++;
+        }
+        if(steps.length - i !== 2 || steps[i].index !== undefined) throw new Error(`Invalid resource address [${address}]`);
+
+        let type = steps[i].name;
+        let name = steps[i + 1].name;
+        let index = steps[i + 1].index;
+        let configAddress = (mode === "managed") ? `${type}.${name}` : `${mode}.${type}.${name}`;
+        return {
+            modules: modules,
+            mode: mode,
+            type: type,
+            name: name,
+            index: index,
+            moduleAddress: this.formatModuleAddress(modules),
+            relativeAddress: `${configAddress}${this.formatIndex(index)}`,
+            configAddress: configAddress
+        };
+    }
+
+    /**
+     * Splits a configuration reference such as data.template_file.x[0].rendered
+     *  or aws_s3_bucket.logs.tags["Name"] into the resource address within the
+     *  module and the attribute path below it
+     *
+     * @param {string} reference
+     * @returns {object|null} { address, path }, or null when the reference isn't
+     *      to a resource (var, local, module, each, ...)
+     * @memberof AddressParser
+     */
+    parseReference(reference) {
+        let steps = this.readSteps(reference);
+        if(["var", "local", "module", "path", "each", "count", "self", "terraform"].includes(steps[0].name)) return null;
+        let addressLength = (this.MODES[steps[0].name] !== undefined) ? 3 : 2;
+        if(steps.length < addressLength || steps[addressLength - 2].index !== undefined) return null;
+
+        let resource = steps[addressLength - 1];
+        let address = steps.slice(0, addressLength).map((step) => step.name).join(".");
+        let path = [];
+        if(resource.index !== undefined) address = `${address}${this.formatIndex(resource.index)}`;
+        steps.slice(addressLength).forEach((step) => {
+            path.push(step.name);
+            if(step.index !== undefined) path.push(step.index);
+        });
+        return {
+            address: address,
+            path: path
+        };
+    }
+
+    /**
+     * Reads the dot separated name[index] steps of an address
+     *
+     * @param {string} text
+     * @returns {object[]} [{ name, index }]
+     * @memberof AddressParser
+     */
+    readSteps(text) {
+        if(typeof text !== "string" || text.length === 0) throw new Error(`Invalid resource address [${text}]`);
+        let state = { text: text, position: 0 };
+        let steps = [];
+        while(state.position < text.length) {
+            let name = this.readName(state);
+            let index = this.readIndex(state);
+            steps.push({ name: name, index: index });
+            if(state.position < text.length) this.expect(state, ".");
+        }
+        return steps;
+    }
+
+    /**
+     * Formats a module path as a module instance address
+     *
+     * @param {object[]} modules [{ name, index }]
+     * @returns {string} "" for the root module
+     * @memberof AddressParser
+     */
+    formatModuleAddress(modules) {
+        return modules.map((module) => `module.${module.name}${this.formatIndex(module.index)}`).join(".");
+    }
+
+    /**
+     * @param {number|string|undefined} index
+     * @returns {string} [0], ["key"] or nothing
+     * @memberof AddressParser
+     */
+    formatIndex(index) {
+        if(index === undefined) return "";
+        return (typeof index === "number") ? `[${index}]` : `[${JSON.stringify(index)}]`;
+    }
+
+    /**
+     * @param {object} state { text, position }
+     * @returns {string}
+     * @memberof AddressParser
+     */
+    readName(state) {
+        let match = /^[A-Za-z_][\w-]*/.exec(state.text.substring(state.position));
+        if(match === null) throw new Error(`Invalid resource address [${state.text}]: expected a name at position ${state.position}`);
+        state.position += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Reads an optional [0] or ["key"] instance key
+     *
+     * @param {object} state { text, position }
+     * @returns {number|string|undefined}
+     * @memberof AddressParser
+     */
+    readIndex(state) {
+        if(state.text[state.position] !== "[") return undefined;
+        state.position++;
+        let rest = state.text.substring(state.position);
+        let index;
+        let number = /^\d+/.exec(rest);
+        if(number !== null) {
+            index = Number(number[0]);
+            state.position += number[0].length;
+        }
+        else {
+            let quoted = /^"(?:[^"\\]|\\.)*"/.exec(rest);
+            if(quoted === null) throw new Error(`Invalid resource address [${state.text}]: bad instance key at position ${state.position}`);
+            index = JSON.parse(quoted[0]);
+            state.position += quoted[0].length;
+        }
+        this.expect(state, "]");
+        return index;
+    }
+
+    /**
+     * @param {object} state { text, position }
+     * @param {string} character
+     * @memberof AddressParser
+     */
+    expect(state, character) {
+        if(state.text[state.position] !== character) {
+            throw new Error(`Invalid resource address [${state.text}]: expected "${character}" at position ${state.position}`);
+        }
+        state.position++;
+    }
+}
+
+module.exports = AddressParser;
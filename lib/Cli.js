@@ -0,0 +1,547 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const COLOR_SUPPORT = require("./ColorSupport");
+const PLAN_REVIEWER = require("./PlanReviewer");
+const REVIEW_SESSION = require("./ReviewSession");
+const INTERACTIVE_REVIEW = require("./InteractiveReview");
+const TERRAFORM_SHOW = require("./TerraformShow");
+
+class Cli {
+
+    /**
+     * @param {object} [io] streams and working directory; defaults to the current process
+     */
+    constructor(io = {}) {
+        this.FS = require("fs");
+        this.PATH = require("path");
+        this.CRYPTO = require("crypto");
+
+        this.stdin = io.stdin || process.stdin;
+        this.stdout = io.stdout || process.stdout;
+        this.stderr = io.stderr || process.stderr;
+        this.cwd = io.cwd || process.cwd();
+        this.env = io.env || process.env;
+
+        this.DEFAULT_PLAN_FILE = "plan.json";
+        this.DEFAULT_CONFIG_FILE = ".tfreviewrc.json";
+        this.STDIN_FILE = "-";
+
+        this.EXIT_CODES = {
+            NO_CHANGES: 0,
+            ERROR: 1,
+            CHANGES: 2,
+            DESTROYS: 3,
+            FINDINGS: 4
+        };
+
+        this.HELP = [
+            "Usage: tfreview [options] [plan_file]",
+            "",
+            "Reviews the JSON output of `terraform show -json <plan>` and prints a simplified diff.",
+            "The plan is read from stdin when piped or redirected in, or when the file is \"-\";",
+            `otherwise the file defaults to ${this.DEFAULT_PLAN_FILE} in the current directory.`,
+            "A binary plan file, as written by `terraform plan -out`, is run through `terraform show -json` first.",
+            "",
+            "Options:",
+            "  --format=<format>   output format: terminal (default), json, markdown, html",
+            "  --out=<file>        write the output to a file instead of stdout",
+            "  --compare=<file>    report how the plan differs from a previously reviewed plan JSON file",
+            `  --config=<file>     review settings; defaults to ${this.DEFAULT_CONFIG_FILE} when present`,
+            "  --terraform=<path>  terraform binary for binary plans; defaults to $TFREVIEW_TERRAFORM, then terraform on PATH",
+            "  --theme=<theme>     terminal theme: default, colorblind, terraform, or a theme JSON file",
+            "  --include=<glob>    only show resources whose address matches; repeatable",
+            "  --exclude=<glob>    hide resources whose address matches; repeatable",
+            "  --type=<glob>       only show resources of matching types; repeatable",
+            "  --module=<module>   only show resources in the module or its children; \"root\" for the root module",
+            "  --action=<action>   only show create, update, delete, replace, read, forget, import or move changes",
+            "  --group-by=<key>    group resources by module, type or action, with subtotals",
+            "  --order=<order>     list resources in plan order (default) or by dependencies",
+            "  --graph=<format>    print the dependencies between the changes as dot or mermaid instead",
+            "  --refresh-only      review a plan made with -refresh-only: only changes outside of Terraform",
+            "  --explain           show the upstream changes each (known after apply) value depends on",
+            "  --impact            end with the changes counted per resource type and module",
+            "  --pricing=<file>    pricing table JSON to estimate the monthly cost delta with; implies --impact",
+            "  -i, --interactive   step through the changes, marking each reviewed or flagged with a comment",
+            "  --session=<file>    review session file; defaults to the plan file name plus .review.json",
+            "  --reviewer=<name>   name recorded with review marks; defaults to $USER",
+            "  --signoff           print the sign-off report of the review session as Markdown",
+            `  --fail-on=<level>   exit ${this.EXIT_CODES.FINDINGS} on risk findings this severe or worse (${CONSTANTS.SEVERITIES.join(", ")})`,
+            "  --color             force colored terminal output",
+            "  --no-color          disable colored terminal output",
+            "  -h, --help          show this help",
+            "",
+            "Exit codes:",
+            `  ${this.EXIT_CODES.NO_CHANGES}  no changes`,
+            `  ${this.EXIT_CODES.ERROR}  error`,
+            `  ${this.EXIT_CODES.CHANGES}  changes present (with --refresh-only: changes outside of Terraform)`,
+            `  ${this.EXIT_CODES.DESTROYS}  changes present, including destroys`,
+            `  ${this.EXIT_CODES.FINDINGS}  risk findings at or above the --fail-on severity`,
+            `  With --compare, ${this.EXIT_CODES.NO_CHANGES} means both plans match and ${this.EXIT_CODES.CHANGES} that they differ.`,
+            `  With --signoff, ${this.EXIT_CODES.NO_CHANGES} means every change is reviewed and none flagged, ${this.EXIT_CODES.CHANGES} otherwise.`,
+            "",
+            "Color is used only when stdout is a terminal, unless NO_COLOR or FORCE_COLOR is set."
+        ].join("\n");
+    }
+
+    /**
+     * Runs the command line and resolves with the process exit code
+     *
+     * @param {string[]} args command line arguments without node and script path
+     * @returns {Promise<number>}
+     * @memberof Cli
+     */
+    async run(args) {
+        try {
+            let options = this.parseArgs(args);
+            if(options.help) {
+                this.stdout.write(`${this.HELP}\n`);
+                return this.EXIT_CODES.NO_CHANGES;
+            }
+
+            if(options.interactive && (!this.stdin.isTTY || !this.stdout.isTTY || options.file === this.STDIN_FILE)) {
+                throw new Error("--interactive needs a terminal, and the plan in a file.");
+            }
+            let planText = await this.readPlan(options.file, options);
+            let json = this.parsePlan(planText, "Plan input");
+
+            let config = this.loadConfig(options.config);
+            if(options.explain) config.explain = true;
+            if(options.impact) config.impact = true;
+            if(options.pricing !== null) config.pricing = this.PATH.resolve(this.cwd, options.pricing);
+            let reviewer = new PLAN_REVIEWER(config);
+            json = reviewer.normalizePlan(json, "Plan input");
+            let renderer = reviewer.getRenderer(options.format, {
+                color: this.shouldUseColor(options),
+                theme: this.loadTheme(options.theme)
+            });
+            let view = this.getView(options);
+            let review;
+            // set by the modes with exit codes of their own; --fail-on still comes first
+            let exitCode = null;
+            if(options.compare !== null) {
+                if(options.compare === this.STDIN_FILE) throw new Error("The plan to compare with must be a file.");
+                let previousJson = this.parsePlan(await this.readPlan(options.compare, options), `Plan ${options.compare}`);
+                previousJson = reviewer.normalizePlan(previousJson, `Plan ${options.compare}`);
+                let comparison = reviewer.compare(previousJson, json);
+                this.writeOutput(options, renderer.renderComparison(comparison));
+                review = reviewer.review(json, view);
+                exitCode = (comparison.hasDifferences) ? this.EXIT_CODES.CHANGES : this.EXIT_CODES.NO_CHANGES;
+            }
+            else if(options.interactive || options.signoff) {
+                let session = new REVIEW_SESSION(this.getSessionFile(options), this.CRYPTO.createHash("sha256").update(planText).digest("hex"));
+                if(options.interactive) {
+                    review = reviewer.review(json, view);
+                    // the diffs are always shown the terminal way, whatever --format says
+                    let terminalRenderer = reviewer.getRenderer("terminal", {
+                        color: this.shouldUseColor(options),
+                        theme: this.loadTheme(options.theme)
+                    });
+                    let reviewerName = options.reviewer || this.env.USER || this.env.USERNAME;
+                    await new INTERACTIVE_REVIEW(review, session, terminalRenderer, { reviewer: reviewerName }).run(this.stdin, this.stdout);
+                }
+                if(options.signoff) {
+                    // a sign-off covers every change in the plan; filters only narrow the interactive review
+                    review = reviewer.review(json, this.getView(Object.assign({}, options, { include: [], exclude: [], type: [], module: [], action: [] })));
+                    this.writeOutput(options, session.getReport(review));
+                    exitCode = (session.isSignedOff(review.resources)) ? this.EXIT_CODES.NO_CHANGES : this.EXIT_CODES.CHANGES;
+                }
+            }
+            else if(options.graph !== null) {
+                let exported = reviewer.exportGraph(json, options.graph, view);
+                review = exported.review;
+                this.writeOutput(options, exported.graph);
+            }
+            else if(this.canStream(options, renderer)) {
+                // write each resource as soon as it's reviewed rather than all at the end
+                let started = false;
+                review = reviewer.review(json, view, (resource, reviewSoFar) => {
+                    if(!started) this.stdout.write(renderer.renderStart(reviewSoFar));
+                    started = true;
+                    this.stdout.write(renderer.renderResource(resource));
+                });
+                this.writeOutput(options, renderer.renderEnd(review, started));
+            }
+            else {
+                review = reviewer.review(json, view);
+                this.writeOutput(options, renderer.render(review));
+            }
+
+            if(options.failOn !== null && reviewer.RISKS.hasFindingAtOrAbove(this.getTotals(review).findings, options.failOn)) {
+                this.stderr.write(`Failing: risk findings at or above severity ${options.failOn}\n`);
+                return this.EXIT_CODES.FINDINGS;
+            }
+            return (exitCode === null) ? this.getExitCode(review) : exitCode;
+        }
+        catch(error) {
+            this.stderr.write(`Error: ${error.message}\n`);
+            return this.EXIT_CODES.ERROR;
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} what names the input in the error message
+     * @returns {object} parsed plan JSON
+     * @memberof Cli
+     */
+    parsePlan(text, what) {
+        try {
+            return JSON.parse(text);
+        }
+        catch(error) {
+            throw new Error(`${what} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the sidecar file review sessions are kept in: --session, or the
+     *  plan file's name with .review.json added
+     *
+     * @param {object} options parsed command line options
+     * @returns {string}
+     * @memberof Cli
+     */
+    getSessionFile(options) {
+        if(options.session !== null) return this.PATH.resolve(this.cwd, options.session);
+        if(options.file === this.STDIN_FILE || (options.file === null && this.isStdinPiped())) {
+            throw new Error("A plan read from stdin has no sidecar file; name one with --session.");
+        }
+        let planFile = this.PATH.resolve(this.cwd, (options.file === null) ? this.DEFAULT_PLAN_FILE : options.file);
+        return `${planFile}.review.json`;
+    }
+
+    /**
+     * Indicates if the review can be written to stdout resource by resource,
+     *  which only renderers with renderStart/renderResource/renderEnd support
+     *  and only when resources aren't grouped or reordered
+     *
+     * @param {object} options parsed command line options
+     * @param {object} renderer
+     * @returns {boolean}
+     * @memberof Cli
+     */
+    canStream(options, renderer) {
+        return options.out === null && options.groupBy === null && options.order !== "dependencies" && typeof renderer.renderResource === "function";
+    }
+
+    /**
+     * Writes the rendered output to the --out file, or to stdout
+     *
+     * @param {object} options parsed command line options
+     * @param {string} output
+     * @memberof Cli
+     */
+    writeOutput(options, output) {
+        if(options.out !== null) this.FS.writeFileSync(this.PATH.resolve(this.cwd, options.out), output);
+        else this.stdout.write(`${output}\n`);
+    }
+
+    /**
+     * Parses the command line arguments into an options object
+     *
+     * @param {string[]} args
+     * @returns {object}
+     * @memberof Cli
+     */
+    parseArgs(args) {
+        let options = {
+            file: null,
+            format: "terminal",
+            out: null,
+            config: null,
+            compare: null,
+            theme: "default",
+            failOn: null,
+            include: [],
+            exclude: [],
+            type: [],
+            module: [],
+            action: [],
+            groupBy: null,
+            order: null,
+            graph: null,
+            refreshOnly: false,
+            explain: false,
+            impact: false,
+            pricing: null,
+            interactive: false,
+            signoff: false,
+            session: null,
+            reviewer: null,
+            terraform: null,
+            color: null,
+            help: false
+        };
+
+        for(let i=0; i<args.length; i++) {
+            let arg = args[i];
+            let value = null;
+            let equalsIndex = arg.indexOf("=");
+            if(arg.startsWith("--") && equalsIndex > -1) {
+                value = arg.substring(equalsIndex + 1);
+                arg = arg.substring(0, equalsIndex);
+            }
+
+            switch(arg) {
+                case "-h":
+                case "--help":
+                    options.help = true;
+                    break;
+                case "--color":
+                    options.color = true;
+                    break;
+                case "--no-color":
+                    options.color = false;
+                    break;
+                case "--refresh-only":
+                    options.refreshOnly = true;
+                    break;
+                case "--explain":
+                    options.explain = true;
+                    break;
+                case "--impact":
+                    options.impact = true;
+                    break;
+                case "-i":
+                case "--interactive":
+                    options.interactive = true;
+                    break;
+                case "--signoff":
+                    options.signoff = true;
+                    break;
+                case "--format":
+                case "--out":
+                case "--config":
+                case "--compare":
+                case "--theme":
+                case "--order":
+                case "--graph":
+                case "--session":
+                case "--reviewer":
+                case "--pricing":
+                case "--terraform":
+                    if(value === null) {
+                        if(i + 1 >= args.length) throw new Error(`Missing value for option ${arg}`);
+                        value = args[++i];
+                    }
+                    options[arg.substring(2)] = value;
+                    break;
+                case "--include":
+                case "--exclude":
+                case "--type":
+                case "--module":
+                case "--action":
+                    if(value === null) {
+                        if(i + 1 >= args.length) throw new Error(`Missing value for option ${arg}`);
+                        value = args[++i];
+                    }
+                    // repeatable, and each value may hold a comma separated list
+                    options[arg.substring(2)] = options[arg.substring(2)].concat(value.split(",").map((v) => v.trim()).filter((v) => v.length > 0));
+                    break;
+                case "--group-by":
+                    if(value === null) {
+                        if(i + 1 >= args.length) throw new Error(`Missing value for option ${arg}`);
+                        value = args[++i];
+                    }
+                    options.groupBy = value;
+                    break;
+                case "--fail-on":
+                    if(value === null) {
+                        if(i + 1 >= args.length) throw new Error(`Missing value for option ${arg}`);
+                        value = args[++i];
+                    }
+                    if(!CONSTANTS.SEVERITIES.includes(value)) {
+                        throw new Error(`Unknown severity [${value}] for --fail-on; expected one of: ${CONSTANTS.SEVERITIES.join(", ")}`);
+                    }
+                    options.failOn = value;
+                    break;
+                default:
+                    if(arg.startsWith("-") && arg !== this.STDIN_FILE) throw new Error(`Unknown option ${arg}; see --help`);
+                    if(options.file !== null) throw new Error(`Unexpected argument ${arg}; only one plan file may be given`);
+                    options.file = arg;
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Gets the filters and grouping of the review from the parsed options
+     *
+     * @param {object} options parsed command line options
+     * @returns {object} see ReviewView
+     * @memberof Cli
+     */
+    getView(options) {
+        let view = {
+            include: options.include,
+            exclude: options.exclude,
+            types: options.type,
+            modules: options.module,
+            actions: options.action
+        };
+        if(options.groupBy !== null) view.groupBy = options.groupBy;
+        if(options.order !== null) view.order = options.order;
+        if(options.refreshOnly) view.refreshOnly = true;
+        return view;
+    }
+
+    /**
+     * Decides whether terminal output gets colored; see ColorSupport
+     *
+     * @param {object} options parsed command line options
+     * @returns {boolean}
+     * @memberof Cli
+     */
+    shouldUseColor(options) {
+        return COLOR_SUPPORT.isEnabled(options, this.env, this.stdout);
+    }
+
+    /**
+     * Loads the review settings file.  An explicitly named file must exist;
+     *  the default file is optional.
+     *
+     * @param {string|null} file
+     * @returns {object}
+     * @memberof Cli
+     */
+    loadConfig(file) {
+        let configFile = this.PATH.resolve(this.cwd, (file === null) ? this.DEFAULT_CONFIG_FILE : file);
+        if(!this.FS.existsSync(configFile)) {
+            if(file === null) return { baseDir: this.cwd };
+            throw new Error(`Config file not found: ${configFile}`);
+        }
+        let config;
+        try {
+            config = JSON.parse(this.FS.readFileSync(configFile, "utf8"));
+        }
+        catch(error) {
+            throw new Error(`Config file ${configFile} is not valid JSON: ${error.message}`);
+        }
+        if(config === null || typeof config !== "object" || Array.isArray(config)) {
+            throw new Error(`Config file ${configFile} must contain a JSON object.`);
+        }
+        // predictor modules and template files are relative to the config file
+        config.baseDir = this.PATH.dirname(configFile);
+        return config;
+    }
+
+    /**
+     * Gets the theme to render with: a built-in theme name, or the contents
+     *  of a theme JSON file when the value names one
+     *
+     * @param {string} theme
+     * @returns {string|object}
+     * @memberof Cli
+     */
+    loadTheme(theme) {
+        if(!theme.toLowerCase().endsWith(".json")) return theme;
+        let themeFile = this.PATH.resolve(this.cwd, theme);
+        if(!this.FS.existsSync(themeFile)) throw new Error(`Theme file not found: ${themeFile}`);
+        try {
+            return JSON.parse(this.FS.readFileSync(themeFile, "utf8"));
+        }
+        catch(error) {
+            throw new Error(`Theme file ${themeFile} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reads the plan JSON text from a file, or from stdin when the file is "-"
+     *  or when no file is given and stdin is a pipe or file.  A binary plan file is
+     *  turned into JSON by terraform show -json.
+     *
+     * @param {string|null} file
+     * @param {object} options parsed command line options
+     * @returns {Promise<string>}
+     * @memberof Cli
+     */
+    async readPlan(file, options) {
+        let terraformShow = new TERRAFORM_SHOW({
+            binary: options.terraform || this.env.TFREVIEW_TERRAFORM || undefined,
+            env: this.env,
+            cwd: this.cwd
+        });
+        if(file === this.STDIN_FILE || (file === null && this.isStdinPiped())) {
+            let contents = await this.readStream(this.stdin);
+            // terraform show only reads plans from files, and the plan must not be written out
+            if(terraformShow.isBinaryPlan(contents)) throw new Error("A binary plan can't be read from stdin; pass the plan file instead.");
+            let text = contents.toString("utf8");
+            if(text.trim().length > 0 || file === this.STDIN_FILE) return text;
+        }
+
+        // absolute paths are kept as-is, relative ones resolve against the working directory
+        let planFile = this.PATH.resolve(this.cwd, (file === null) ? this.DEFAULT_PLAN_FILE : file);
+        if(!this.FS.existsSync(planFile)) throw new Error(`Plan file not found: ${planFile}`);
+        let contents = this.FS.readFileSync(planFile);
+        if(terraformShow.isBinaryPlan(contents)) return terraformShow.show(planFile);
+        return contents.toString("utf8");
+    }
+
+    /**
+     * Indicates if stdin is a pipe or a redirected file, and so can be read
+     *  without naming it "-".  Any other stdin that isn't a terminal, such as
+     *  the /dev/null or open socket CI runners and IDEs hand out, might never
+     *  close, so it's only read when asked for.
+     *
+     * @returns {boolean}
+     * @memberof Cli
+     */
+    isStdinPiped() {
+        if(this.stdin.isTTY || typeof this.stdin.fd !== "number") return false;
+        try {
+            let stats = this.FS.fstatSync(this.stdin.fd);
+            return stats.isFIFO() || stats.isFile();
+        }
+        catch(error) {
+            return false;
+        }
+    }
+
+    /**
+     * Collects a readable stream
+     *
+     * @param {stream.Readable} stream
+     * @returns {Promise<Buffer>}
+     * @memberof Cli
+     */
+    readStream(stream) {
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            stream.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+            stream.on("end", () => resolve(Buffer.concat(chunks)));
+            stream.on("error", reject);
+        });
+    }
+
+    /**
+     * Maps the review onto the exit codes pipelines can gate on.  Filters
+     *  only change what's shown; the exit code covers the whole plan.
+     *
+     * @param {object} review
+     * @returns {number}
+     * @memberof Cli
+     */
+    getExitCode(review) {
+        let totals = this.getTotals(review);
+        if(!totals.hasChanges) return this.EXIT_CODES.NO_CHANGES;
+        if(totals.changeCount.delete > 0) return this.EXIT_CODES.DESTROYS;
+        return this.EXIT_CODES.CHANGES;
+    }
+
+    /**
+     * @param {object} review
+     * @returns {object} { hasChanges, changeCount, findings } of the whole plan, before any filters
+     * @memberof Cli
+     */
+    getTotals(review) {
+        if(review.totals) return review.totals;
+        return {
+            hasChanges: review.hasChanges,
+            changeCount: review.changeCount,
+            findings: review.findings
+        };
+    }
+}
+
+module.exports = Cli;
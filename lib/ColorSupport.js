@@ -0,0 +1,29 @@
+"use strict";
+
+/**
+ * Decides whether terminal output gets colored, the same way for the
+ *  command line and for library callers of PlanReviewer.process().
+ */
+module.exports = {
+
+    /**
+     * An explicit choice wins, then FORCE_COLOR, then NO_COLOR.  Otherwise
+     *  output written to a file is never colored, and output written to a
+     *  stream only when it's a terminal.
+     *
+     * @param {object} options
+     * @param {boolean|null} [options.color] explicit choice, e.g. --color/--no-color
+     * @param {string|null} [options.out] file the output is written to
+     * @param {object} env environment variables
+     * @param {object} stream stream the output is written to otherwise
+     * @returns {boolean}
+     */
+    isEnabled(options, env, stream) {
+        if(options.color !== undefined && options.color !== null) return options.color;
+        let forceColor = env.FORCE_COLOR;
+        if(forceColor !== undefined) return !["0", "false"].includes(forceColor.toLowerCase());
+        if(env.NO_COLOR !== undefined && env.NO_COLOR !== "") return false;
+        if(options.out !== undefined && options.out !== null) return false;
+        return Boolean(stream.isTTY);
+    }
+};
@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Values shared between the reviewer and its renderers
+ */
+module.exports = Object.freeze({
+    KNOWN_AFTER_APPLY: "(known after apply)",
+    SENSITIVE: "(sensitive)",
+    CHANGES: Object.freeze({
+        "READ": "read",
+        "CREATE": "create",
+        "UPDATE": "update",
+        "DELETE": "delete",
+        "FORGET": "forget",
+        "UNKNOWN": "unknown"
+    }),
+    // order of the two halves of a replacement
+    REPLACE: Object.freeze({
+        "DESTROY_BEFORE_CREATE": "destroy-before-create",
+        "CREATE_BEFORE_DESTROY": "create-before-destroy"
+    }),
+    // risk finding severities, least severe first
+    SEVERITIES: Object.freeze(["low", "medium", "high", "critical"])
+});
@@ -0,0 +1,288 @@
+"use strict";
+
+const ADDRESS_PARSER = require("./AddressParser");
+const REFERENCE_TRACER = require("./ReferenceTracer");
+const REVIEW_VIEW = require("./ReviewView");
+
+/**
+ * Dependencies between the resource instances of a plan, worked out from
+ *  the configuration: references in a resource's expressions (followed
+ *  through module variables and outputs), its depends_on, and the
+ *  depends_on, count and for_each of the module calls it sits in.  A
+ *  dependency on a whole module is a dependency on every resource in it.
+ */
+class DependencyGraph {
+
+    /**
+     * @param {PlanIndex} planIndex
+     */
+    constructor(planIndex) {
+        this.planIndex = planIndex;
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+        this.TRACER = new REFERENCE_TRACER(planIndex);
+        this.REVIEW_VIEW = new REVIEW_VIEW();
+
+        // resource instance address -> addresses it depends on
+        this.dependencies = new Map();
+        this.moduleMembers = new Map();
+        let addresses = Array.from(planIndex.resourceChanges.keys());
+        addresses.forEach((address) => this.addModuleMember(address));
+        addresses.forEach((address) => this.dependencies.set(address, this.getDependencies(address)));
+    }
+
+    /**
+     * Lists the resource under its module instance and every module above it
+     *
+     * @param {string} address
+     * @memberof DependencyGraph
+     */
+    addModuleMember(address) {
+        let modules;
+        try {
+            modules = this.ADDRESS_PARSER.parse(address).modules;
+        }
+        catch(error) {
+            return;
+        }
+        for(let i=1; i<=modules.length; i++) {
+            let moduleAddress = this.ADDRESS_PARSER.formatModuleAddress(modules.slice(0, i));
+            if(!this.moduleMembers.has(moduleAddress)) this.moduleMembers.set(moduleAddress, []);
+            this.moduleMembers.get(moduleAddress).push(address);
+        }
+    }
+
+    /**
+     * Works out what a resource instance depends on
+     *
+     * @param {string} address
+     * @returns {string[]} addresses of resource instances
+     * @memberof DependencyGraph
+     */
+    getDependencies(address) {
+        let parsed;
+        try {
+            parsed = this.ADDRESS_PARSER.parse(address);
+        }
+        catch(error) {
+            return [];
+        }
+        let dependencies = [];
+        let visit = (target) => {
+            let found = [];
+            if(target.kind === "resource") found = this.planIndex.getResourceChanges(target.moduleAddress, target.address).map((resource) => resource.address);
+            else if(target.kind === "module") found = this.moduleMembers.get(target.moduleAddress) || [];
+            found.forEach((dependency) => {
+                if(dependency !== address && !dependencies.includes(dependency)) dependencies.push(dependency);
+            });
+        };
+
+        let configResource = this.planIndex.getConfigResource(this.TRACER.getModulePath(parsed.modules), parsed.configAddress);
+        if(configResource !== null) this.traceConfig(configResource, parsed.modules, visit);
+        // whatever a module call waits for, everything in the module waits for
+        for(let i=parsed.modules.length; i>0; i--) {
+            let moduleCall = this.TRACER.getModuleCall(parsed.modules.slice(0, i - 1), parsed.modules[i - 1].name);
+            if(moduleCall !== null) this.traceConfig(moduleCall, parsed.modules.slice(0, i - 1), visit, false);
+        }
+        return dependencies;
+    }
+
+    /**
+     * Traces the references and depends_on of a configuration resource or module call
+     *
+     * @param {object} config configuration resource or module call
+     * @param {object[]} modules module instance the configuration is in: [{ name, index }]
+     * @param {function} visit see ReferenceTracer.trace()
+     * @param {boolean} [expressions] include the expressions; a module call's are its input variables,
+     *      which only matter to the resources that use them
+     * @memberof DependencyGraph
+     */
+    traceConfig(config, modules, visit, expressions = true) {
+        let traced = {
+            count: config.count_expression,
+            forEach: config.for_each_expression
+        };
+        if(expressions) traced.expressions = config.expressions;
+        let references = this.TRACER.getReferences(traced);
+        if(Array.isArray(config.depends_on)) {
+            references = references.concat(config.depends_on.filter((reference) => typeof reference === "string"));
+        }
+        references.forEach((reference) => this.TRACER.trace(reference, modules, visit));
+    }
+
+    /**
+     * Gets the subgraph of the changing resources.  A changing resource that
+     *  depends on another through resources that aren't changing still
+     *  depends on it.
+     *
+     * @param {object[]} resources resources of the review model, in plan order
+     * @returns {object} {
+     *      nodes: [{ address, action, dependsOn }],  in dependency order
+     *      edges: [{ from, to }],                     from a resource to one that depends on it
+     *      tree: [{ address, depth, repeated }]       dependents indented under their dependencies;
+     *                                                 repeated when already listed above with its dependents
+     *  }
+     * @memberof DependencyGraph
+     */
+    getChangedSubgraph(resources) {
+        let changed = new Map();
+        resources.forEach((resource) => {
+            if(!changed.has(resource.address)) changed.set(resource.address, resource);
+        });
+        let dependsOn = new Map();
+        changed.forEach((resource, address) => dependsOn.set(address, this.getChangedDependencies(address, changed)));
+
+        let order = this.getOrder(Array.from(changed.keys()), dependsOn);
+        let nodes = order.map((address) => ({
+            address: address,
+            action: this.REVIEW_VIEW.getPrimaryAction(changed.get(address)),
+            dependsOn: dependsOn.get(address)
+        }));
+        let edges = [];
+        nodes.forEach((node) => {
+            node.dependsOn.forEach((dependency) => edges.push({ from: dependency, to: node.address }));
+        });
+        return {
+            nodes: nodes,
+            edges: edges,
+            tree: this.getTree(order, dependsOn)
+        };
+    }
+
+    /**
+     * Gets the nearest changing resources a changing resource depends on,
+     *  looking through the resources that don't change
+     *
+     * @param {string} address
+     * @param {Map} changed
+     * @returns {string[]}
+     * @memberof DependencyGraph
+     */
+    getChangedDependencies(address, changed) {
+        let found = [];
+        let visited = new Set([address]);
+        let pending = (this.dependencies.get(address) || []).slice();
+        while(pending.length > 0) {
+            let dependency = pending.shift();
+            if(visited.has(dependency)) continue;
+            visited.add(dependency);
+            if(changed.has(dependency)) found.push(dependency);
+            else pending = pending.concat(this.dependencies.get(dependency) || []);
+        }
+        return found;
+    }
+
+    /**
+     * Orders the resources so each comes after everything it depends on,
+     *  keeping plan order otherwise.  A cycle is broken where it's entered.
+     *
+     * @param {string[]} addresses in plan order
+     * @param {Map} dependsOn address -> addresses
+     * @returns {string[]}
+     * @memberof DependencyGraph
+     */
+    getOrder(addresses, dependsOn) {
+        let order = [];
+        let visited = new Set();
+        let position = new Map(addresses.map((address, i) => [address, i]));
+        let visit = (address) => {
+            if(visited.has(address)) return;
+            visited.add(address);
+            dependsOn.get(address).slice().sort((a, b) => position.get(a) - position.get(b)).forEach(visit);
+            order.push(address);
+        };
+        addresses.forEach(visit);
+        return order;
+    }
+
+    /**
+     * Lays the ordered resources out as a tree of dependents
+     *
+     * @param {string[]} order
+     * @param {Map} dependsOn
+     * @returns {object[]} [{ address, depth, repeated }]
+     * @memberof DependencyGraph
+     */
+    getTree(order, dependsOn) {
+        let tree = [];
+        let expanded = new Set();
+        let dependents = new Map(order.map((address) => [address, []]));
+        order.forEach((address) => {
+            dependsOn.get(address).forEach((dependency) => dependents.get(dependency).push(address));
+        });
+        let add = (address, depth) => {
+            if(expanded.has(address)) {
+                tree.push({ address: address, depth: depth, repeated: true });
+                return;
+            }
+            expanded.add(address);
+            tree.push({ address: address, depth: depth, repeated: false });
+            dependents.get(address).forEach((dependent) => add(dependent, depth + 1));
+        };
+        order.forEach((address) => {
+            if(dependsOn.get(address).length === 0) add(address, 0);
+        });
+        // resources caught in a cycle have no root to hang from
+        order.forEach((address) => {
+            if(!expanded.has(address)) add(address, 0);
+        });
+        return tree;
+    }
+
+    /**
+     * Exports a changed subgraph in Graphviz DOT
+     *
+     * @param {object} subgraph see getChangedSubgraph()
+     * @returns {string}
+     * @memberof DependencyGraph
+     */
+    toDot(subgraph) {
+        let colors = { create: "green", update: "orange", delete: "red", replace: "red", read: "blue" };
+        let quote = (text) => JSON.stringify(text);
+        let lines = [
+            "digraph plan {",
+            "  rankdir=LR;",
+            "  node [shape=box];"
+        ];
+        subgraph.nodes.forEach((node) => {
+            let color = colors[node.action] || "gray";
+            lines.push(`  ${quote(node.address)} [label=${quote(`${node.action} ${node.address}`)}, color=${color}];`);
+        });
+        subgraph.edges.forEach((edge) => lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`));
+        lines.push("}");
+        return lines.join("\n");
+    }
+
+    /**
+     * Exports a changed subgraph as a Mermaid flowchart
+     *
+     * @param {object} subgraph see getChangedSubgraph()
+     * @returns {string}
+     * @memberof DependencyGraph
+     */
+    toMermaid(subgraph) {
+        let styles = {
+            create: "fill:#e6ffed,stroke:#28a745",
+            update: "fill:#fff5b1,stroke:#d29922",
+            delete: "fill:#ffeef0,stroke:#d73a49",
+            replace: "fill:#ffeef0,stroke:#d73a49",
+            read: "fill:#f1f8ff,stroke:#0366d6"
+        };
+        let ids = new Map();
+        let lines = ["flowchart LR"];
+        subgraph.nodes.forEach((node, i) => {
+            ids.set(node.address, `n${i}`);
+            // quotes end a Mermaid label; use its entity instead
+            lines.push(`  n${i}["${`${node.action} ${node.address}`.replace(/"/g, "#quot;")}"]`);
+        });
+        subgraph.edges.forEach((edge) => lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`));
+        Object.keys(styles).forEach((action) => {
+            let members = subgraph.nodes.filter((node) => node.action === action).map((node) => ids.get(node.address));
+            if(members.length === 0) return;
+            lines.push(`  classDef ${action} ${styles[action]}`);
+            lines.push(`  class ${members.join(",")} ${action}`);
+        });
+        return lines.join("\n");
+    }
+}
+
+module.exports = DependencyGraph;
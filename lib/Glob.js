@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * Minimal glob matching for resource types and addresses.
+ *  "*" matches any run of characters and "?" matches a single character.
+ */
+module.exports = {
+
+    /**
+     * Converts a glob pattern into an anchored regular expression
+     *
+     * @param {string} pattern
+     * @returns {RegExp}
+     */
+    toRegExp(pattern) {
+        let source = pattern.split("").map((c) => {
+            if(c === "*") return ".*";
+            if(c === "?") return ".";
+            return c.replace(/[\\^$.+()|[\]{}]/g, "\\$&");
+        }).join("");
+        return new RegExp(`^${source}$`);
+    },
+
+    /**
+     * Indicates if text matches the glob pattern
+     *
+     * @param {string} pattern
+     * @param {string} text
+     * @returns {boolean}
+     */
+    matches(pattern, text) {
+        return this.toRegExp(pattern).test(text);
+    }
+};
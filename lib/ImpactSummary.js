@@ -0,0 +1,269 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const GLOB = require("./Glob");
+const REVIEW_VIEW = require("./ReviewView");
+
+/**
+ * Tallies the changes of a review per resource type and per module, and
+ *  estimates the monthly cost delta of the plan from a local pricing table.
+ *  Prices are looked up by resource type, optionally refined by an
+ *  attribute holding the instance size and multiplied by an attribute
+ *  holding a quantity:
+ *
+ *      {
+ *          "currency": "USD",
+ *          "resources": {
+ *              "aws_nat_gateway": 32.85,
+ *              "aws_instance": { "attribute": "instance_type", "sizes": { "t3.micro": 7.59, "m5.large": 70.08 } },
+ *              "aws_ebs_volume": { "monthly": 0.08, "quantity": "size" }
+ *          }
+ *      }
+ *
+ *  Resource type keys may be globs; an exact key wins over a glob.
+ */
+class ImpactSummary {
+
+    /**
+     * @param {object|null} [pricing] pricing table; without one only the counts are summarized
+     */
+    constructor(pricing = null) {
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.REVIEW_VIEW = new REVIEW_VIEW();
+        this.ROOT_MODULE = "root";
+        // columns of the count tables, in this order
+        this.ACTIONS = ["create", "update", "replace", "delete", "read", "import", "move", "forget", "unknown"];
+
+        this.pricing = (pricing === null) ? null : this.getPricing(pricing);
+    }
+
+    /**
+     * Validates a pricing table and splits its resource types into exact keys and globs
+     *
+     * @param {object} pricing
+     * @returns {object} { currency, exact: Map, globs: [{ pattern, price }] }
+     * @memberof ImpactSummary
+     */
+    getPricing(pricing) {
+        if(pricing === null || typeof pricing !== "object" || Array.isArray(pricing)) throw new Error("pricing must be an object.");
+        if(pricing.currency !== undefined && typeof pricing.currency !== "string") throw new Error("pricing.currency must be a string.");
+        let resources = pricing.resources;
+        if(resources === null || typeof resources !== "object" || Array.isArray(resources)) throw new Error("pricing.resources must be an object.");
+
+        let table = {
+            currency: pricing.currency || "USD",
+            exact: new Map(),
+            globs: []
+        };
+        Object.keys(resources).forEach((type) => {
+            let price = this.getPrice(resources[type], `pricing.resources.${type}`);
+            if(type.includes("*") || type.includes("?")) table.globs.push({ pattern: GLOB.toRegExp(type), price: price });
+            else table.exact.set(type, price);
+        });
+        return table;
+    }
+
+    /**
+     * Normalizes the price of a resource type
+     *
+     * @param {number|object} price monthly cost, or { attribute, sizes, monthly, quantity }
+     * @param {string} where setting name for error messages
+     * @returns {object} { attribute, sizes, monthly, quantity }
+     * @memberof ImpactSummary
+     */
+    getPrice(price, where) {
+        if(typeof price === "number") price = { monthly: price };
+        if(price === null || typeof price !== "object" || Array.isArray(price)) throw new Error(`${where} must be a monthly cost or an object.`);
+        let normalized = {
+            attribute: (price.attribute === undefined) ? null : price.attribute,
+            sizes: (price.sizes === undefined) ? {} : price.sizes,
+            monthly: (price.monthly === undefined) ? null : price.monthly,
+            quantity: (price.quantity === undefined) ? null : price.quantity
+        };
+        if(normalized.attribute !== null && typeof normalized.attribute !== "string") throw new Error(`${where}.attribute must be a string.`);
+        if(normalized.quantity !== null && typeof normalized.quantity !== "string") throw new Error(`${where}.quantity must be a string.`);
+        if(normalized.sizes === null || typeof normalized.sizes !== "object" || Array.isArray(normalized.sizes)) throw new Error(`${where}.sizes must be an object.`);
+        Object.keys(normalized.sizes).forEach((size) => {
+            if(typeof normalized.sizes[size] !== "number") throw new Error(`${where}.sizes.${size} must be a number.`);
+        });
+        if(normalized.monthly !== null && typeof normalized.monthly !== "number") throw new Error(`${where}.monthly must be a number.`);
+        if(normalized.monthly === null && normalized.attribute === null) throw new Error(`${where} needs a monthly cost or an attribute with sizes.`);
+        return normalized;
+    }
+
+    /**
+     * Summarizes the resources of a review
+     *
+     * @param {object[]} resources resources of the review model
+     * @param {object} fullJson the plan, for the before and after values of each change
+     * @returns {object} {
+     *      actions: [],                                 the actions with any changes, in column order
+     *      types: [{ name, counts, total }],            per resource type, data sources as data.<type>
+     *      modules: [{ name, counts, total }],          per module instance; "root" for the root module
+     *      total: { counts, total },
+     *      cost: null | {                               null without a pricing table
+     *          currency, monthlyDelta, increase, decrease,
+     *          changes: [{ address, action, before, after, delta, size }],   priced changes that cost more or less
+     *          unpriced: [{ address, action, reason }],  changes of priced types that can't be priced
+     *          unpricedTypes: []                         changing types the table has no price for
+     *      }
+     *  }
+     * @memberof ImpactSummary
+     */
+    summarize(resources, fullJson) {
+        let types = new Map();
+        let modules = new Map();
+        let total = this.getRow(null);
+        resources.forEach((resource) => {
+            let action = this.REVIEW_VIEW.getPrimaryAction(resource);
+            let type = (resource.mode === "managed") ? resource.type : `${resource.mode}.${resource.type}`;
+            let moduleName = resource.moduleAddress || this.ROOT_MODULE;
+            if(!types.has(type)) types.set(type, this.getRow(type));
+            if(!modules.has(moduleName)) modules.set(moduleName, this.getRow(moduleName));
+            [types.get(type), modules.get(moduleName), total].forEach((row) => {
+                row.counts[action]++;
+                row.total++;
+            });
+        });
+
+        let byName = (a, b) => (a.name < b.name) ? -1 : (a.name > b.name) ? 1 : 0;
+        let moduleRows = Array.from(modules.values()).sort(byName);
+        // the root module leads
+        moduleRows = moduleRows.filter((row) => row.name === this.ROOT_MODULE).concat(moduleRows.filter((row) => row.name !== this.ROOT_MODULE));
+        delete total.name;
+        return {
+            actions: this.ACTIONS.filter((action) => total.counts[action] > 0),
+            types: Array.from(types.values()).sort(byName),
+            modules: moduleRows,
+            total: total,
+            cost: (this.pricing === null) ? null : this.getCost(resources, fullJson)
+        };
+    }
+
+    /**
+     * @param {string|null} name
+     * @returns {object} { name, counts, total } with every count at 0
+     * @memberof ImpactSummary
+     */
+    getRow(name) {
+        let counts = {};
+        this.ACTIONS.forEach((action) => counts[action] = 0);
+        return { name: name, counts: counts, total: 0 };
+    }
+
+    /**
+     * Estimates the monthly cost delta of the changes: creates add the cost
+     *  after, deletes take away the cost before and updates and replacements
+     *  add the difference, e.g. from a change of instance size.  Data sources
+     *  and changes that don't create or destroy anything cost nothing.
+     *
+     * @param {object[]} resources resources of the review model
+     * @param {object} fullJson
+     * @returns {object} see summarize()
+     * @memberof ImpactSummary
+     */
+    getCost(resources, fullJson) {
+        let planned = new Map();
+        let resourceChanges = (Array.isArray(fullJson.resource_changes)) ? fullJson.resource_changes : [];
+        resourceChanges.forEach((resource) => planned.set(`${resource.address}|${resource.deposed || ""}`, resource));
+
+        let cost = {
+            currency: this.pricing.currency,
+            monthlyDelta: 0,
+            increase: 0,
+            decrease: 0,
+            changes: [],
+            unpriced: [],
+            unpricedTypes: []
+        };
+        resources.forEach((resource) => {
+            let action = this.REVIEW_VIEW.getPrimaryAction(resource);
+            if(resource.mode !== "managed" || !["create", "update", "replace", "delete"].includes(action)) return;
+            let resourceChange = planned.get(`${resource.address}|${resource.deposed || ""}`);
+            if(resourceChange === undefined) return;
+            let change = resourceChange.change || {};
+
+            let price = this.findPrice(resource.type);
+            if(price === null) {
+                if(!cost.unpricedTypes.includes(resource.type)) cost.unpricedTypes.push(resource.type);
+                return;
+            }
+            let before = (action === "create") ? { cost: 0, size: null } : this.getMonthlyCost(price, change.before, null);
+            let after = (action === "delete") ? { cost: 0, size: null } : this.getMonthlyCost(price, change.after, change.after_unknown);
+            let reason = before.reason || after.reason;
+            if(reason !== undefined) {
+                cost.unpriced.push({ address: resource.address, action: action, reason: reason });
+                return;
+            }
+            let delta = this.round(after.cost - before.cost);
+            if(delta === 0) return;
+            cost.changes.push({
+                address: resource.address,
+                action: action,
+                before: before.cost,
+                after: after.cost,
+                delta: delta,
+                size: (before.size === after.size || before.size === null) ? after.size : (after.size === null) ? before.size : `${before.size} → ${after.size}`
+            });
+            if(delta > 0) cost.increase = this.round(cost.increase + delta);
+            else cost.decrease = this.round(cost.decrease + delta);
+        });
+        cost.monthlyDelta = this.round(cost.increase + cost.decrease);
+        return cost;
+    }
+
+    /**
+     * @param {string} type resource type
+     * @returns {object|null} price of the type; see getPrice()
+     * @memberof ImpactSummary
+     */
+    findPrice(type) {
+        if(this.pricing.exact.has(type)) return this.pricing.exact.get(type);
+        let glob = this.pricing.globs.find((entry) => entry.pattern.test(type));
+        return (glob === undefined) ? null : glob.price;
+    }
+
+    /**
+     * Prices a resource's values
+     *
+     * @param {object} price see getPrice()
+     * @param {object} values before or after values of the resource
+     * @param {object} [unknown] after_unknown of the change
+     * @returns {object} { cost, size }, or { reason } when it can't be priced
+     * @memberof ImpactSummary
+     */
+    getMonthlyCost(price, values, unknown) {
+        values = (values === null || typeof values !== "object") ? {} : values;
+        unknown = (unknown === null || typeof unknown !== "object") ? {} : unknown;
+        let monthly = price.monthly;
+        let size = null;
+        if(price.attribute !== null) {
+            if(unknown[price.attribute] === true) return { reason: `${price.attribute} is ${this.KNOWN_AFTER_APPLY}` };
+            size = values[price.attribute];
+            if(size !== undefined && size !== null && typeof price.sizes[size] === "number") monthly = price.sizes[size];
+            else if(monthly === null && (size === undefined || size === null)) return { reason: `no ${price.attribute} to price by` };
+            else if(monthly === null) return { reason: `no price for ${price.attribute} ${JSON.stringify(size)}` };
+            size = (size === undefined || size === null) ? null : `${size}`;
+        }
+        if(price.quantity !== null) {
+            if(unknown[price.quantity] === true) return { reason: `${price.quantity} is ${this.KNOWN_AFTER_APPLY}` };
+            let quantity = Number(values[price.quantity]);
+            if(values[price.quantity] === null || values[price.quantity] === undefined || isNaN(quantity)) {
+                return { reason: `${price.quantity} is not a number` };
+            }
+            monthly = monthly * quantity;
+        }
+        return { cost: this.round(monthly), size: size };
+    }
+
+    /**
+     * @param {number} amount
+     * @returns {number} rounded to cents
+     * @memberof ImpactSummary
+     */
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+module.exports = ImpactSummary;
@@ -0,0 +1,316 @@
+"use strict";
+
+/**
+ * Full-screen terminal review: steps through the resources of a review one
+ *  at a time, with their attribute diffs collapsed or expanded, and marks
+ *  each as reviewed or flagged with a comment in a ReviewSession.  Key
+ *  handling and drawing are kept apart from the terminal so the state can
+ *  be driven with handleKey() and inspected with getScreen().
+ */
+class InteractiveReview {
+
+    /**
+     * @param {object} review model returned by PlanReviewer.review()
+     * @param {ReviewSession} session
+     * @param {TerminalRenderer} renderer
+     * @param {object} [options]
+     * @param {string} [options.reviewer] name recorded with each mark
+     * @param {number} [options.rows] screen height; defaults to 24
+     */
+    constructor(review, session, renderer, options = {}) {
+        this.review = review;
+        this.session = session;
+        this.renderer = renderer;
+        this.reviewer = (options.reviewer === undefined) ? null : options.reviewer;
+        this.rows = options.rows || 24;
+
+        this.HELP = "[←/→] resource  [enter] expand  [↑/↓] scroll  [r] reviewed  [f] flag  [c] comment  [x] clear  [n] next open  [s] save  [q] quit";
+        this.RULE = "─".repeat(40);
+
+        this.position = 0;
+        this.scroll = 0;
+        this.expanded = false;
+        // { label, text, onDone } while a comment is being typed
+        this.prompt = null;
+        this.message = "";
+        // set when saving failed, so ctrl-c can still leave without saving
+        this.saveFailed = false;
+        this.done = false;
+    }
+
+    /**
+     * Runs the review on a terminal until it's quit.  The session is saved on quit.
+     *  The terminal is always restored, also when drawing or a key fails.
+     *
+     * @param {object} input TTY read stream
+     * @param {object} output TTY write stream
+     * @returns {Promise} resolves when the review is quit, rejects on errors
+     * @memberof InteractiveReview
+     */
+    run(input, output) {
+        let READLINE = require("readline");
+        this.rows = output.rows || this.rows;
+        return new Promise((resolve, reject) => {
+            READLINE.emitKeypressEvents(input);
+            input.setRawMode(true);
+            input.resume();
+            let draw = () => output.write(`\x1b[2J\x1b[H${this.getScreen()}`);
+            let restore = () => {
+                input.removeListener("keypress", onKeypress);
+                input.setRawMode(false);
+                input.pause();
+                output.write("\x1b[2J\x1b[H");
+            };
+            let onKeypress = (text, key) => {
+                let failed = false;
+                try {
+                    this.handleKey(text, key || {});
+                    if(!this.done) return draw();
+                    resolve();
+                }
+                catch(error) {
+                    failed = true;
+                    reject(error);
+                }
+                finally {
+                    if(this.done || failed) restore();
+                }
+            };
+            input.on("keypress", onKeypress);
+            try {
+                draw();
+            }
+            catch(error) {
+                restore();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * @returns {object} resource shown
+     * @memberof InteractiveReview
+     */
+    getResource() {
+        return this.review.resources[this.position];
+    }
+
+    /**
+     * Applies a key press
+     *
+     * @param {string} text character typed, if any
+     * @param {object} key { name, ctrl } as emitted by readline
+     * @memberof InteractiveReview
+     */
+    handleKey(text, key) {
+        if(key.ctrl && key.name === "c") {
+            if(this.saveFailed) {
+                this.done = true;
+                return;
+            }
+            this.message = "";
+            return this.quit();
+        }
+        this.message = "";
+        if(this.prompt !== null) return this.handlePromptKey(text, key);
+        if(this.review.resources.length === 0) {
+            if(key.name === "q") this.quit();
+            return;
+        }
+
+        let resource = this.getResource();
+        switch(key.name || text) {
+            case "right":
+            case "l":
+                return this.moveTo(this.position + 1);
+            case "left":
+            case "h":
+                return this.moveTo(this.position - 1);
+            case "down":
+            case "j":
+                this.scroll = Math.min(this.scroll + 1, Math.max(this.getBodyLines().length - this.getBodyHeight(), 0));
+                return;
+            case "up":
+            case "k":
+                this.scroll = Math.max(this.scroll - 1, 0);
+                return;
+            case "return":
+            case "enter":
+            case "e":
+                this.expanded = !this.expanded;
+                this.scroll = 0;
+                return;
+            case "r":
+                this.session.mark(resource, "reviewed", undefined, this.reviewer);
+                // on to the next one, as reviewing is the common case
+                return this.moveTo(this.position + 1);
+            case "f":
+                return this.startPrompt("Flag comment", (comment) => this.session.mark(resource, "flagged", comment, this.reviewer));
+            case "c":
+                return this.startPrompt("Comment", (comment) => this.session.comment(resource, comment, this.reviewer));
+            case "x":
+                this.session.clear(resource);
+                return;
+            case "n":
+                return this.moveToNextOpen();
+            case "s":
+                if(this.save()) this.message = `Saved to ${this.session.file}`;
+                return;
+            case "q":
+                return this.quit();
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {object} key
+     * @memberof InteractiveReview
+     */
+    handlePromptKey(text, key) {
+        if(key.name === "escape") {
+            this.prompt = null;
+            return;
+        }
+        if(key.name === "return" || key.name === "enter") {
+            let prompt = this.prompt;
+            this.prompt = null;
+            prompt.onDone(prompt.text.trim());
+            return;
+        }
+        if(key.name === "backspace") {
+            this.prompt.text = this.prompt.text.slice(0, -1);
+            return;
+        }
+        if(typeof text === "string" && text.length > 0 && !key.ctrl && !key.meta && text >= " ") this.prompt.text += text;
+    }
+
+    /**
+     * @param {string} label
+     * @param {function} onDone called with the comment typed
+     * @memberof InteractiveReview
+     */
+    startPrompt(label, onDone) {
+        let mark = this.session.getMark(this.getResource());
+        this.prompt = {
+            label: label,
+            text: (mark === null) ? "" : mark.comment,
+            onDone: onDone
+        };
+    }
+
+    /**
+     * @param {number} position
+     * @memberof InteractiveReview
+     */
+    moveTo(position) {
+        if(position < 0 || position >= this.review.resources.length) return;
+        this.position = position;
+        this.scroll = 0;
+    }
+
+    /**
+     * Moves to the next resource that isn't reviewed yet, wrapping around
+     *
+     * @memberof InteractiveReview
+     */
+    moveToNextOpen() {
+        let count = this.review.resources.length;
+        for(let i=1; i<=count; i++) {
+            let position = (this.position + i) % count;
+            let mark = this.session.getMark(this.review.resources[position]);
+            if(mark === null || mark.status !== "reviewed") return this.moveTo(position);
+        }
+        this.message = "Every resource is reviewed.";
+    }
+
+    /**
+     * Saves the session, showing why when it can't be saved
+     *
+     * @returns {boolean} true when saved
+     * @memberof InteractiveReview
+     */
+    save() {
+        try {
+            this.session.save();
+        }
+        catch(error) {
+            this.saveFailed = true;
+            this.message = `Not saved: ${error.message}; press ctrl-c to quit without saving`;
+            return false;
+        }
+        this.saveFailed = false;
+        return true;
+    }
+
+    /**
+     * Quits once the session is saved; the review stays open when it can't be
+     *
+     * @memberof InteractiveReview
+     */
+    quit() {
+        if(this.save()) this.done = true;
+    }
+
+    /**
+     * @returns {number} lines available for the resource
+     * @memberof InteractiveReview
+     */
+    getBodyHeight() {
+        // header, two rules, status, message/prompt and help
+        return Math.max(this.rows - 6, 3);
+    }
+
+    /**
+     * Gets the lines of the resource shown, collapsed to its header when
+     *  its diffs aren't expanded
+     *
+     * @returns {string[]}
+     * @memberof InteractiveReview
+     */
+    getBodyLines() {
+        let resource = this.getResource();
+        let lines = this.renderer.getResourceLines(resource).join("\n").split("\n");
+        if(!this.expanded) {
+            // description, notes and the marker line come first; then the attributes
+            let headerLength = 2 + resource.notes.length;
+            let count = resource.attributes.length;
+            lines = lines.slice(0, headerLength);
+            if(count > 0) lines.push(`\t(${count} attribute ${(count === 1) ? "change" : "changes"}; enter to expand)`);
+            // split like the expanded lines, so the screen keeps its height
+            lines = lines.concat(this.renderer.CLOSE_RESOURCE.split("\n"));
+        }
+        resource.findings.forEach((finding) => lines.push(this.renderer.getFindingLine(finding)));
+        return lines;
+    }
+
+    /**
+     * @returns {string} the whole screen
+     * @memberof InteractiveReview
+     */
+    getScreen() {
+        let resources = this.review.resources;
+        if(resources.length === 0) return "No resource changes to review.\n\n[q] quit\n";
+
+        let counts = this.session.getCounts(resources);
+        let lines = [
+            `Resource ${this.position + 1} of ${resources.length}   ${counts.reviewed} reviewed, ${counts.flagged} flagged, ${counts.pending} to go`,
+            this.RULE
+        ];
+        let body = this.getBodyLines();
+        let height = this.getBodyHeight();
+        lines = lines.concat(body.slice(this.scroll, this.scroll + height));
+        for(let i=body.length - this.scroll; i<height; i++) lines.push("");
+        lines.push(this.RULE);
+
+        let mark = this.session.getMark(this.getResource());
+        let status = (mark === null || mark.status === null) ? "not reviewed" : mark.status;
+        let comment = (mark === null || mark.comment === "") ? "" : ` - ${mark.comment}`;
+        lines.push(`Status: ${status}${comment}`);
+        if(this.prompt !== null) lines.push(`${this.prompt.label} (enter to save, esc to cancel): ${this.prompt.text}_`);
+        else lines.push(this.message);
+        lines.push(this.HELP);
+        return lines.join("\n");
+    }
+}
+
+module.exports = InteractiveReview;
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * Semantic handling of JSON encoded string attributes such as IAM policies,
+ *  SFN definitions and ECS container definitions.  Values are compared after
+ *  parsing, so key order and whitespace don't count as changes.
+ */
+class JsonSemantics {
+
+    constructor() {
+        this.DEEPEQUAL = require("deep-eql");
+
+        // statement elements whose value may be a single string or a list of them
+        this.IAM_LIST_ELEMENTS = ["Action", "NotAction", "Resource", "NotResource"];
+    }
+
+    /**
+     * Parses a string attribute holding a JSON object or array
+     *
+     * @param {*} value
+     * @returns {object|Array|undefined} undefined when value isn't JSON encoded
+     * @memberof JsonSemantics
+     */
+    parse(value) {
+        if(typeof value !== "string") return undefined;
+        let trimmed = value.trim();
+        if(!(trimmed.startsWith("{") && trimmed.endsWith("}")) && !(trimmed.startsWith("[") && trimmed.endsWith("]"))) return undefined;
+        try {
+            return JSON.parse(trimmed);
+        }
+        catch(error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Normalizes a parsed value for comparison.  IAM policy documents also get
+     *  single-element lists collapsed to scalars and their statements ordered.
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof JsonSemantics
+     */
+    normalize(value) {
+        if(this.isPolicyDocument(value)) return this.normalizePolicy(value);
+        return this.sortKeys(value);
+    }
+
+    /**
+     * Indicates if two parsed values are semantically equal
+     *
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     * @memberof JsonSemantics
+     */
+    equals(a, b) {
+        return this.DEEPEQUAL(this.normalize(a), this.normalize(b));
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     * @memberof JsonSemantics
+     */
+    isPolicyDocument(value) {
+        return this.isObject(value) && (Array.isArray(value.Statement) || this.isObject(value.Statement));
+    }
+
+    /**
+     * Normalizes an IAM policy document.  Statements that all carry a unique Sid
+     *  are keyed by it so a changed statement diffs against its old self;
+     *  otherwise they are sorted by content.
+     *
+     * @param {object} policy
+     * @returns {object}
+     * @memberof JsonSemantics
+     */
+    normalizePolicy(policy) {
+        let normalized = this.sortKeys(policy);
+        let statements = (Array.isArray(normalized.Statement)) ? normalized.Statement : [normalized.Statement];
+        statements = statements.map((statement) => this.normalizeStatement(statement));
+
+        let sids = statements.map((statement) => (this.isObject(statement)) ? statement.Sid : undefined);
+        let uniqueSids = sids.every((sid) => typeof sid === "string" && sid.length > 0) && new Set(sids).size === sids.length;
+        if(uniqueSids) {
+            let bySid = {};
+            sids.slice().sort().forEach((sid) => {
+                bySid[sid] = statements[sids.indexOf(sid)];
+            });
+            normalized.Statement = bySid;
+        }
+        else {
+            normalized.Statement = statements.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+        }
+        return normalized;
+    }
+
+    /**
+     * @param {object} statement
+     * @returns {object}
+     * @memberof JsonSemantics
+     */
+    normalizeStatement(statement) {
+        if(!this.isObject(statement)) return statement;
+        let normalized = Object.assign({}, statement);
+        this.IAM_LIST_ELEMENTS.forEach((key) => {
+            if(normalized[key] !== undefined) normalized[key] = this.normalizeList(normalized[key]);
+        });
+        ["Principal", "NotPrincipal"].forEach((key) => {
+            if(this.isObject(normalized[key])) normalized[key] = this.mapValues(normalized[key], (value) => this.normalizeList(value));
+        });
+        if(this.isObject(normalized.Condition)) {
+            normalized.Condition = this.mapValues(normalized.Condition, (operator) => {
+                return (this.isObject(operator)) ? this.mapValues(operator, (value) => this.normalizeList(value)) : operator;
+            });
+        }
+        return normalized;
+    }
+
+    /**
+     * IAM treats ["x"] and "x" the same and doesn't care about list order
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof JsonSemantics
+     */
+    normalizeList(value) {
+        if(!Array.isArray(value)) return value;
+        if(value.length === 1) return value[0];
+        return value.slice().sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+    }
+
+    /**
+     * @param {object} object
+     * @param {function} fn
+     * @returns {object}
+     * @memberof JsonSemantics
+     */
+    mapValues(object, fn) {
+        let result = {};
+        Object.keys(object).forEach((key) => result[key] = fn(object[key]));
+        return result;
+    }
+
+    /**
+     * Deep copy with object keys in sorted order
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof JsonSemantics
+     */
+    sortKeys(value) {
+        if(Array.isArray(value)) return value.map((item) => this.sortKeys(item));
+        if(!this.isObject(value)) return value;
+        let result = {};
+        Object.keys(value).sort().forEach((key) => result[key] = this.sortKeys(value[key]));
+        return result;
+    }
+
+    /**
+     * @param {*} x
+     * @returns {boolean} true for plain objects only
+     * @memberof JsonSemantics
+     */
+    isObject(x) {
+        return (x !== null && typeof x == "object" && !Array.isArray(x));
+    }
+}
+
+module.exports = JsonSemantics;
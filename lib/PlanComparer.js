@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * Compares two plans of the same configuration, e.g. the plan a reviewer
+ *  approved and the plan regenerated after another push.  Resources are
+ *  matched by address; their planned values come from the reviewer's
+ *  getAttributeDiffs() so (known after apply) is treated the same way.
+ */
+class PlanComparer {
+
+    /**
+     * @param {object} reviewer PlanReviewer providing getAttributeDiffs(), getResourceChangeInfo(),
+     *      getAttributeSensitivity(), setJsonDiff(), setNestedDiff(), maskAttribute() and SUPPRESSIONS
+     */
+    constructor(reviewer) {
+        this.reviewer = reviewer;
+        this.DEEPEQUAL = require("deep-eql");
+        this.CHANGES = reviewer.CHANGES;
+        this.JSON_SEMANTICS = reviewer.JSON_SEMANTICS;
+    }
+
+    /**
+     * Compares the resource changes of two plans
+     *
+     * @param {object} oldJson parsed plan that was reviewed before
+     * @param {object} newJson parsed plan to compare with it
+     * @returns {object} {
+     *      oldPlan, newPlan: { formatVersion, terraformVersion },
+     *      added: [{ address, actions }],      resources only the new plan changes
+     *      dropped: [{ address, actions }],    resources only the old plan changes
+     *      changed: [{ address, oldActions, newActions, actionChanged, attributes }],
+     *      hasDifferences
+     *  }
+     * @memberof PlanComparer
+     */
+    compare(oldJson, newJson) {
+        let oldResources = this.getPlannedResources(oldJson);
+        let newResources = this.getPlannedResources(newJson);
+        let comparison = {
+            oldPlan: this.getPlanInfo(oldJson),
+            newPlan: this.getPlanInfo(newJson),
+            added: [],
+            dropped: [],
+            changed: [],
+            hasDifferences: false
+        };
+
+        Object.keys(newResources).forEach((key) => {
+            let resource = newResources[key];
+            if(oldResources[key] === undefined) {
+                comparison.added.push({ address: this.getAddress(resource), actions: resource.change.actions.slice() });
+                return;
+            }
+            let changed = this.getResourceComparison(oldResources[key], resource);
+            if(changed !== null) comparison.changed.push(changed);
+        });
+        Object.keys(oldResources).forEach((key) => {
+            if(newResources[key] !== undefined) return;
+            let resource = oldResources[key];
+            comparison.dropped.push({ address: this.getAddress(resource), actions: resource.change.actions.slice() });
+        });
+
+        comparison.hasDifferences = comparison.added.length > 0 || comparison.dropped.length > 0 || comparison.changed.length > 0;
+        return comparison;
+    }
+
+    /**
+     * @param {object} json
+     * @returns {object} { formatVersion, terraformVersion }
+     * @memberof PlanComparer
+     */
+    getPlanInfo(json) {
+        return {
+            formatVersion: (json.format_version === undefined) ? null : json.format_version,
+            terraformVersion: (json.terraform_version === undefined) ? null : json.terraform_version
+        };
+    }
+
+    /**
+     * Gets the resource changes a plan would report, keyed by address
+     *  (and deposed key, since a deposed object shares its address)
+     *
+     * @param {object} json
+     * @returns {object}
+     * @memberof PlanComparer
+     */
+    getPlannedResources(json) {
+        let resources = {};
+        let resourceChanges = (Array.isArray(json.resource_changes)) ? json.resource_changes : [];
+        // counts aren't needed here, so tally into a throwaway object
+        let changeCount = { read: 0, create: 0, update: 0, delete: 0, import: 0, forget: 0, unknown: 0 };
+        resourceChanges.forEach((resource) => {
+            if(this.reviewer.getResourceChangeInfo(resource, changeCount) === null) return;
+            resources[`${resource.address}|${resource.deposed || ""}`] = resource;
+        });
+        return resources;
+    }
+
+    /**
+     * @param {object} resource entry of resource_changes
+     * @returns {string}
+     * @memberof PlanComparer
+     */
+    getAddress(resource) {
+        return (resource.deposed === undefined) ? resource.address : `${resource.address} (deposed object ${resource.deposed})`;
+    }
+
+    /**
+     * Compares the planned action and values of a resource in both plans
+     *
+     * @param {object} oldResource entry of the old plan's resource_changes
+     * @param {object} newResource entry of the new plan's resource_changes
+     * @returns {object|null} null when nothing differs
+     * @memberof PlanComparer
+     */
+    getResourceComparison(oldResource, newResource) {
+        let oldActions = oldResource.change.actions;
+        let newActions = newResource.change.actions;
+        let comparison = {
+            address: this.getAddress(newResource),
+            oldActions: oldActions.slice(),
+            newActions: newActions.slice(),
+            actionChanged: !this.DEEPEQUAL(oldActions, newActions),
+            attributes: this.getAttributeComparisons(oldResource, newResource)
+        };
+        if(!comparison.actionChanged && comparison.attributes.length === 0) return null;
+        return comparison;
+    }
+
+    /**
+     * Gets the attributes whose planned values differ between the plans,
+     *  shaped like the attributes of a review so renderers can share code
+     *
+     * @param {object} oldResource
+     * @param {object} newResource
+     * @returns {object[]}
+     * @memberof PlanComparer
+     */
+    getAttributeComparisons(oldResource, newResource) {
+        let oldPlanned = this.getPlannedValues(oldResource);
+        let newPlanned = this.getPlannedValues(newResource);
+        // the old plan's planned values play the part of "before"
+        let sensitivityChange = {
+            before_sensitive: oldResource.change.after_sensitive,
+            after_sensitive: newResource.change.after_sensitive
+        };
+
+        let names = Object.keys(oldPlanned).concat(Object.keys(newPlanned).filter((name) => oldPlanned[name] === undefined));
+        let attributes = [];
+        names.forEach((name) => {
+            let diff = {
+                oldValue: (oldPlanned[name] === undefined) ? null : oldPlanned[name],
+                newValue: (newPlanned[name] === undefined) ? null : newPlanned[name]
+            };
+            if(this.DEEPEQUAL(diff.oldValue, diff.newValue)) return;
+            // noise that is suppressed in reviews is noise between plans too
+            diff = this.reviewer.SUPPRESSIONS.apply(newResource.type, name, diff).diff;
+            if(diff === null || this.DEEPEQUAL(diff.oldValue, diff.newValue)) return;
+            let oldJson = this.JSON_SEMANTICS.parse(diff.oldValue);
+            let newJson = this.JSON_SEMANTICS.parse(diff.newValue);
+            if(oldJson !== undefined && newJson !== undefined && this.JSON_SEMANTICS.equals(oldJson, newJson)) return;
+
+            let change = this.CHANGES.UPDATE;
+            if(diff.oldValue !== null && diff.newValue === null) change = this.CHANGES.DELETE;
+            else if(diff.oldValue === null && diff.newValue !== null) change = this.CHANGES.CREATE;
+            let attribute = {
+                name: name,
+                change: change,
+                oldValue: diff.oldValue,
+                newValue: diff.newValue,
+                prediction: null,
+                jsonDiff: null,
+                jsonDiffPredicted: false,
+                nestedDiff: null,
+                sensitive: false,
+                forcesReplacement: false,
+                explanation: null
+            };
+            let sensitivity = this.reviewer.getAttributeSensitivity(name, diff, sensitivityChange);
+            attribute.sensitive = this.reviewer.SENSITIVE_VALUES.hasSensitive(sensitivity.old) || this.reviewer.SENSITIVE_VALUES.hasSensitive(sensitivity.new);
+            if(!attribute.sensitive) this.reviewer.setJsonDiff(attribute, oldJson, newJson);
+            this.reviewer.setNestedDiff(attribute, sensitivity);
+            this.reviewer.maskAttribute(attribute, sensitivity);
+            attributes.push(attribute);
+        });
+        return attributes;
+    }
+
+    /**
+     * Gets a resource's planned value per attribute, with (known after apply)
+     *  where the value isn't known yet.  Objects being destroyed have none.
+     *
+     * @param {object} resource entry of resource_changes
+     * @returns {object}
+     * @memberof PlanComparer
+     */
+    getPlannedValues(resource) {
+        let change = resource.change;
+        if(change.after === null || change.after === undefined) return {};
+        let afterUnknown = (change.after_unknown !== null && typeof change.after_unknown === "object") ? JSON.parse(JSON.stringify(change.after_unknown)) : {};
+        let diffs = this.reviewer.getAttributeDiffs(change.after, change.before, afterUnknown, resource);
+        let planned = {};
+        Object.keys(diffs).forEach((name) => {
+            if(diffs[name].newValue !== null && diffs[name].newValue !== undefined) planned[name] = diffs[name].newValue;
+        });
+        return planned;
+    }
+}
+
+module.exports = PlanComparer;
@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * Address lookups into a single plan.  Predictions look up configuration
+ *  and planned values for every attribute they predict, so rather than
+ *  scanning the module trees each time, the resources are indexed once:
+ *  planned_values resources and resource changes by instance address, and
+ *  configuration modules and their resources by module path (module calls
+ *  without instance keys) and address within the module.
+ */
+class PlanIndex {
+
+    /**
+     * @param {object} json parsed plan
+     */
+    constructor(json) {
+        this.plannedResources = new Map();
+        this.resourceChanges = new Map();
+        this.moduleResourceChanges = new Map();
+        this.configModules = new Map();
+
+        let plannedValues = json.planned_values;
+        if(plannedValues && plannedValues.root_module) this.addPlannedModule(plannedValues.root_module);
+        let configuration = json.configuration;
+        if(configuration && configuration.root_module) this.addConfigModule("", configuration.root_module);
+        this.hasConfiguration = this.configModules.size > 0;
+        let resourceChanges = (Array.isArray(json.resource_changes)) ? json.resource_changes : [];
+        for(let i=0; i<resourceChanges.length; i++) {
+            this.addResourceChange(resourceChanges[i]);
+        }
+    }
+
+    /**
+     * Indexes a resource change by address, and by module instance and
+     *  configuration address for references that don't name an instance.
+     *  Deposed objects aren't what configuration refers to.
+     *
+     * @param {object} resource entry of resource_changes
+     * @memberof PlanIndex
+     */
+    addResourceChange(resource) {
+        if(resource.deposed !== undefined) return;
+        if(!this.resourceChanges.has(resource.address)) this.resourceChanges.set(resource.address, resource);
+        let configAddress = (resource.mode === "managed") ? `${resource.type}.${resource.name}` : `${resource.mode}.${resource.type}.${resource.name}`;
+        let key = `${resource.module_address || ""}|${configAddress}`;
+        if(!this.moduleResourceChanges.has(key)) this.moduleResourceChanges.set(key, []);
+        this.moduleResourceChanges.get(key).push(resource);
+    }
+
+    /**
+     * Indexes the resources of a planned_values module and its child modules
+     *
+     * @param {object} plannedModule
+     * @memberof PlanIndex
+     */
+    addPlannedModule(plannedModule) {
+        let resources = (Array.isArray(plannedModule.resources)) ? plannedModule.resources : [];
+        for(let i=0; i<resources.length; i++) {
+            // the first one wins, like the scan this replaces
+            if(!this.plannedResources.has(resources[i].address)) this.plannedResources.set(resources[i].address, resources[i]);
+        }
+        let childModules = (Array.isArray(plannedModule.child_modules)) ? plannedModule.child_modules : [];
+        for(let i=0; i<childModules.length; i++) {
+            this.addPlannedModule(childModules[i]);
+        }
+    }
+
+    /**
+     * Indexes the resources of a configuration module and the modules it calls
+     *
+     * @param {string} modulePath e.g. module.a.module.b; "" for the root module
+     * @param {object} configModule
+     * @memberof PlanIndex
+     */
+    addConfigModule(modulePath, configModule) {
+        let resources = new Map();
+        let configResources = (Array.isArray(configModule.resources)) ? configModule.resources : [];
+        for(let i=0; i<configResources.length; i++) {
+            if(!resources.has(configResources[i].address)) resources.set(configResources[i].address, configResources[i]);
+        }
+        this.configModules.set(modulePath, { module: configModule, resources: resources });
+
+        let moduleCalls = (configModule.module_calls !== null && typeof configModule.module_calls === "object") ? configModule.module_calls : {};
+        Object.keys(moduleCalls).forEach((name) => {
+            if(!moduleCalls[name] || !moduleCalls[name].module) return;
+            let childPath = (modulePath === "") ? `module.${name}` : `${modulePath}.module.${name}`;
+            this.addConfigModule(childPath, moduleCalls[name].module);
+        });
+    }
+
+    /**
+     * @param {string} address full resource instance address
+     * @returns {object|null} resource of planned_values
+     * @memberof PlanIndex
+     */
+    getPlannedResource(address) {
+        let resource = this.plannedResources.get(address);
+        return (resource === undefined) ? null : resource;
+    }
+
+    /**
+     * Gets the resource changes of a resource, or of every instance of it
+     *  when the address has no instance key
+     *
+     * @param {string} moduleAddress module instance address; "" for the root module
+     * @param {string} relativeAddress resource address within the module
+     * @returns {object[]} entries of resource_changes
+     * @memberof PlanIndex
+     */
+    getResourceChanges(moduleAddress, relativeAddress) {
+        let address = (moduleAddress === "") ? relativeAddress : `${moduleAddress}.${relativeAddress}`;
+        if(this.resourceChanges.has(address)) return [this.resourceChanges.get(address)];
+        let instances = this.moduleResourceChanges.get(`${moduleAddress}|${relativeAddress}`);
+        return (instances === undefined) ? [] : instances;
+    }
+
+    /**
+     * @param {string} modulePath e.g. module.a.module.b; "" for the root module
+     * @returns {boolean}
+     * @memberof PlanIndex
+     */
+    hasConfigModule(modulePath) {
+        return this.configModules.has(modulePath);
+    }
+
+    /**
+     * @param {string} modulePath e.g. module.a.module.b; "" for the root module
+     * @returns {object|null} module of the configuration, with its module_calls, outputs and resources
+     * @memberof PlanIndex
+     */
+    getConfigModule(modulePath) {
+        let configModule = this.configModules.get(modulePath);
+        return (configModule === undefined) ? null : configModule.module;
+    }
+
+    /**
+     * @param {string} modulePath e.g. module.a.module.b; "" for the root module
+     * @param {string} configAddress resource address within the module, without instance key
+     * @returns {object|null} resource of the configuration
+     * @memberof PlanIndex
+     */
+    getConfigResource(modulePath, configAddress) {
+        let configModule = this.configModules.get(modulePath);
+        if(configModule === undefined) return null;
+        let resource = configModule.resources.get(configAddress);
+        return (resource === undefined) ? null : resource;
+    }
+}
+
+module.exports = PlanIndex;
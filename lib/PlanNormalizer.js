@@ -0,0 +1,77 @@
+"use strict";
+
+const ADDRESS_PARSER = require("./AddressParser");
+
+/**
+ * Evens out the differences between the plan JSON of Terraform 0.12
+ *  through 1.x and OpenTofu, so the review reads one shape: sections added
+ *  in later format versions (resource_drift and relevant_attributes) are
+ *  there, if empty, and so is the sensitivity of every change, which plans
+ *  before Terraform 0.14 don't include.  The plan passed in is left as it
+ *  is; the entries the review reads are copied.
+ */
+class PlanNormalizer {
+
+    constructor() {
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+    }
+
+    /**
+     * @param {object} json validated plan; see PlanValidator
+     * @returns {object} normalized plan
+     * @memberof PlanNormalizer
+     */
+    normalize(json) {
+        let plan = Object.assign({}, json);
+        plan.resource_changes = (json.resource_changes || []).map((resource) => this.normalizeResourceChange(resource));
+        plan.resource_drift = (json.resource_drift || []).map((resource) => this.normalizeResourceChange(resource));
+        plan.relevant_attributes = json.relevant_attributes || [];
+        plan.output_changes = {};
+        let outputChanges = json.output_changes || {};
+        Object.keys(outputChanges).forEach((name) => {
+            // an output is unknown as a whole or not at all
+            plan.output_changes[name] = this.normalizeChange(outputChanges[name], false);
+        });
+        return plan;
+    }
+
+    /**
+     * @param {object} resource entry of resource_changes or resource_drift
+     * @returns {object}
+     * @memberof PlanNormalizer
+     */
+    normalizeResourceChange(resource) {
+        let normalized = Object.assign({}, resource);
+        if(resource.module_address === undefined && resource.address.startsWith("module.")) {
+            // trimmed or hand-written plans may leave it out; the address has it
+            try {
+                let moduleAddress = this.ADDRESS_PARSER.parse(resource.address).moduleAddress;
+                if(moduleAddress !== "") normalized.module_address = moduleAddress;
+            }
+            catch(error) {
+                // reported where the address is used
+            }
+        }
+        normalized.change = this.normalizeChange(resource.change, {});
+        return normalized;
+    }
+
+    /**
+     * @param {object} change change of a resource or output
+     * @param {*} nothingUnknown after_unknown when nothing is unknown
+     * @returns {object}
+     * @memberof PlanNormalizer
+     */
+    normalizeChange(change, nothingUnknown) {
+        let normalized = Object.assign({}, change);
+        if(normalized.before === undefined) normalized.before = null;
+        if(normalized.after === undefined) normalized.after = null;
+        if(normalized.after_unknown === undefined) normalized.after_unknown = nothingUnknown;
+        // before Terraform 0.14 sensitive values aren't flagged
+        if(normalized.before_sensitive === undefined) normalized.before_sensitive = false;
+        if(normalized.after_sensitive === undefined) normalized.after_sensitive = false;
+        return normalized;
+    }
+}
+
+module.exports = PlanNormalizer;
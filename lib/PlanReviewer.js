@@ -1,351 +1,774 @@
 "use strict";
 
+const CONSTANTS = require("./Constants");
+const COLOR_SUPPORT = require("./ColorSupport");
+const SUPPRESSION_RULES = require("./SuppressionRules");
+const PREDICTION_ENGINE = require("./PredictionEngine");
+const PREDICTOR = require("./predictors/Predictor");
+const RISK_ENGINE = require("./RiskEngine");
+const RULE = require("./rules/Rule");
+const REVIEW_VIEW = require("./ReviewView");
+const PLAN_COMPARER = require("./PlanComparer");
+const JSON_SEMANTICS = require("./JsonSemantics");
+const VALUE_DIFF = require("./ValueDiff");
+const SENSITIVE_VALUES = require("./SensitiveValues");
+const ADDRESS_PARSER = require("./AddressParser");
+const PLAN_INDEX = require("./PlanIndex");
+const UNKNOWN_EXPLAINER = require("./UnknownExplainer");
+const DEPENDENCY_GRAPH = require("./DependencyGraph");
+const IMPACT_SUMMARY = require("./ImpactSummary");
+const PLAN_VALIDATOR = require("./PlanValidator");
+const PLAN_NORMALIZER = require("./PlanNormalizer");
+const TEMPLATEFILE_FUNCTION_PREDICTOR = require("./predictors/TemplatefileFunctionPredictor");
+const TERMINAL_RENDERER = require("./renderers/TerminalRenderer");
+const JSON_RENDERER = require("./renderers/JsonRenderer");
+const MARKDOWN_RENDERER = require("./renderers/MarkdownRenderer");
+const HTML_RENDERER = require("./renderers/HtmlRenderer");
+
 class PlanReviewer {
 
-    constructor() {
+    /**
+     * @param {object} [options] typically the contents of .tfreviewrc.json
+     * @param {object[]} [options.suppress] attribute suppression rules
+     * @param {object} [options.redact] { attributes, values } regexes of values to mask
+     * @param {boolean} [options.defaultSuppressions] set false to drop the built-in suppression rules
+     * @param {object[]} [options.predictors] extra predictors: { predictor | module, resourceType, attribute }
+     * @param {object[]} [options.templates] templatefile() sources: { file, vars, resourceType, attribute }
+     * @param {string} [options.baseDir] directory that module and file paths are relative to
+     * @param {boolean} [options.explain] explain (known after apply) values by the upstream changes they depend on
+     * @param {boolean} [options.impact] add the impact summary, counts per resource type and module, to the review
+     * @param {string|object} [options.pricing] pricing table, or the JSON file holding it, to estimate the cost
+     *      delta of the impact summary with; implies impact.  See ImpactSummary.
+     */
+    constructor(options = {}) {
         this.FS = require("fs");
-        this.DEEPMERGE = require("deepmerge");
+        this.PATH = require("path");
         this.DEEPEQUAL = require("deep-eql");
-                       
-        this.NO_CHANGES_OUTPUT = "No changes. Infrastructure is up-to-date.";
-        this.KNOWN_AFTER_APPLY = "(known after apply)";
-        this.CLOSE_RESOURCE = "}\n\n";
-
-        this.CHANGE_MARKERS = {
-            "READ": "<=",
-            "CREATE": "+",
-            "DELETE": "-",
-            "UPDATE": "~",
-            "UNKNOWN":"?"
-        };
 
-        this.CHANGES = {
-            "READ": "read",
-            "CREATE": "create",
-            "UPDATE": "update",
-            "DELETE": "delete",            
-            "UNKNOWN": "unknown"
-        };
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.SENSITIVE = CONSTANTS.SENSITIVE;
+        this.CHANGES = CONSTANTS.CHANGES;
+        this.REPLACE = CONSTANTS.REPLACE;
+
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+        // address indexes, built once per plan the first time one is needed
+        this.planIndexes = new WeakMap();
+        this.PLAN_VALIDATOR = new PLAN_VALIDATOR();
+        this.PLAN_NORMALIZER = new PLAN_NORMALIZER();
+        // plan passed in -> its normalized copy; normalized plans map to themselves
+        this.normalizedPlans = new WeakMap();
+        this.JSON_SEMANTICS = new JSON_SEMANTICS();
+        this.VALUE_DIFF = new VALUE_DIFF();
+        this.NESTED_DIFF = new VALUE_DIFF({ collapseSingleItemLists: true });
+        this.SENSITIVE_VALUES = new SENSITIVE_VALUES(options.redact);
+        this.SUPPRESSIONS = new SUPPRESSION_RULES(options.suppress, options.defaultSuppressions !== false);
+
+        this.PREDICTIONS = new PREDICTION_ENGINE(this);
+        this.PREDICTIONS.registerDefaults();
+        this.registerConfiguredPredictors(options);
+
+        this.EXPLAINER = (options.explain === true) ? new UNKNOWN_EXPLAINER(this) : null;
+        this.IMPACT = (options.impact === true || (options.pricing !== undefined && options.pricing !== null)) ? new IMPACT_SUMMARY(this.loadPricing(options)) : null;
+
+        this.RISKS = new RISK_ENGINE(options.risk);
+        this.RISKS.registerDefaults(options.risk);
+        this.registerConfiguredRules(options);
 
-        this.COLOR = {
-            RED: "\x1b[31m",
-            GREEN: "\x1b[32m",
-            YELLOW: "\x1b[33m",
-            RESET: "\x1b[0m",
-            BLUE: "\x1b[34m"
+        this.RENDERERS = {
+            "terminal": TERMINAL_RENDERER,
+            "json": JSON_RENDERER,
+            "markdown": MARKDOWN_RENDERER,
+            "html": HTML_RENDERER
         };
-  
     }
 
     /**
-     * Process the plan file
-     * @param {*} planFile     
+     * Process the plan file and output the rendered review
+     * @param {*} planFile
+     * @param {object} [options]
+     * @param {string} [options.format] one of the keys of RENDERERS; defaults to terminal
+     * @param {string} [options.out] file to write the output to instead of the console
+     * @param {boolean} [options.color] color terminal output; by default only when the console is a terminal, see ColorSupport
+     * @param {object} [options.view] filters and grouping; see ReviewView
+     * @returns {object} review model, or undefined if the plan could not be reviewed
      * @memberof PlanReviewer
      */
-    async process(planFile) {
-        try {            
+    async process(planFile, options = {}) {
+        try {
+            let renderer = this.getRenderer(options.format, { color: COLOR_SUPPORT.isEnabled(options, process.env, process.stdout) });
             if(!this.FS.existsSync(planFile)) throw new Error(`Plan file not found: ${planFile}`);
             let json = JSON.parse(this.FS.readFileSync(planFile));
+            let review = this.review(json, options.view);
+            let output = renderer.render(review);
+            if(options.out) this.FS.writeFileSync(options.out, output);
+            else console.log(output);
+            return review;
+        }
+        catch(error) {
+            console.log(`Unexpected error: ${error}`);
+            console.log(`Error stack: ${error.stack}`);
+        }
+    }
 
-            if(Array.isArray(json.resource_changes)) {
-                console.log("\n");
-                let changeCount = {
-                    read: 0,
-                    create: 0,
-                    update: 0,
-                    delete: 0,
-                    unknown: 0
-                };
-
-                /*
-                    iterate the changes listed in plan json and output changes
-                        using simplified model
-                */
-                for(let i=0; i<json.resource_changes.length; i++) {
-                    let resource = json.resource_changes[i];                    
-                    let changeInfo = this.getResourceChangeInfo(resource.change.actions, changeCount);
-                    if(changeInfo === null) continue; // no change to report
-                    else {                        
-                        let line = changeInfo.symbols.join("");  
-                        line = line.trim();  
-                        // single character w/ color will already have 10 total characters                    
-                        line = line.padStart(11, " ");
-                        if(resource.mode != "managed") {
-                            line = `${line} ${resource.mode}`
-                        }                        
-                        line = `${line} "${resource.type}" "${resource.name}"  {`;
-                        console.log(line);
-
-                        // skip the details if only a delete is occuring
-                        if(changeInfo.changes.length === 1 && changeInfo.changes[0] === this.CHANGES.DELETE) {
-                            console.log(this.CLOSE_RESOURCE);
-                            continue;
-                        } 
-                    }
+    /**
+     * Registers a predictor ahead of the built-in ones
+     *
+     * @param {Predictor} predictor object with name and predict(context); see predictors/Predictor.js
+     * @param {object} [match] { resourceType, attribute } globs
+     * @memberof PlanReviewer
+     */
+    registerPredictor(predictor, match = {}) {
+        this.PREDICTIONS.register(predictor, Object.assign({}, match, { first: true }));
+    }
 
-                    /*
-                        If resource action is only READ, then skip the details
-                    */
-                    if(changeInfo.changes.length === 1 && changeInfo.changes[0] === this.CHANGES.READ) {
-                        console.log(this.CLOSE_RESOURCE);
-                        continue;
-                    }
+    /**
+     * Registers a risk rule after the built-in ones
+     *
+     * @param {Rule} rule object with name, severity and evaluate(context); see rules/Rule.js
+     * @memberof PlanReviewer
+     */
+    registerRiskRule(rule) {
+        this.RISKS.register(rule);
+    }
 
-                    /*
-                        Iterate through the attributes of a single resource
-                    */
-                    let diffs = this.getAttributeDiffs(resource.change.after, resource.change.before, resource.change.after_unknown, resource);
-                    let diffKeys = Object.keys(diffs);
-                    for(let j=0; j<diffKeys.length; j++) {                        
-                        let attribute = diffKeys[j];
-                        let diff = diffs[attribute];
-                        let line;
-                        
-                        /*
-                            Certain (known after apply) attributes for select resources 
-                            can be skipped to limit output to important changes
-                        */
-                        if(this.shouldSkipDiffKnownAfter(resource, diff, attribute) ||
-                            this.shouldSkipAlways(resource, attribute)) continue;
-
-                        if(this.DEEPEQUAL(diff.oldValue, diff.newValue)) continue; // skip line
-                        else if(diff.oldValue !== null && diff.newValue === null) {                            
-                            line =`\t${this.COLOR.RED}${this.CHANGE_MARKERS.DELETE}${this.COLOR.RESET}`;
-                        }
-                        else if(diff.oldValue === null && diff.newValue !== null) {
-                            line = `\t${this.COLOR.GREEN}${this.CHANGE_MARKERS.CREATE}${this.COLOR.RESET}`;
-                        }
-                        else if(diff.oldValue !== diff.newValue) {
-                            line = `\t${this.COLOR.YELLOW}${this.CHANGE_MARKERS.UPDATE}${this.COLOR.RESET}`;
-                        }                        
-                        
-                        line = `${line} ${attribute}`;
-                        line = line.padEnd(45, " ");
-                        line = `${line}= `;
-                        
-                        // display old value if it exists
-                        if(diff.oldValue !== null) {
-                            /*
-                                There are cases when diff.newValue will be (known after apply),
-                                    but it probably should not changes because all variables are known.
-                                    We need to make that complicated determination
-                            */
-                            let predictedNewValue = this.getPredictedNewValue(diff, resource, json);                            
-                            if(diff.newValue === this.KNOWN_AFTER_APPLY && predictedNewValue !== null) {                                
-                                try {
-                                    if(diff.newValue === predictedNewValue || this.DEEPEQUAL(JSON.parse(diff.oldValue), JSON.parse(predictedNewValue))) {
-                                        line = `${line} ${this.COLOR.YELLOW}->${this.COLOR.RESET} (Rendered - Predicting No Change)`;
-                                        console.log(line);
-                                        continue; // skip to next spec
-                                    }
-                                    // otherwise we will continue to next block which prints old value like always
-                                }
-                                catch(error) {
-                                    console.log(`***Unexpected error comparing oldValue and new predictedValue`);
-                                }                                
-                            }
-
-                            // output old value
-                            switch(typeof diff.oldValue) {
-                                case "string":
-                                    line = `${line}"${diff.oldValue}"`;
-                                    break;
-                                case "object":
-                                    if(Array.isArray(diff.oldValue) && diff.oldValue.length == 1) {
-                                        line = `${line}${JSON.stringify(diff.oldValue[0], null, 4)}`;
-                                    }
-                                    else {
-                                        line = `${line}${JSON.stringify(diff.oldValue, null, 4)}`;
-                                    }                                    
-                                    break;
-                                default:
-                                    line = `${line}${diff.oldValue}`;
-                            }
-                            line = `${line} ${this.COLOR.YELLOW}->${this.COLOR.RESET} `;
-                        }
+    /**
+     * Registers the custom risk rules listed under risk.rules in the options
+     *
+     * @param {object} options
+     * @memberof PlanReviewer
+     */
+    registerConfiguredRules(options) {
+        let baseDir = options.baseDir || process.cwd();
+        let rules = (options.risk && options.risk.rules) || [];
+        if(!Array.isArray(rules)) throw new Error("risk.rules must be an array.");
+        for(let i=0; i<rules.length; i++) {
+            let entry = rules[i];
+            let rule = (entry === null) ? undefined : entry.rule;
+            if(rule === undefined && entry !== null && typeof entry.module === "string") {
+                rule = require(this.PATH.resolve(baseDir, entry.module));
+            }
+            if(typeof rule === "function") rule = new rule();
+            if(rule === undefined) throw new Error(`risk.rules[${i}] requires a rule or module.`);
+            this.registerRiskRule(rule);
+        }
+    }
 
-                        // always display new value
-                        switch(typeof diff.newValue) {
-                            case "string":
-                                if(diff.newValue === this.KNOWN_AFTER_APPLY) {
-                                    line = `${line}${this.KNOWN_AFTER_APPLY}`;
-                                }
-                                else {
-                                    line = `${line}"${diff.newValue}"`;
-                                }                                
-                                break;
-                            case "object":
-                                /*
-                                    Seems like this value will be array or json object;
-                                    for array with single json object, we'll output the object w/o 
-                                    the array wrapping it.  This is more similar to TF output.
-                                */
-                                if(Array.isArray(diff.newValue) && diff.newValue.length == 1 && 
-                                    this.isObject(diff.newValue[0])) {
-                                    line = `${line}${JSON.stringify(diff.newValue[0], null, 4)}`;
-                                }
-                                else {
-                                    line = `${line}${JSON.stringify(diff.newValue, null, 4)}`;
-                                }                                    
-                                break;                          
-                            default:
-                                line = `${line}${diff.newValue}`;
-                        }
-                        console.log(`${line}`);                                        
-                    }
-                    console.log(this.CLOSE_RESOURCE);
-                }
+    /**
+     * Registers the predictors and templatefile() sources named in the options
+     *
+     * @param {object} options
+     * @memberof PlanReviewer
+     */
+    registerConfiguredPredictors(options) {
+        let baseDir = options.baseDir || process.cwd();
+        let predictors = options.predictors || [];
+        let templates = options.templates || [];
+        if(!Array.isArray(predictors)) throw new Error("predictors must be an array.");
+        if(!Array.isArray(templates)) throw new Error("templates must be an array.");
 
-                // generate overall summary
-                let changeSummary = `  Plan: ${this.COLOR.GREEN}${changeCount.create}${this.COLOR.RESET} to add`;
-                changeSummary = `${changeSummary}, ${this.COLOR.YELLOW}${changeCount.update}${this.COLOR.RESET} to change`;
-                changeSummary = `${changeSummary}, ${this.COLOR.RED}${changeCount.delete}${this.COLOR.RESET} to destroy.`;
-                console.log(changeSummary);
-                console.log("\n\n");
-            }
-            else {
-                console.log(`${this.COLOR.GREEN}${this.NO_CHANGES_OUTPUT}${this.COLOR.RESET}`);
+        /*
+            register in reverse since each registration goes ahead of the rest;
+            this way the first configured entry is asked first
+        */
+        for(let i=templates.length - 1; i>=0; i--) {
+            let entry = templates[i];
+            if(entry === null || typeof entry.file !== "string") throw new Error(`templates[${i}] requires a file.`);
+            // a template only renders one attribute; without it every (known after apply) value would be predicted from it
+            if(typeof entry.attribute !== "string") throw new Error(`templates[${i}] requires an attribute.`);
+            let templateFile = this.PATH.resolve(baseDir, entry.file);
+            if(!this.FS.existsSync(templateFile)) throw new Error(`Template file not found: ${templateFile}`);
+            let predictor = new TEMPLATEFILE_FUNCTION_PREDICTOR(this.FS.readFileSync(templateFile, "utf8"), entry.vars);
+            this.registerPredictor(predictor, entry);
+        }
+        for(let i=predictors.length - 1; i>=0; i--) {
+            let entry = predictors[i];
+            let predictor = (entry === null) ? undefined : entry.predictor;
+            if(predictor === undefined && entry !== null && typeof entry.module === "string") {
+                predictor = require(this.PATH.resolve(baseDir, entry.module));
             }
-          
-        }  
+            if(typeof predictor === "function") predictor = new predictor();
+            if(predictor === undefined) throw new Error(`predictors[${i}] requires a predictor or module.`);
+            this.registerPredictor(predictor, entry);
+        }
+    }
+
+    /**
+     * Gets the pricing table named in the options, reading it from its file
+     *  when given one
+     *
+     * @param {object} options
+     * @returns {object|null}
+     * @memberof PlanReviewer
+     */
+    loadPricing(options) {
+        if(options.pricing === undefined || options.pricing === null) return null;
+        if(typeof options.pricing !== "string") return options.pricing;
+        let pricingFile = this.PATH.resolve(options.baseDir || process.cwd(), options.pricing);
+        if(!this.FS.existsSync(pricingFile)) throw new Error(`Pricing file not found: ${pricingFile}`);
+        try {
+            return JSON.parse(this.FS.readFileSync(pricingFile, "utf8"));
+        }
         catch(error) {
-            console.log(`Unexpected error: ${error}`);
-            console.log(`Error stack: ${error.stack}`);
+            throw new Error(`Pricing file ${pricingFile} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets a renderer instance for the requested output format
+     *
+     * @param {string} [format]
+     * @param {object} [options] passed through to the renderer constructor
+     * @returns {object} renderer with a render(review) method
+     * @memberof PlanReviewer
+     */
+    getRenderer(format = "terminal", options = {}) {
+        if(!Object.prototype.hasOwnProperty.call(this.RENDERERS, format)) {
+            throw new Error(`Unknown output format [${format}]; expected one of: ${Object.keys(this.RENDERERS).join(", ")}`);
         }
+        return new this.RENDERERS[format](options);
     }
 
     /**
-     * Situation where newValue is (known after apply) and before value is not null.
-     * We need to perform complex evaluation to determine if we can "predict" that a change
-     * will actually not take place
+     * Validates a parsed plan and normalizes it to the shape the review reads,
+     *  whichever Terraform or OpenTofu version wrote it.  Each plan is only
+     *  validated once.
      *
-     * @param {*} diff
-     * @param {*} resource
-     * @param {*} fullJson
+     * @param {object} json parsed output of terraform show -json
+     * @param {string} [what] names the plan in error messages
+     * @returns {object} normalized plan; see PlanNormalizer
      * @memberof PlanReviewer
      */
-    getPredictedNewValue(diff, resource, fullJson) {
+    normalizePlan(json, what = "Plan JSON") {
+        let normalized = (json !== null && typeof json === "object") ? this.normalizedPlans.get(json) : undefined;
+        if(normalized !== undefined) return normalized;
+        this.PLAN_VALIDATOR.validate(json, what);
+        normalized = this.PLAN_NORMALIZER.normalize(json);
+        this.normalizedPlans.set(json, normalized);
+        this.normalizedPlans.set(normalized, normalized);
+        return normalized;
+    }
+
+    /**
+     * Builds a plain review model from parsed plan JSON.  The model holds
+     *  every reported resource change with its actions, attribute diffs,
+     *  prediction results and risk findings, along with the overall counts.
+     *
+     * @param {object} json parsed output of terraform show -json
+     * @param {object} [view] filters and grouping; see ReviewView
+     * @param {function} [onResource] called with each resource review that passes the view's
+     *      filters as soon as it's built, along with the (filtered) review as it was before any
+     *      resources were added, which holds the drift; lets large plans be rendered incrementally
+     * @returns {object}
+     * @memberof PlanReviewer
+     */
+    review(json, view = {}, onResource = null) {
+        // validate the plan and view before doing any work
+        json = this.normalizePlan(json);
+        let reviewView = new REVIEW_VIEW(view);
+        let review = {
+            formatVersion: (json.format_version === undefined) ? null : json.format_version,
+            terraformVersion: (json.terraform_version === undefined) ? null : json.terraform_version,
+            resources: [],
+            changeCount: {
+                read: 0,
+                create: 0,
+                update: 0,
+                delete: 0,
+                import: 0,
+                forget: 0,
+                unknown: 0
+            },
+            findings: [],
+            findingCount: {
+                low: 0,
+                medium: 0,
+                high: 0,
+                critical: 0
+            },
+            outputs: [],
+            outputChangeCount: {
+                create: 0,
+                update: 0,
+                delete: 0
+            },
+            drift: [],
+            driftCount: {
+                update: 0,
+                delete: 0,
+                relevant: 0
+            },
+            refreshOnly: reviewView.refreshOnly,
+            hasChanges: false
+        };
+
+        // drift comes first so it can be rendered ahead of the resources
+        review.drift = this.getDriftReviews(json, review.driftCount);
+
         /*
-            Can only predict when new value is (known after apply) and resource
-            is type aws_iam_role_policy with expression.policy.references[0] as data.template_file.x
-        */       
-       if(diff.newValue !== this.KNOWN_AFTER_APPLY || 
-          !["aws_iam_role_policy", "aws_sfn_state_machine"].includes(resource.type)) return null;
-       else {           
-           let address = resource.address;                   
-           // find this address in configuration.root_module.resources
-           let configResourceWrapper = this.getConfigResourceWrapper(address, fullJson);
-           if(configResourceWrapper === null) return null;
-           let configResource = configResourceWrapper.resource;
-           // look at policy/definition and see if it's dependent on a single data.template_file
-           let dynamicAttribute;
-           /*
-                Is there an efficient way of doing this without knowing what attributes to be on the lookout for???
-                Doing lookup logic for every single attributes with value (known after apply) severely degrade performance?
-           */
-           switch(resource.type) {
-               case "aws_iam_role_policy":
-                   dynamicAttribute = "policy";
-                   break;
-               case "aws_sfn_state_machine":
-                   dynamicAttribute = "definition";
-                   break;
-               default:
-                 throw new Error(`Unexpected resource type: [${resource.type}]`);
-           }
-
-           if(typeof configResource.expressions != "object" || 
-             typeof configResource.expressions[dynamicAttribute] != "object" ||
-            !Array.isArray(configResource.expressions[dynamicAttribute].references) || 
-            configResource.expressions[dynamicAttribute].references.length != 1 ||
-            !(configResource.expressions[dynamicAttribute].references[0].startsWith("data.template_file.") || configResource.expressions[dynamicAttribute].references[0].indexOf(".data.template_file.") > -1)) return null;                        
-           
-           let templateAddress = configResource.expressions[dynamicAttribute].references[0];                      
-           /*
-              Find the template file resource in planned_values attribute of fullJson
-           */
-           let templateResource = this.getPlannedValuesModuleResource(templateAddress, configResourceWrapper.moduleName, fullJson);
-           if(templateResource == null) throw new Error(`Couldn't find template resource [${templateAddress}] in fullJson`);
-           let template = templateResource.values.template;
-           let templateVars = templateResource.values.vars;
-           if(typeof template !== "string" || typeof templateVars !== "object") return null           
-           /*
-            splice all vars into the template to generate the predicted new value
-           */
-           let varKeys = Object.keys(templateVars);           
-           for(let i=0; i<varKeys.length; i++) {
-               let varKey = varKeys[i];
-               let regex = new RegExp(`\\$\\{${varKey}\\}`, "gm");               
-               template = template.replace(regex, templateVars[varKey]);
-           }           
-           return template;
-       }
+            iterate the changes listed in plan json and build changes
+                using simplified model
+        */
+        let resourceChanges = (Array.isArray(json.resource_changes)) ? json.resource_changes : [];
+        // a refresh-only plan takes no actions; only its drift and outputs matter
+        if(reviewView.refreshOnly) resourceChanges = [];
+        let reviewSoFar = (onResource === null) ? null : reviewView.apply(review);
+        for(let i=0; i<resourceChanges.length; i++) {
+            let resource = resourceChanges[i];
+            let changeInfo = this.getResourceChangeInfo(resource, review.changeCount);
+            if(changeInfo === null) continue; // no change to report
+            let resourceReview = this.getResourceReview(resource, changeInfo, json);
+            resourceReview.findings = this.RISKS.evaluate(resource, resourceReview, json);
+            review.findings = review.findings.concat(resourceReview.findings);
+            review.resources.push(resourceReview);
+            if(onResource !== null && reviewView.matches(resourceReview)) onResource(resourceReview, reviewSoFar);
+        }
+        review.findings = this.RISKS.sort(review.findings);
+        review.findings.forEach((finding) => review.findingCount[finding.severity]++);
+
+        review.outputs = this.getOutputReviews(json, review.outputChangeCount);
+        review.hasChanges = review.resources.length > 0 || review.outputs.length > 0 || (review.refreshOnly && review.drift.length > 0);
+        review = reviewView.apply(review);
+        if(reviewView.order === "dependencies") this.orderByDependencies(review, this.getDependencyGraph(json));
+        // the summary covers what's shown
+        if(this.IMPACT !== null) review.impact = this.IMPACT.summarize(review.resources, json);
+        return review;
     }
 
     /**
-     * Get the matching resource from planned_values attribute/section of full plan file
+     * Orders the resources of a review so each comes after the changes it
+     *  depends on, and adds the dependencies of the changes as review.dependencies
+     *  (see DependencyGraph.getChangedSubgraph())
      *
-     * @param {*} relativeAddress
-     * @param {*} moduleName
-     * @param {*} fullJson
-     * @returns
+     * @param {object} review
+     * @param {DependencyGraph} graph
      * @memberof PlanReviewer
      */
-    getPlannedValuesModuleResource(relativeAddress, moduleName, fullJson) {
+    orderByDependencies(review, graph) {
+        let subgraph = graph.getChangedSubgraph(review.resources);
+        let position = new Map(subgraph.nodes.map((node, i) => [node.address, i]));
+        // a deposed object shares its address, and stays next to it
+        review.resources = review.resources.slice().sort((a, b) => position.get(a.address) - position.get(b.address));
+        review.dependencies = subgraph;
+    }
+
+    /**
+     * @param {object} json
+     * @returns {DependencyGraph} dependencies between the resource instances of the plan
+     * @memberof PlanReviewer
+     */
+    getDependencyGraph(json) {
+        return new DEPENDENCY_GRAPH(this.getPlanIndex(json));
+    }
+
+    /**
+     * Exports the dependencies between the changes of a plan as a graph
+     *
+     * @param {object} json parsed plan
+     * @param {string} format dot or mermaid
+     * @param {object} [view] filters; see ReviewView
+     * @returns {object} { review, graph } the review and the graph text
+     * @memberof PlanReviewer
+     */
+    exportGraph(json, format, view = {}) {
+        if(!["dot", "mermaid"].includes(format)) throw new Error(`Unknown graph format [${format}]; expected one of: dot, mermaid`);
+        json = this.normalizePlan(json);
+        let review = this.review(json, Object.assign({}, view, { order: "plan", groupBy: undefined }));
+        let graph = this.getDependencyGraph(json);
+        this.orderByDependencies(review, graph);
+        return {
+            review: review,
+            graph: (format === "dot") ? graph.toDot(review.dependencies) : graph.toMermaid(review.dependencies)
+        };
+    }
+
+    /**
+     * Builds the review model for the objects Terraform found changed outside
+     *  of Terraform while refreshing (resource_drift).  Drift that feeds into
+     *  planned changes, per relevant_attributes, is flagged as relevant on the
+     *  resource, its attributes and their nested paths.
+     *
+     * @param {object} json
+     * @param {object} driftCount tallied per change, plus the relevant ones
+     * @returns {object[]}
+     * @memberof PlanReviewer
+     */
+    getDriftReviews(json, driftCount) {
+        let resourceDrift = (Array.isArray(json.resource_drift)) ? json.resource_drift : [];
+        let relevantAttributes = (Array.isArray(json.relevant_attributes)) ? json.relevant_attributes : [];
+        // attribute paths per resource address
+        let relevantPaths = {};
+        relevantAttributes.forEach((relevant) => {
+            if(relevant === null || typeof relevant.resource !== "string") return;
+            if(relevantPaths[relevant.resource] === undefined) relevantPaths[relevant.resource] = [];
+            relevantPaths[relevant.resource].push((Array.isArray(relevant.attribute)) ? relevant.attribute : []);
+        });
+        // drift is tallied separately from the planned changes
+        let changeCount = { read: 0, create: 0, update: 0, delete: 0, import: 0, forget: 0, unknown: 0 };
+        let drift = [];
+        for(let i=0; i<resourceDrift.length; i++) {
+            let resource = resourceDrift[i];
+            let changeInfo = this.getResourceChangeInfo(resource, changeCount);
+            if(changeInfo === null) continue;
+
+            let driftReview = this.getResourceReview(resource, changeInfo, json);
+            let deleted = changeInfo.changes.includes(this.CHANGES.DELETE);
+            // worded like terraform plan's "Objects have changed outside of Terraform"
+            driftReview.description = `${resource.address} ${(deleted) ? "has been deleted" : "has changed"}`;
+            driftReview.notes = [];
+
+            let paths = (Object.prototype.hasOwnProperty.call(relevantPaths, resource.address)) ? relevantPaths[resource.address] : [];
+            driftReview.attributes.forEach((attribute) => {
+                attribute.relevant = false;
+                this.flagPaths(attribute, paths, "relevant");
+            });
+            // an empty path means the whole object is referenced
+            driftReview.relevant = paths.some((path) => path.length === 0) || (deleted && paths.length > 0) ||
+                driftReview.attributes.some((attribute) => attribute.relevant);
+
+            if(deleted) driftCount.delete++;
+            else driftCount.update++;
+            if(driftReview.relevant) {
+                driftReview.notes.push("(relevant to planned changes)");
+                driftCount.relevant++;
+            }
+            drift.push(driftReview);
+        }
+        return drift;
+    }
+
+    /**
+     * Compares two plans of the same configuration and reports the resources
+     *  added to or dropped from the plan, and those whose planned action or
+     *  planned attribute values differ
+     *
+     * @param {object} oldJson parsed plan that was reviewed before
+     * @param {object} newJson parsed plan to compare with it
+     * @returns {object} comparison model; see PlanComparer.compare()
+     * @memberof PlanReviewer
+     */
+    compare(oldJson, newJson) {
+        return new PLAN_COMPARER(this).compare(this.normalizePlan(oldJson, "Previous plan JSON"), this.normalizePlan(newJson));
+    }
+
+    /**
+     * Builds the review model for the root module outputs that change.  Each
+     *  output is shaped like a resource attribute so renderers can share code.
+     *
+     * @param {object} json
+     * @param {object} outputChangeCount tallied per change
+     * @returns {object[]}
+     * @memberof PlanReviewer
+     */
+    getOutputReviews(json, outputChangeCount) {
+        let outputChanges = (json.output_changes !== null && typeof json.output_changes === "object") ? json.output_changes : {};
+        let names = Object.keys(outputChanges);
+        let outputs = [];
+        for(let i=0; i<names.length; i++) {
+            let name = names[i];
+            let outputChange = outputChanges[name];
+            let actions = (Array.isArray(outputChange.actions)) ? outputChange.actions : [];
+            if(actions.length === 0 || (actions.length === 1 && actions[0] === "no-op")) continue;
+
+            let oldValue = (outputChange.before === undefined) ? null : outputChange.before;
+            let newValue = (outputChange.after === undefined) ? null : outputChange.after;
+            if(actions.includes(this.CHANGES.DELETE) && !actions.includes(this.CHANGES.CREATE)) newValue = null;
+            else if(outputChange.after_unknown === true) newValue = this.KNOWN_AFTER_APPLY;
+            else if(outputChange.after_unknown !== null && typeof outputChange.after_unknown === "object") {
+                newValue = this.mergeUnknown(newValue, outputChange.after_unknown);
+            }
+            if(this.DEEPEQUAL(oldValue, newValue)) continue;
+
+            let change = this.CHANGES.UPDATE;
+            if(oldValue === null) change = this.CHANGES.CREATE;
+            else if(newValue === null) change = this.CHANGES.DELETE;
+            outputChangeCount[change]++;
+
+            let declaredSensitive = this.isSensitiveOutput(name, json);
+            let sensitivity = {
+                old: (declaredSensitive) ? true : this.SENSITIVE_VALUES.getSensitivity(name, oldValue, outputChange.before_sensitive),
+                new: (declaredSensitive) ? true : this.SENSITIVE_VALUES.getSensitivity(name, newValue, outputChange.after_sensitive)
+            };
+            let output = {
+                name: name,
+                actions: actions.slice(),
+                change: change,
+                oldValue: oldValue,
+                newValue: newValue,
+                prediction: null,
+                jsonDiff: null,
+                jsonDiffPredicted: false,
+                nestedDiff: null,
+                sensitive: this.SENSITIVE_VALUES.hasSensitive(sensitivity.old) || this.SENSITIVE_VALUES.hasSensitive(sensitivity.new),
+                explanation: null
+            };
+            if(this.EXPLAINER !== null && this.EXPLAINER.isUnknown(newValue)) {
+                let explanation = this.EXPLAINER.explainOutput(name, json);
+                if(explanation.length > 0) output.explanation = explanation;
+            }
+            this.setNestedDiff(output, sensitivity);
+            this.maskAttribute(output, sensitivity);
+            outputs.push(output);
+        }
+        return outputs;
+    }
+
+    /**
+     * Indicates if a root module output is declared sensitive.  Older plans
+     *  only carry the flag in planned_values or the configuration.
+     *
+     * @param {string} name
+     * @param {object} json
+     * @returns {boolean}
+     * @memberof PlanReviewer
+     */
+    isSensitiveOutput(name, json) {
+        let planned = (json.planned_values && json.planned_values.outputs) ? json.planned_values.outputs[name] : undefined;
+        if(planned !== undefined && planned.sensitive === true) return true;
+        let configured = (json.configuration && json.configuration.root_module && json.configuration.root_module.outputs) ?
+            json.configuration.root_module.outputs[name] : undefined;
+        return configured !== undefined && configured.sensitive === true;
+    }
+
+    /**
+     * Builds the review model for a single resource change
+     *
+     * @param {object} resource entry of resource_changes
+     * @param {object} changeInfo
+     * @param {object} fullJson
+     * @returns {object}
+     * @memberof PlanReviewer
+     */
+    getResourceReview(resource, changeInfo, fullJson) {
+        let resourceReview = {
+            address: resource.address,
+            moduleAddress: (resource.module_address === undefined) ? null : resource.module_address,
+            mode: resource.mode,
+            type: resource.type,
+            name: resource.name,
+            actions: resource.change.actions.slice(),
+            changes: changeInfo.changes,
+            replace: changeInfo.replace,
+            actionReason: (resource.action_reason === undefined) ? null : resource.action_reason,
+            previousAddress: (changeInfo.moved) ? resource.previous_address : null,
+            importing: (changeInfo.importing) ? resource.change.importing : null,
+            deposed: (resource.deposed === undefined) ? null : resource.deposed,
+            description: null,
+            notes: [],
+            findings: [],
+            attributes: [],
+            suppressed: []
+        };
+        Object.assign(resourceReview, this.getResourceDescription(resource, changeInfo));
+
         /*
-            The address passed in is a relative name and NOT
-            fully qualified
-        */        
-        if(moduleName === "root_module") {
-            // only search root module
-            return this.getMatchingAddress(relativeAddress, fullJson.planned_values.root_module.resources);
-        } 
-        else {
+            skip the details if only a delete, read or forget is occuring
+        */
+        if(changeInfo.changes.length === 1 &&
+            [this.CHANGES.DELETE, this.CHANGES.READ, this.CHANGES.FORGET].includes(changeInfo.changes[0])) return resourceReview;
+        let replacePaths = (Array.isArray(resource.change.replace_paths)) ? resource.change.replace_paths : [];
+
+        /*
+            Iterate through the attributes of a single resource
+        */
+        let diffs = this.getAttributeDiffs(resource.change.after, resource.change.before, resource.change.after_unknown, resource);
+        let diffKeys = Object.keys(diffs);
+        for(let j=0; j<diffKeys.length; j++) {
+            let attribute = diffKeys[j];
+            let diff = diffs[attribute];
+            if(this.DEEPEQUAL(diff.oldValue, diff.newValue)) continue; // nothing to report
+            if(diff.warning !== undefined) resourceReview.notes.push(diff.warning);
+
             /*
-                Look in matching child module first then root if still no match
-            */               
-            if(Array.isArray(fullJson.planned_values.root_module.child_modules)){
-                for(let i=0; i<fullJson.planned_values.root_module.child_modules.length; i++) {
-                    let childModule = fullJson.planned_values.root_module.child_modules[i];
-                    if(childModule.address === `module.${moduleName}`) {
-                        // search for fully qualified name
-                        let resource = this.getMatchingAddress(`module.${moduleName}.${relativeAddress}`, childModule.resources);
-                        if (resource !== null) return resource;                        
-                        else break; // not in child modules specified by moduleName look in root module
-                    }
-                }                
+                Noisy attributes (or parts of them) can be suppressed by rule
+                to limit output to important changes
+            */
+            let suppression = this.SUPPRESSIONS.apply(resource.type, attribute, diff);
+            resourceReview.suppressed = resourceReview.suppressed.concat(suppression.suppressed);
+            diff = suppression.diff;
+            if(diff === null || this.DEEPEQUAL(diff.oldValue, diff.newValue)) continue;
+
+            /*
+                JSON encoded strings that only differ in key order or whitespace
+                (or IAM equivalent forms) aren't changes
+            */
+            let oldJson = this.JSON_SEMANTICS.parse(diff.oldValue);
+            let newJson = this.JSON_SEMANTICS.parse(diff.newValue);
+            if(oldJson !== undefined && newJson !== undefined && this.JSON_SEMANTICS.equals(oldJson, newJson)) continue;
+
+            let change = this.CHANGES.UPDATE;
+            if(diff.oldValue !== null && diff.newValue === null) change = this.CHANGES.DELETE;
+            else if(diff.oldValue === null && diff.newValue !== null) change = this.CHANGES.CREATE;
+
+            let reviewAttribute = {
+                name: attribute,
+                change: change,
+                oldValue: diff.oldValue,
+                newValue: diff.newValue,
+                prediction: (diff.oldValue === null) ? null : this.getPrediction(diff, attribute, resource, fullJson),
+                jsonDiff: null,
+                jsonDiffPredicted: false,
+                nestedDiff: null,
+                sensitive: false,
+                forcesReplacement: false,
+                explanation: null
+            };
+            let predictedNoChange = reviewAttribute.prediction !== null && reviewAttribute.prediction.noChange;
+            if(this.EXPLAINER !== null && !predictedNoChange && this.EXPLAINER.isUnknown(diff.newValue)) {
+                let explanation = this.EXPLAINER.explain(resource, attribute, fullJson);
+                if(explanation.length > 0) reviewAttribute.explanation = explanation;
             }
-            // no matching template in the child module, lets check root
-            return this.getMatchingAddress(fullAddress, fullJson.planned_values.root_module.resources);
-        }         
+            let sensitivity = this.getAttributeSensitivity(attribute, diff, resource.change);
+            reviewAttribute.sensitive = this.SENSITIVE_VALUES.hasSensitive(sensitivity.old) || this.SENSITIVE_VALUES.hasSensitive(sensitivity.new);
+            // JSON documents are single values to Terraform; a sensitive one is masked as a whole
+            if(!reviewAttribute.sensitive) this.setJsonDiff(reviewAttribute, oldJson, newJson);
+            this.setNestedDiff(reviewAttribute, sensitivity);
+            this.flagPaths(reviewAttribute, replacePaths, "forcesReplacement");
+            this.maskAttribute(reviewAttribute, sensitivity);
+            resourceReview.attributes.push(reviewAttribute);
+        }
+        return resourceReview;
     }
 
     /**
-     * Certain resources with (known after apply) new values don't add much value
+     * Adds the structural diff of JSON encoded string attributes, so only the
+     *  changed paths are shown instead of both whole documents.  When the new
+     *  value is (known after apply) but predicted to change, the predicted
+     *  value is diffed instead.
      *
-     * @param {*} resource
-     * @param {*} diff
-     * @param {*} attribute
+     * @param {object} reviewAttribute
+     * @param {object|Array|undefined} oldJson parsed old value
+     * @param {object|Array|undefined} newJson parsed new value
      * @memberof PlanReviewer
      */
-    shouldSkipDiffKnownAfter(resource, diff, attribute) {        
-        if(diff.newValue !== this.KNOWN_AFTER_APPLY) return false;
-        else if(resource.type === "aws_lambda_function" && ["last_modified", "qualified_arn"].includes(attribute)) return true;        
-        else return false;
+    setJsonDiff(reviewAttribute, oldJson, newJson) {
+        if(oldJson === undefined) return;
+        let prediction = reviewAttribute.prediction;
+        if(newJson === undefined && prediction !== null && !prediction.noChange && !prediction.error) {
+            newJson = this.JSON_SEMANTICS.parse(prediction.value);
+            reviewAttribute.jsonDiffPredicted = (newJson !== undefined);
+        }
+        if(newJson === undefined) return;
+        reviewAttribute.jsonDiff = this.VALUE_DIFF.diff(this.JSON_SEMANTICS.normalize(oldJson), this.JSON_SEMANTICS.normalize(newJson));
     }
 
     /**
-     * Indicates if outputter should skip this resource attribute
+     * There are cases when diff.newValue will be (known after apply),
+     *  but it probably should not change because all variables are known.
+     *  The registered predictors make that complicated determination.
+     *  Returns null when no prediction could be made.
      *
-     * @param {*} resource
-     * @param {*} attribute
-     * @returns
+     * @param {object} diff
+     * @param {string} attribute
+     * @param {object} resource
+     * @param {object} fullJson
+     * @returns {object} { predictor, value, noChange[, error] }
      * @memberof PlanReviewer
      */
-    shouldSkipAlways(resource, attribute) {
-        
-        if(resource.type === "aws_lambda_function" && ["source_code_hash"].includes(attribute)) return true;        
-        else return false;
+    getPrediction(diff, attribute, resource, fullJson) {
+        return this.PREDICTIONS.predict(diff, attribute, resource, fullJson);
+    }
+
+    /**
+     * Gets the sensitivity structures of an attribute's old and new value
+     *  from before_sensitive/after_sensitive and the configured name patterns
+     *
+     * @param {string} attribute
+     * @param {object} diff
+     * @param {object} change the resource's change section
+     * @returns {object} { old, new }
+     * @memberof PlanReviewer
+     */
+    getAttributeSensitivity(attribute, diff, change) {
+        let beforeSensitive = (change.before_sensitive !== null && typeof change.before_sensitive === "object") ? change.before_sensitive[attribute] : change.before_sensitive;
+        let afterSensitive = (change.after_sensitive !== null && typeof change.after_sensitive === "object") ? change.after_sensitive[attribute] : change.after_sensitive;
+        return {
+            old: this.SENSITIVE_VALUES.getSensitivity(attribute, diff.oldValue, beforeSensitive),
+            new: this.SENSITIVE_VALUES.getSensitivity(attribute, diff.newValue, afterSensitive)
+        };
+    }
+
+    /**
+     * Replaces sensitive values of a review attribute with (sensitive) and
+     *  redacts strings matching the configured value patterns.  Diffs are
+     *  computed beforehand so a changed secret still shows as a change.
+     *
+     * @param {object} reviewAttribute
+     * @param {object} sensitivity { old, new }
+     * @memberof PlanReviewer
+     */
+    maskAttribute(reviewAttribute, sensitivity) {
+        let masker = this.SENSITIVE_VALUES;
+        reviewAttribute.oldValue = masker.redactStrings(masker.mask(reviewAttribute.oldValue, sensitivity.old));
+        if(reviewAttribute.newValue !== this.KNOWN_AFTER_APPLY) {
+            reviewAttribute.newValue = masker.redactStrings(masker.mask(reviewAttribute.newValue, sensitivity.new));
+        }
+        let prediction = reviewAttribute.prediction;
+        if(prediction !== null) {
+            prediction.value = (masker.hasSensitive(sensitivity.new)) ? this.SENSITIVE : masker.redactStrings(prediction.value);
+        }
+        if(reviewAttribute.jsonDiff !== null) reviewAttribute.jsonDiff = masker.redactStrings(reviewAttribute.jsonDiff);
+        if(reviewAttribute.nestedDiff !== null) reviewAttribute.nestedDiff = masker.redactStrings(reviewAttribute.nestedDiff);
+    }
+
+    /**
+     * Adds the leaf-level diff of object and list attributes (nested blocks,
+     *  maps, sets), one entry per changed path such as environment.variables.LOG_LEVEL
+     *
+     * @param {object} reviewAttribute
+     * @param {object} [sensitivity] { old, new } structures of leaves to mask
+     * @memberof PlanReviewer
+     */
+    setNestedDiff(reviewAttribute, sensitivity = {}) {
+        let oldValue = reviewAttribute.oldValue;
+        let newValue = reviewAttribute.newValue;
+        if(oldValue === null || newValue === null || typeof oldValue !== "object" || typeof newValue !== "object") return;
+
+        let name = reviewAttribute.name;
+        let diffSensitivity = {
+            old: sensitivity.old,
+            new: sensitivity.new,
+            masker: this.SENSITIVE_VALUES
+        };
+        reviewAttribute.nestedDiff = this.NESTED_DIFF.diff(oldValue, newValue, diffSensitivity).map((change) => {
+            let path = name;
+            if(change.path.startsWith("[")) path = `${name}${change.path}`;
+            else if(change.path.length > 0) path = `${name}.${change.path}`;
+            return Object.assign(change, { path: path, forcesReplacement: false });
+        });
+    }
+
+    /**
+     * Get the matching resource from planned_values attribute/section of full plan file
+     *
+     * @param {string} relativeAddress resource address within the module, e.g. data.template_file.x
+     * @param {string} moduleName "root_module" or the module instance address, e.g. module.a["key"].module.b
+     * @param {object} fullJson
+     * @returns {object|null}
+     * @memberof PlanReviewer
+     */
+    getPlannedValuesModuleResource(relativeAddress, moduleName, fullJson) {
+        /*
+            The address passed in is a relative name and NOT
+            fully qualified
+        */
+        let address = (moduleName === "root_module") ? relativeAddress : `${moduleName}.${relativeAddress}`;
+        return this.getPlanIndex(fullJson).getPlannedResource(address);
+    }
+
+    /**
+     * Gets the address indexes of a plan, building them on first use
+     *
+     * @param {object} fullJson
+     * @returns {PlanIndex}
+     * @memberof PlanReviewer
+     */
+    getPlanIndex(fullJson) {
+        let planIndex = this.planIndexes.get(fullJson);
+        if(planIndex === undefined) {
+            planIndex = new PLAN_INDEX(fullJson);
+            this.planIndexes.set(fullJson, planIndex);
+        }
+        return planIndex;
     }
 
     /**
@@ -368,88 +791,225 @@ class PlanReviewer {
     /**
      * Returns an object containing a resource and its moduleName
      *   from within the "configuration" attribute of plan JSON file.
+     *   Nested module calls are followed down the whole module tree;
+     *   instance keys are dropped since configuration isn't expanded.
      *
-     * @param {*} fullAddress
-     * @param {*} fullJson
-     * @returns
+     * @param {string} fullAddress
+     * @param {object} fullJson
+     * @returns {object} { resource, moduleName, moduleAddress }; moduleName is
+     *      "root_module" or the module instance address
      * @memberof PlanReviewer
      */
     getConfigResourceWrapper(fullAddress, fullJson) {
-        let addressTokens = fullAddress.split(".");
-        let tokenCount = addressTokens.length;
-        let configResource;
-        let moduleName;
-
-        if(tokenCount <=2 ) {
-            configResource = this.getMatchingAddress(fullAddress, fullJson.configuration.root_module.resources);
-            moduleName = "root_module";
+        let address = this.ADDRESS_PARSER.parse(fullAddress);
+        let planIndex = this.getPlanIndex(fullJson);
+        if(!planIndex.hasConfiguration) {
+            throw new Error(`Plan JSON has no configuration to find change address [${fullAddress}] in.`);
         }
-        else {
-            configResource = this.getMatchingAddress(`${addressTokens[tokenCount-2]}.${addressTokens[tokenCount-1]}`, fullJson.configuration.root_module.module_calls[addressTokens[tokenCount-3]].module.resources);
-            moduleName = addressTokens[tokenCount-3];
+
+        let modulePath = "";
+        for(let i=0; i<address.modules.length; i++) {
+            modulePath = (modulePath === "") ? `module.${address.modules[i].name}` : `${modulePath}.module.${address.modules[i].name}`;
+            if(!planIndex.hasConfigModule(modulePath)) {
+                throw new Error(`Couldn't find module call [${address.modules[i].name}] of change address [${fullAddress}] in plan JSON.`);
+            }
         }
 
-        if(configResource === undefined) {
+        let configResource = planIndex.getConfigResource(modulePath, address.configAddress);
+        if(configResource === null) {
             throw new Error(`Couldn't find change address [${fullAddress}] in plan JSON.`);
-        } 
-        else return {
+        }
+        return {
             resource: configResource,
-            moduleName: moduleName
+            moduleName: (address.moduleAddress === "") ? "root_module" : address.moduleAddress,
+            moduleAddress: address.moduleAddress
         };
     }
 
     /**
-     * Gets symbols to display for the resource's pending changes
+     * Flags the attribute, and the changed paths within it, that Terraform
+     *  lists by path, e.g. in replace_paths as forcing the resource to be
+     *  replaced or in relevant_attributes as feeding planned changes
      *
-     * @param {*} actions
+     * @param {object} reviewAttribute
+     * @param {Array<Array<string|number>>} paths attribute paths as steps, e.g. [["ebs", 0, "size"]]
+     * @param {string} flag name of the boolean to set, e.g. forcesReplacement
+     * @memberof PlanReviewer
+     */
+    flagPaths(reviewAttribute, paths, flag) {
+        let formattedPaths = paths
+            .filter((path) => Array.isArray(path) && path[0] === reviewAttribute.name)
+            .map((path) => this.NESTED_DIFF.formatPath(path));
+        if(formattedPaths.length === 0) return;
+
+        reviewAttribute[flag] = true;
+        if(reviewAttribute.nestedDiff === null) return;
+        reviewAttribute.nestedDiff.forEach((change) => {
+            // a path may name a whole block, or something within a block that is added or removed
+            change[flag] = formattedPaths.some((path) => this.isSameOrWithinPath(change.path, path) || this.isSameOrWithinPath(path, change.path));
+        });
+    }
+
+    /**
+     * @param {string} path formatted path, e.g. ebs_block_device[0].volume_size
+     * @param {string} parent
+     * @returns {boolean}
+     * @memberof PlanReviewer
+     */
+    isSameOrWithinPath(path, parent) {
+        if(this.NESTED_DIFF.collapseSingleItemLists) {
+            // single item blocks are shown without their [0]
+            path = path.replace(/\[0\]/g, "");
+            parent = parent.replace(/\[0\]/g, "");
+        }
+        return path === parent || path.startsWith(`${parent}.`) || path.startsWith(`${parent}[`);
+    }
+
+    /**
+     * Gets the changes pending for the resource's actions and tallies them
+     *  the way terraform plan does: a replacement is one add and one destroy,
+     *  imports and forgets are counted separately and moves aren't counted.
+     *
+     * @param {object} resource entry of resource_changes
      * @param {object} changeCount
+     * @returns {object|null} { changes, replace, moved, importing }, or null when there is nothing to report
      * @memberof PlanReviewer
      */
-    getResourceChangeInfo(actions, changeCount) {
+    getResourceChangeInfo(resource, changeCount) {
+        let actions = resource.change.actions;
         let changeInfo = {
-            symbols: [],
-            changes: []
+            changes: [],
+            replace: null,
+            moved: typeof resource.previous_address === "string" && resource.previous_address !== resource.address,
+            importing: resource.change.importing !== undefined && resource.change.importing !== null
         };
-        let symbols = changeInfo.symbols;
         let changes = changeInfo.changes;
-        if(actions.length === 1 && actions[0] === "no-op") return null;
+        let noOp = actions.length === 1 && actions[0] === "no-op";
+        // moves and imports are worth a look even when nothing else changes
+        if(noOp && !changeInfo.moved && !changeInfo.importing) return null;
+        if(changeInfo.importing) changeCount.import++;
+        if(noOp) return changeInfo;
 
         for(let i=0; i<actions.length; i++) {
             let action = actions[i];
-            switch(action) {                
+            switch(action) {
                 case this.CHANGES.READ:
-                    changeCount.read++;
-                    symbols.push(`${this.COLOR.BLUE}${this.CHANGE_MARKERS.READ}${this.COLOR.RESET}`);
-                    changes.push(this.CHANGES.READ);
-                    break;
                 case this.CHANGES.CREATE:
-                    changeCount.create++;
-                    symbols.push(`${this.COLOR.GREEN}${this.CHANGE_MARKERS.CREATE}${this.COLOR.RESET}`);
-                    changes.push(this.CHANGES.CREATE);
-                    break;
                 case this.CHANGES.UPDATE:
-                    changeCount.update++;
-                    symbols.push(`${this.COLOR.YELLOW}${this.CHANGE_MARKERS.UPDATE}${this.COLOR.RESET}`);
-                    changes.push(this.CHANGES.UPDATE);
-                    break;
                 case this.CHANGES.DELETE:
-                    changeCount.delete++;
-                    symbols.push(`${this.COLOR.RED}${this.CHANGE_MARKERS.DELETE}${this.COLOR.RESET}`);
-                    changes.push(this.CHANGES.DELETE);
-                    break;        
+                case this.CHANGES.FORGET:
+                    changeCount[action]++;
+                    changes.push(action);
+                    break;
                 default:
                     changeCount.unknown++;
-                    symbols.push(`${this.COLOR.RED}${this.CHANGE_MARKERS.UNKNOWN}${this.COLOR.RESET}`);
                     changes.push(this.CHANGES.UNKNOWN);
             }
         }
+        if(changes.length === 2 && changes.includes(this.CHANGES.DELETE) && changes.includes(this.CHANGES.CREATE)) {
+            changeInfo.replace = (changes[0] === this.CHANGES.DELETE) ? this.REPLACE.DESTROY_BEFORE_CREATE : this.REPLACE.CREATE_BEFORE_DESTROY;
+        }
         return changeInfo;
     }
 
+    /**
+     * Describes the change with the same wording as the comment terraform plan
+     *  prints above each resource, e.g. "aws_instance.web must be replaced",
+     *  plus its explanatory lines
+     *
+     * @param {object} resource entry of resource_changes
+     * @param {object} changeInfo
+     * @returns {object} { description, notes }
+     * @memberof PlanReviewer
+     */
+    getResourceDescription(resource, changeInfo) {
+        let reason = resource.action_reason;
+        let notes = [];
+        let description;
+        let changes = changeInfo.changes;
+        let only = (changes.length === 1) ? changes[0] : null;
+
+        if(changes.length === 0) {
+            // a plain move is the one case terraform names the previous address first
+            description = (changeInfo.moved) ? `has moved to ${resource.address}` : "will be imported";
+        }
+        else if(changeInfo.replace !== null) {
+            switch(reason) {
+                case "replace_because_tainted":
+                    description = "is tainted, so must be replaced";
+                    break;
+                case "replace_by_request":
+                    description = "will be replaced, as requested";
+                    break;
+                case "replace_by_triggers":
+                    description = "will be replaced due to changes in replace_triggered_by";
+                    break;
+                default:
+                    description = "must be replaced";
+            }
+        }
+        else if(only === this.CHANGES.CREATE) description = "will be created";
+        else if(only === this.CHANGES.UPDATE) description = "will be updated in-place";
+        else if(only === this.CHANGES.FORGET) description = "will no longer be managed by Terraform";
+        else if(only === this.CHANGES.READ) {
+            description = "will be read during apply";
+            if(reason === "read_because_config_unknown") notes.push("(config refers to values not yet known)");
+            else if(reason === "read_because_dependency_pending") notes.push("(depends on a resource or a module with changes pending)");
+            else if(reason === "read_because_check_nested") notes.push("(config will be reloaded to verify a check block)");
+        }
+        else if(only === this.CHANGES.DELETE) {
+            description = (resource.deposed === undefined) ? "will be destroyed" : `(deposed object ${resource.deposed}) will be destroyed`;
+            let note = this.getDeleteReason(resource);
+            if(note !== null) notes.push(note);
+        }
+        else {
+            description = `will be changed with unsupported actions [${resource.change.actions.join(", ")}]`;
+        }
+
+        if(changeInfo.moved && changes.length > 0) notes.push(`(moved from ${resource.previous_address})`);
+        if(changeInfo.importing && changes.length > 0) {
+            let importing = resource.change.importing;
+            notes.push(`(imported from ${JSON.stringify((importing.id !== undefined) ? importing.id : importing.identity)})`);
+        }
+        let address = (changes.length === 0 && changeInfo.moved) ? resource.previous_address : resource.address;
+        return {
+            description: `${address} ${description}`,
+            notes: notes
+        };
+    }
+
+    /**
+     * Explains why Terraform plans to destroy a resource instance
+     *
+     * @param {object} resource entry of resource_changes
+     * @returns {string|null}
+     * @memberof PlanReviewer
+     */
+    getDeleteReason(resource) {
+        switch(resource.action_reason) {
+            case "delete_because_no_resource_config":
+                return `(because ${resource.address} is not in configuration)`;
+            case "delete_because_no_module":
+                return `(because ${resource.module_address} is not in configuration)`;
+            case "delete_because_no_move_target":
+                return `(because ${resource.previous_address || resource.address} was moved to ${resource.address}, which is not in configuration)`;
+            case "delete_because_count_index":
+                return `(because index [${resource.index}] is out of range for count)`;
+            case "delete_because_each_key":
+                return `(because key [${JSON.stringify(resource.index)}] is not in for_each map)`;
+            case "delete_because_wrong_repetition":
+                if(resource.index === undefined) return "(because resource uses count or for_each)";
+                return (typeof resource.index === "number") ? "(because resource does not use count)" : "(because resource does not use for_each)";
+            default:
+                return null;
+        }
+    }
+
     /**
      * Gets an object with attribute keys. Object contains property
      *      - oldValue
      *      - newValue     
+     *      - warning, only when after_unknown couldn't be merged into newValue
      *
      * @param {*} newState
      * @param {*} oldState
@@ -563,46 +1123,23 @@ class PlanReviewer {
                     continue;
                 }
                 else if(diffs[key].newValue === null) {
-                    // take over value
-                    diffs[key].newValue = afterState[key];
+                    // take over value, marking its unknown leaves
+                    diffs[key].newValue = this.mergeUnknown(undefined, afterState[key]);
                 }                
                 else if(Array.isArray(afterState[key]) && Array.isArray(diffs[key].newValue)) {
                     /*
-                        through observation, it seems like we should only be expecting objects
-                        as elements of both arrays and we need to merge the attributes of the objects
-                    */  
-                    let combinedItems = [];
-                    for(let j=0; j<Math.max(afterState[key].length, diffs[key].newValue.length); j++) {
-                        let newItem = (diffs[key].newValue[j] === undefined) ? {} : diffs[key].newValue[j];
-                        let afterItem = (afterState[key][j] === undefined) ? {} : afterState[key][j];
-                        // deep merge these two objects
-                        if(["string", "number", "boolean"].includes(typeof afterItem)) {
-                            // take over the value entirely for this index item
-                            if(afterItem === false && newItem !== null) {
-                                // don't merge this index item
-                                combinedItems.push(newItem);
-                            }
-                            else {
-                                combinedItems.push(afterItem);
-                            }
-                            
-                        }
-                        else {
-                            // merge for this index item
-                            let combined = this.DEEPMERGE(newItem, afterItem);
-                            combinedItems.push(combined);
-                        }                        
-                    }
-                    // sets complete new array value for this particular attribute
-                    diffs[key].newValue = combinedItems;
+                        merge index by index; items after_unknown doesn't cover, or marks false,
+                        are known as they are, e.g. the strings of a list whose after_unknown is []
+                    */
+                    diffs[key].newValue = this.mergeUnknown(diffs[key].newValue, afterState[key]);
                 }
                 else if(this.isObject(afterState[key]) && this.isObject(diffs[key].newValue)) {
                     // attribute values are objects that need merging
-                    diffs[key].newValue = this.DEEPMERGE(diffs[key].newValue, afterState[key]);
+                    diffs[key].newValue = this.mergeUnknown(diffs[key].newValue, afterState[key]);
                 }
                 else {
-                    // not sure this would ever occur
-                    console.log(`Unexpected condition after attribute [${key}] value [${diffs[key].newValue}]; after_unknown value [${afterState[key]}]`);
+                    // not sure this would ever occur; keep the planned value and say so on the resource
+                    diffs[key].warning = `(after_unknown of ${key} doesn't match the type of its value; shown as planned)`;
                 }                 
             }            
         }
@@ -610,6 +1147,38 @@ class PlanReviewer {
         return diffs;
     }
 
+    /**
+     * Merges an after_unknown structure into the known after value.  after_unknown
+     *  mirrors the shape of the value with true at every leaf that is only known
+     *  after apply; those leaves become (known after apply) markers.
+     *
+     * @param {*} known
+     * @param {*} unknown
+     * @returns {*}
+     * @memberof PlanReviewer
+     */
+    mergeUnknown(known, unknown) {
+        if(unknown === true) return this.KNOWN_AFTER_APPLY;
+        if(Array.isArray(unknown)) {
+            let base = (Array.isArray(known)) ? known : [];
+            let merged = [];
+            for(let i=0; i<Math.max(base.length, unknown.length); i++) {
+                merged.push(this.mergeUnknown(base[i], unknown[i]));
+            }
+            return merged;
+        }
+        if(unknown !== null && this.isObject(unknown)) {
+            let base = (known !== null && this.isObject(known)) ? known : {};
+            let merged = Object.assign({}, base);
+            Object.keys(unknown).forEach((key) => {
+                let value = this.mergeUnknown(base[key], unknown[key]);
+                if(value !== undefined) merged[key] = value;
+            });
+            return merged;
+        }
+        return known;
+    }
+
     /**
      * Customized method that excludes array
      *
@@ -634,4 +1203,7 @@ class PlanReviewer {
 
 }
 
+PlanReviewer.Predictor = PREDICTOR;
+PlanReviewer.Rule = RULE;
+
 module.exports = PlanReviewer;
\ No newline at end of file
@@ -0,0 +1,256 @@
+"use strict";
+
+/**
+ * Checks that parsed JSON is a plan, as written by terraform show -json
+ *  <plan file> (or tofu show -json), in a format version this reviewer
+ *  reads, and that the parts of it the review relies on have the expected
+ *  shape.  Problems are reported by their path within the JSON, e.g.
+ *  resource_changes[3].change.actions, so malformed input fails up front
+ *  rather than deep inside the review.
+ */
+class PlanValidator {
+
+    constructor() {
+        // format_version major versions that can be read; minor versions only add to the format
+        this.FORMAT_MAJOR_VERSIONS = ["0", "1"];
+        this.PLAN_SECTIONS = ["planned_values", "resource_changes", "resource_drift", "output_changes", "prior_state", "configuration", "relevant_attributes"];
+        this.MODES = ["managed", "data"];
+        // problems listed before the rest are only counted
+        this.MAX_PROBLEMS = 10;
+    }
+
+    /**
+     * Validates a parsed plan
+     *
+     * @param {*} json
+     * @param {string} [what] names the input in error messages
+     * @memberof PlanValidator
+     */
+    validate(json, what = "Plan JSON") {
+        if(json === null || typeof json !== "object" || Array.isArray(json)) {
+            throw new Error(`${what} is not a plan: expected an object, got ${this.getTypeName(json)}.`);
+        }
+        let kind = this.getOtherKind(json);
+        if(kind !== null) throw new Error(`${what} looks like ${kind}, not a plan; review the output of terraform show -json <plan file>.`);
+        if(json.format_version === undefined) {
+            throw new Error(`${what} has no format_version; is it the output of terraform show -json <plan file>?`);
+        }
+        this.validateFormatVersion(json.format_version, what);
+        if(!this.PLAN_SECTIONS.some((section) => json[section] !== undefined)) {
+            throw new Error(`${what} has none of the sections of a plan (${this.PLAN_SECTIONS.join(", ")}).`);
+        }
+
+        let problems = [];
+        let report = (path, message) => problems.push(`${path}: ${message}`);
+        this.validatePlan(json, report);
+        if(problems.length > 0) {
+            let lines = problems.slice(0, this.MAX_PROBLEMS).map((problem) => `  ${problem}`);
+            if(problems.length > this.MAX_PROBLEMS) lines.push(`  ... and ${problems.length - this.MAX_PROBLEMS} more`);
+            throw new Error(`${what} is not a valid plan (format_version ${json.format_version}):\n${lines.join("\n")}`);
+        }
+    }
+
+    /**
+     * Recognizes the other JSON documents terraform writes, which are easily
+     *  passed in by mistake
+     *
+     * @param {object} json
+     * @returns {string|null} what the JSON looks like, or null when it may be a plan
+     * @memberof PlanValidator
+     */
+    getOtherKind(json) {
+        if(json.provider_schemas !== undefined) return "provider schemas (terraform providers schema -json)";
+        if(json.lineage !== undefined && json.serial !== undefined) return "a state file (terraform.tfstate)";
+        if(json.values !== undefined && json.planned_values === undefined && json.resource_changes === undefined) {
+            return "state (terraform show -json without a plan file)";
+        }
+        if(json.valid !== undefined && json.diagnostics !== undefined) return "validation results (terraform validate -json)";
+        if(json.terraform_version !== undefined && (json.platform !== undefined || json.provider_selections !== undefined) && json.format_version === undefined) {
+            return "version information (terraform version -json)";
+        }
+        return null;
+    }
+
+    /**
+     * @param {*} formatVersion
+     * @param {string} what
+     * @memberof PlanValidator
+     */
+    validateFormatVersion(formatVersion, what) {
+        if(typeof formatVersion !== "string" || !/^\d+\.\d+$/.test(formatVersion)) {
+            throw new Error(`${what} has an invalid format_version ${JSON.stringify(formatVersion)}; expected a string such as "1.2".`);
+        }
+        if(!this.FORMAT_MAJOR_VERSIONS.includes(formatVersion.split(".")[0])) {
+            throw new Error(`${what} has format_version ${formatVersion}, which isn't supported; plans of format 0.x and 1.x can be reviewed (Terraform 0.12 and later, and OpenTofu).`);
+        }
+    }
+
+    /**
+     * @param {object} json
+     * @param {function} report called with the path and message of each problem
+     * @memberof PlanValidator
+     */
+    validatePlan(json, report) {
+        this.expect(json.terraform_version, "string", "terraform_version", report, true);
+        ["resource_changes", "resource_drift"].forEach((section) => {
+            if(!this.expect(json[section], "array", section, report, true)) return;
+            json[section].forEach((resource, i) => this.validateResourceChange(resource, `${section}[${i}]`, report));
+        });
+        if(this.expect(json.output_changes, "object", "output_changes", report, true)) {
+            Object.keys(json.output_changes).forEach((name) => {
+                let path = this.getPath("output_changes", name);
+                if(this.expect(json.output_changes[name], "object", path, report)) this.validateChange(json.output_changes[name], path, report);
+            });
+        }
+        if(this.expect(json.planned_values, "object", "planned_values", report, true)) {
+            if(this.expect(json.planned_values.root_module, "object", "planned_values.root_module", report, true)) {
+                this.validatePlannedModule(json.planned_values.root_module, "planned_values.root_module", report);
+            }
+        }
+        if(this.expect(json.configuration, "object", "configuration", report, true)) {
+            if(this.expect(json.configuration.root_module, "object", "configuration.root_module", report, true)) {
+                this.validateConfigModule(json.configuration.root_module, "configuration.root_module", report);
+            }
+        }
+        this.expect(json.prior_state, "object", "prior_state", report, true);
+        if(this.expect(json.relevant_attributes, "array", "relevant_attributes", report, true)) {
+            json.relevant_attributes.forEach((relevant, i) => {
+                let path = `relevant_attributes[${i}]`;
+                if(!this.expect(relevant, "object", path, report)) return;
+                this.expect(relevant.resource, "string", `${path}.resource`, report);
+                this.expect(relevant.attribute, "array", `${path}.attribute`, report);
+            });
+        }
+    }
+
+    /**
+     * @param {*} resource entry of resource_changes or resource_drift
+     * @param {string} path
+     * @param {function} report
+     * @memberof PlanValidator
+     */
+    validateResourceChange(resource, path, report) {
+        if(!this.expect(resource, "object", path, report)) return;
+        ["address", "type", "name"].forEach((key) => this.expect(resource[key], "string", `${path}.${key}`, report));
+        if(this.expect(resource.mode, "string", `${path}.mode`, report) && !this.MODES.includes(resource.mode)) {
+            report(`${path}.mode`, `expected one of ${this.MODES.join(", ")}, got ${JSON.stringify(resource.mode)}`);
+        }
+        ["module_address", "previous_address", "deposed", "action_reason"].forEach((key) => this.expect(resource[key], "string", `${path}.${key}`, report, true));
+        if(!this.expect(resource.change, "object", `${path}.change`, report)) return;
+        this.validateChange(resource.change, `${path}.change`, report);
+        this.expect(resource.change.replace_paths, "array", `${path}.change.replace_paths`, report, true);
+        if(resource.change.importing !== null) this.expect(resource.change.importing, "object", `${path}.change.importing`, report, true);
+    }
+
+    /**
+     * @param {object} change change of a resource or output
+     * @param {string} path
+     * @param {function} report
+     * @memberof PlanValidator
+     */
+    validateChange(change, path, report) {
+        if(!this.expect(change.actions, "array", `${path}.actions`, report)) return;
+        if(change.actions.length === 0) report(`${path}.actions`, "expected at least one action");
+        change.actions.forEach((action, i) => this.expect(action, "string", `${path}.actions[${i}]`, report));
+    }
+
+    /**
+     * @param {object} plannedModule
+     * @param {string} path
+     * @param {function} report
+     * @memberof PlanValidator
+     */
+    validatePlannedModule(plannedModule, path, report) {
+        if(this.expect(plannedModule.resources, "array", `${path}.resources`, report, true)) {
+            plannedModule.resources.forEach((resource, i) => {
+                if(this.expect(resource, "object", `${path}.resources[${i}]`, report)) this.expect(resource.address, "string", `${path}.resources[${i}].address`, report);
+            });
+        }
+        if(this.expect(plannedModule.child_modules, "array", `${path}.child_modules`, report, true)) {
+            plannedModule.child_modules.forEach((childModule, i) => {
+                if(this.expect(childModule, "object", `${path}.child_modules[${i}]`, report)) this.validatePlannedModule(childModule, `${path}.child_modules[${i}]`, report);
+            });
+        }
+    }
+
+    /**
+     * @param {object} configModule
+     * @param {string} path
+     * @param {function} report
+     * @memberof PlanValidator
+     */
+    validateConfigModule(configModule, path, report) {
+        if(this.expect(configModule.resources, "array", `${path}.resources`, report, true)) {
+            configModule.resources.forEach((resource, i) => {
+                let resourcePath = `${path}.resources[${i}]`;
+                if(!this.expect(resource, "object", resourcePath, report)) return;
+                this.expect(resource.address, "string", `${resourcePath}.address`, report);
+                this.expect(resource.expressions, "object", `${resourcePath}.expressions`, report, true);
+                this.expect(resource.depends_on, "array", `${resourcePath}.depends_on`, report, true);
+            });
+        }
+        this.expect(configModule.outputs, "object", `${path}.outputs`, report, true);
+        if(this.expect(configModule.module_calls, "object", `${path}.module_calls`, report, true)) {
+            Object.keys(configModule.module_calls).forEach((name) => {
+                let callPath = this.getPath(`${path}.module_calls`, name);
+                let moduleCall = configModule.module_calls[name];
+                if(!this.expect(moduleCall, "object", callPath, report)) return;
+                this.expect(moduleCall.expressions, "object", `${callPath}.expressions`, report, true);
+                if(this.expect(moduleCall.module, "object", `${callPath}.module`, report, true)) this.validateConfigModule(moduleCall.module, `${callPath}.module`, report);
+            });
+        }
+    }
+
+    /**
+     * Checks the type of a value, reporting it when it doesn't match
+     *
+     * @param {*} value
+     * @param {string} type string, array or object
+     * @param {string} path
+     * @param {function} report
+     * @param {boolean} [optional] undefined is fine
+     * @returns {boolean} if the value is there and of the type
+     * @memberof PlanValidator
+     */
+    expect(value, type, path, report, optional = false) {
+        if(value === undefined && optional) return false;
+        let actual = this.getTypeName(value);
+        if(actual === type) return true;
+        report(path, (value === undefined) ? `missing; expected ${this.withArticle(type)}` : `expected ${this.withArticle(type)}, got ${actual}`);
+        return false;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string} string, number, boolean, array, object, null or undefined
+     * @memberof PlanValidator
+     */
+    getTypeName(value) {
+        if(value === null) return "null";
+        if(Array.isArray(value)) return "array";
+        return typeof value;
+    }
+
+    /**
+     * @param {string} type
+     * @returns {string}
+     * @memberof PlanValidator
+     */
+    withArticle(type) {
+        return `${(/^[aeiou]/.test(type)) ? "an" : "a"} ${type}`;
+    }
+
+    /**
+     * Appends a map key to a path, quoting keys that aren't plain names
+     *
+     * @param {string} path
+     * @param {string} key
+     * @returns {string}
+     * @memberof PlanValidator
+     */
+    getPath(path, key) {
+        return (/^[A-Za-z_][A-Za-z0-9_-]*$/.test(key)) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+}
+
+module.exports = PlanValidator;
@@ -0,0 +1,152 @@
+"use strict";
+
+const GLOB = require("./Glob");
+const PREDICTOR = require("./predictors/Predictor");
+const TEMPLATE_FILE_PREDICTOR = require("./predictors/TemplateFilePredictor");
+const POLICY_DOCUMENT_PREDICTOR = require("./predictors/PolicyDocumentPredictor");
+const ECS_CONTAINER_DEFINITIONS_PREDICTOR = require("./predictors/EcsContainerDefinitionsPredictor");
+const REFERENCE_PREDICTOR = require("./predictors/ReferencePredictor");
+
+class PredictionEngine {
+
+    /**
+     * @param {object} resolver looks up configuration and planned_values resources;
+     *      provides getConfigResourceWrapper() and getPlannedValuesModuleResource()
+     */
+    constructor(resolver) {
+        this.resolver = resolver;
+        this.registrations = [];
+        // compares values for plugins that don't implement isNoChange()
+        this.DEFAULT_PREDICTOR = new PREDICTOR("default");
+    }
+
+    /**
+     * Registers the built-in predictors.  Earlier registrations are asked first.
+     *
+     * @memberof PredictionEngine
+     */
+    registerDefaults() {
+        this.register(new ECS_CONTAINER_DEFINITIONS_PREDICTOR(), { resourceType: "aws_ecs_task_definition", attribute: "container_definitions" });
+        // policy attributes of any resource, e.g. aws_s3_bucket_policy.policy or aws_iam_role.assume_role_policy
+        this.register(new POLICY_DOCUMENT_PREDICTOR(), { attribute: "*policy" });
+        this.register(new TEMPLATE_FILE_PREDICTOR());
+        this.register(new REFERENCE_PREDICTOR());
+    }
+
+    /**
+     * Registers a predictor for a resource type and/or attribute
+     *
+     * @param {Predictor} predictor
+     * @param {object} [match]
+     * @param {string} [match.resourceType] glob; defaults to every type
+     * @param {string} [match.attribute] glob; defaults to every attribute
+     * @param {boolean} [match.first] ask this predictor before the ones already registered
+     * @memberof PredictionEngine
+     */
+    register(predictor, match = {}) {
+        if(predictor === null || typeof predictor !== "object" || typeof predictor.predict !== "function") {
+            throw new Error("Predictor must be an object with a predict(context) method.");
+        }
+        let registration = {
+            predictor: predictor,
+            typePattern: GLOB.toRegExp(match.resourceType || "*"),
+            attributePattern: GLOB.toRegExp(match.attribute || "*")
+        };
+        if(match.first) this.registrations.unshift(registration);
+        else this.registrations.push(registration);
+    }
+
+    /**
+     * Asks the matching predictors, in order, for the attribute's new value.
+     *  The first predictor that makes a prediction decides.
+     *
+     * @param {object} diff { oldValue, newValue }
+     * @param {string} attribute
+     * @param {object} resource entry of resource_changes
+     * @param {object} fullJson
+     * @returns {object|null} { predictor, value, noChange[, error] }
+     * @memberof PredictionEngine
+     */
+    predict(diff, attribute, resource, fullJson) {
+        let candidates = this.registrations.filter((registration) => {
+            let predictor = registration.predictor;
+            return registration.typePattern.test(resource.type) &&
+                registration.attributePattern.test(attribute) &&
+                (typeof predictor.appliesTo !== "function" || predictor.appliesTo(diff));
+        });
+        if(candidates.length === 0) return null;
+
+        let context = this.getContext(diff, attribute, resource, fullJson);
+        for(let i=0; i<candidates.length; i++) {
+            let predictor = candidates[i].predictor;
+            let prediction = {
+                predictor: predictor.name || "anonymous",
+                value: null,
+                noChange: false
+            };
+            try {
+                prediction.value = predictor.predict(context);
+            }
+            catch(error) {
+                prediction.error = `Prediction by ${predictor.name} failed: ${error.message}`;
+                return prediction;
+            }
+            if(prediction.value === null || prediction.value === undefined) continue;
+
+            try {
+                let comparer = (typeof predictor.isNoChange === "function") ? predictor : this.DEFAULT_PREDICTOR;
+                prediction.noChange = comparer.isNoChange(diff.oldValue, prediction.value);
+            }
+            catch(error) {
+                prediction.error = "Unexpected error comparing oldValue and new predictedValue";
+            }
+            return prediction;
+        }
+        return null;
+    }
+
+    /**
+     * Builds what a predictor gets to look at:
+     *  - attribute, diff, resource and fullJson
+     *  - configResource and moduleName from the configuration section (null if not found)
+     *  - expression: the configuration expression of the attribute (null if none)
+     *  - getPlannedResource(relativeAddress): planned_values resource in the same module
+     *
+     * @param {object} diff
+     * @param {string} attribute
+     * @param {object} resource
+     * @param {object} fullJson
+     * @returns {object}
+     * @memberof PredictionEngine
+     */
+    getContext(diff, attribute, resource, fullJson) {
+        let configResourceWrapper = null;
+        try {
+            configResourceWrapper = this.resolver.getConfigResourceWrapper(resource.address, fullJson);
+        }
+        catch(error) {
+            // no configuration to go on; predictors that need it will pass
+        }
+        let configResource = (configResourceWrapper === null) ? null : configResourceWrapper.resource;
+        let moduleName = (configResourceWrapper === null) ? null : configResourceWrapper.moduleName;
+        let expressions = (configResource === null) ? null : configResource.expressions;
+        let expression = (expressions !== null && typeof expressions === "object" &&
+            expressions[attribute] !== null && typeof expressions[attribute] === "object") ? expressions[attribute] : null;
+
+        return {
+            attribute: attribute,
+            diff: diff,
+            resource: resource,
+            fullJson: fullJson,
+            configResource: configResource,
+            moduleName: moduleName,
+            expression: expression,
+            getPlannedResource: (relativeAddress) => {
+                if(moduleName === null) return null;
+                return this.resolver.getPlannedValuesModuleResource(relativeAddress, moduleName, fullJson);
+            }
+        };
+    }
+}
+
+module.exports = PredictionEngine;
@@ -0,0 +1,133 @@
+"use strict";
+
+const ADDRESS_PARSER = require("./AddressParser");
+
+/**
+ * Follows references of configuration expressions across module
+ *  boundaries: an input variable leads to the expression the calling module
+ *  passes for it, a module output to the output's expression in the called
+ *  module.  The tracer reports where each chain ends: at a resource, a
+ *  local (the plan JSON has no locals) or a whole module.
+ */
+class ReferenceTracer {
+
+    /**
+     * @param {PlanIndex} planIndex
+     */
+    constructor(planIndex) {
+        this.planIndex = planIndex;
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+        this.MAX_DEPTH = 20;
+        this.UNTRACED = ["path", "terraform", "each", "count", "self"];
+    }
+
+    /**
+     * Follows a reference made within a module instance and calls visit for
+     *  every resource, local or module it ends at
+     *
+     * @param {string} reference e.g. var.x, module.m.out, aws_s3_bucket.logs.arn
+     * @param {object[]} modules module instance the reference is made in: [{ name, index }]
+     * @param {function} visit called with { kind: "resource" | "local" | "module", chain, moduleAddress, address }:
+     *      chain lists the references followed, each prefixed with its module instance;
+     *      moduleAddress is the module instance the target is in ("" for the root module)
+     *      and address the resource address within it, or the module's address
+     * @param {string[]} [chain] references followed so far
+     * @memberof ReferenceTracer
+     */
+    trace(reference, modules, visit, chain = []) {
+        if(chain.length >= this.MAX_DEPTH) return;
+        let steps;
+        try {
+            steps = this.ADDRESS_PARSER.readSteps(reference);
+        }
+        catch(error) {
+            // e.g. splat references
+            return;
+        }
+        let prefix = this.ADDRESS_PARSER.formatModuleAddress(modules);
+        let links = chain.concat((prefix === "") ? reference : `${prefix}.${reference}`);
+        let kind = steps[0].name;
+        if(this.UNTRACED.includes(kind) || steps.length < 2) return;
+
+        if(kind === "var") {
+            // root module variables are known when planning
+            if(modules.length === 0) return;
+            let parentModules = modules.slice(0, -1);
+            let moduleCall = this.getModuleCall(parentModules, modules[modules.length - 1].name);
+            let expressions = (moduleCall === null || !moduleCall.expressions) ? {} : moduleCall.expressions;
+            this.getReferences(expressions[steps[1].name]).forEach((upstream) => {
+                this.trace(upstream, parentModules, visit, links);
+            });
+        }
+        else if(kind === "module") {
+            let childModules = modules.concat({ name: steps[1].name, index: steps[1].index });
+            if(steps.length < 3) {
+                let moduleAddress = this.ADDRESS_PARSER.formatModuleAddress(childModules);
+                visit({ kind: "module", chain: links, moduleAddress: moduleAddress, address: moduleAddress });
+                return;
+            }
+            let childModule = this.planIndex.getConfigModule(this.getModulePath(childModules));
+            let output = (childModule === null || !childModule.outputs) ? undefined : childModule.outputs[steps[2].name];
+            let expression = (output === undefined) ? undefined : output.expression;
+            this.getReferences(expression).forEach((upstream) => {
+                this.trace(upstream, childModules, visit, links);
+            });
+        }
+        else if(kind === "local") {
+            visit({ kind: "local", chain: links, moduleAddress: prefix, address: reference });
+        }
+        else {
+            let parsed = this.ADDRESS_PARSER.parseReference(reference);
+            if(parsed === null) return;
+            visit({ kind: "resource", chain: links, moduleAddress: prefix, address: parsed.address });
+        }
+    }
+
+    /**
+     * @param {object[]} modules calling module instance: [{ name, index }]
+     * @param {string} name name of the module call
+     * @returns {object|null} module call of the configuration
+     * @memberof ReferenceTracer
+     */
+    getModuleCall(modules, name) {
+        let configModule = this.planIndex.getConfigModule(this.getModulePath(modules));
+        if(configModule === null || !configModule.module_calls || !configModule.module_calls[name]) return null;
+        return configModule.module_calls[name];
+    }
+
+    /**
+     * Gets the references of an expression, including those within nested
+     *  blocks, leaving out the containing entries Terraform 0.13+ also lists
+     *
+     * @param {object|object[]} expression
+     * @returns {string[]}
+     * @memberof ReferenceTracer
+     */
+    getReferences(expression) {
+        let references = [];
+        let collect = (value) => {
+            if(value === null || typeof value !== "object") return;
+            if(Array.isArray(value.references)) {
+                value.references.forEach((reference) => {
+                    if(typeof reference === "string" && !references.includes(reference)) references.push(reference);
+                });
+            }
+            Object.keys(value).forEach((key) => {
+                if(key !== "references") collect(value[key]);
+            });
+        };
+        collect(expression);
+        return references.filter((reference) => !references.some((other) => other !== reference && (other.startsWith(`${reference}.`) || other.startsWith(`${reference}[`))));
+    }
+
+    /**
+     * @param {object[]} modules [{ name, index }]
+     * @returns {string} module path without instance keys, e.g. module.a.module.b; "" for the root module
+     * @memberof ReferenceTracer
+     */
+    getModulePath(modules) {
+        return modules.map((module) => `module.${module.name}`).join(".");
+    }
+}
+
+module.exports = ReferenceTracer;
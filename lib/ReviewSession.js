@@ -0,0 +1,198 @@
+"use strict";
+
+/**
+ * The sign-off state of a review: each resource change marked reviewed or
+ *  flagged, with an optional comment.  Sessions are saved to a sidecar JSON
+ *  file next to the plan, keyed by the plan's hash, so a regenerated plan
+ *  starts a new session while the old one is kept.
+ */
+class ReviewSession {
+
+    /**
+     * @param {string} file sidecar file the session is loaded from and saved to
+     * @param {string} planHash sha256 of the plan as read
+     */
+    constructor(file, planHash) {
+        this.FS = require("fs");
+        this.FILE_VERSION = 1;
+        this.STATUSES = ["reviewed", "flagged"];
+
+        this.file = file;
+        this.planHash = planHash;
+        this.marks = {};
+        this.load();
+    }
+
+    /**
+     * Reads every session in the sidecar file
+     *
+     * @returns {object} { version, sessions: { <plan hash>: { updatedAt, marks } } }
+     * @memberof ReviewSession
+     */
+    readFile() {
+        if(!this.FS.existsSync(this.file)) return { version: this.FILE_VERSION, sessions: {} };
+        let content;
+        try {
+            content = JSON.parse(this.FS.readFileSync(this.file, "utf8"));
+        }
+        catch(error) {
+            throw new Error(`Review session file ${this.file} is not valid JSON: ${error.message}`);
+        }
+        if(content === null || typeof content !== "object" || content.sessions === null || typeof content.sessions !== "object") {
+            throw new Error(`Review session file ${this.file} has no sessions.`);
+        }
+        return content;
+    }
+
+    /**
+     * Loads the marks saved for this plan, if any
+     *
+     * @memberof ReviewSession
+     */
+    load() {
+        let session = this.readFile().sessions[this.planHash];
+        this.marks = (session === undefined || session.marks === null || typeof session.marks !== "object") ? {} : session.marks;
+    }
+
+    /**
+     * Saves the marks, keeping the sessions of other plans in the file
+     *
+     * @memberof ReviewSession
+     */
+    save() {
+        let content = this.readFile();
+        content.version = this.FILE_VERSION;
+        content.sessions[this.planHash] = {
+            updatedAt: new Date().toISOString(),
+            marks: this.marks
+        };
+        this.FS.writeFileSync(this.file, `${JSON.stringify(content, null, 2)}\n`);
+    }
+
+    /**
+     * @param {object} resource resource of the review model
+     * @returns {string} address, with the deposed key for deposed objects
+     * @memberof ReviewSession
+     */
+    getKey(resource) {
+        return (resource.deposed === null || resource.deposed === undefined) ? resource.address : `${resource.address} (deposed object ${resource.deposed})`;
+    }
+
+    /**
+     * @param {object} resource
+     * @returns {object|null} { status, comment, reviewer, updatedAt }
+     * @memberof ReviewSession
+     */
+    getMark(resource) {
+        let mark = this.marks[this.getKey(resource)];
+        return (mark === undefined) ? null : mark;
+    }
+
+    /**
+     * @param {object} resource
+     * @param {string} status reviewed or flagged
+     * @param {string} [comment] keeps the current comment when undefined
+     * @param {string} [reviewer]
+     * @memberof ReviewSession
+     */
+    mark(resource, status, comment, reviewer) {
+        if(!this.STATUSES.includes(status)) throw new Error(`Unknown review status [${status}]; expected one of: ${this.STATUSES.join(", ")}`);
+        let current = this.getMark(resource);
+        if(comment === undefined) comment = (current === null) ? "" : current.comment;
+        this.marks[this.getKey(resource)] = {
+            status: status,
+            comment: comment,
+            reviewer: (reviewer === undefined) ? null : reviewer,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Sets the comment of a resource, leaving its status as it is
+     *
+     * @param {object} resource
+     * @param {string} comment
+     * @param {string} [reviewer]
+     * @memberof ReviewSession
+     */
+    comment(resource, comment, reviewer) {
+        let current = this.getMark(resource);
+        if(current === null) {
+            // a comment alone doesn't sign anything off
+            this.marks[this.getKey(resource)] = { status: null, comment: comment, reviewer: (reviewer === undefined) ? null : reviewer, updatedAt: new Date().toISOString() };
+            return;
+        }
+        current.comment = comment;
+        current.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * @param {object} resource
+     * @memberof ReviewSession
+     */
+    clear(resource) {
+        delete this.marks[this.getKey(resource)];
+    }
+
+    /**
+     * @param {object[]} resources
+     * @returns {object} { reviewed, flagged, pending }
+     * @memberof ReviewSession
+     */
+    getCounts(resources) {
+        let counts = { reviewed: 0, flagged: 0, pending: 0 };
+        resources.forEach((resource) => {
+            let mark = this.getMark(resource);
+            if(mark !== null && this.STATUSES.includes(mark.status)) counts[mark.status]++;
+            else counts.pending++;
+        });
+        return counts;
+    }
+
+    /**
+     * Indicates if every resource change is reviewed and none is flagged
+     *
+     * @param {object[]} resources
+     * @returns {boolean}
+     * @memberof ReviewSession
+     */
+    isSignedOff(resources) {
+        let counts = this.getCounts(resources);
+        return counts.flagged === 0 && counts.pending === 0;
+    }
+
+    /**
+     * Gets the sign-off report of a review as Markdown
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {string}
+     * @memberof ReviewSession
+     */
+    getReport(review) {
+        let counts = this.getCounts(review.resources);
+        let escape = (text) => `${text}`.replace(/\r?\n/g, " ").replace(/\|/g, "\\|");
+        let lines = [
+            "## Terraform Plan Sign-off",
+            "",
+            `Plan \`${this.planHash.substring(0, 12)}\`${(review.terraformVersion === null) ? "" : ` (Terraform ${review.terraformVersion})`}: ` +
+                `${counts.reviewed} reviewed, ${counts.flagged} flagged, ${counts.pending} not reviewed.`,
+            "",
+            `**${(this.isSignedOff(review.resources)) ? "Signed off." : "Not signed off."}**`,
+            "",
+            "| Resource | Action | Status | Reviewer | Comment |",
+            "|---|---|---|---|---|"
+        ];
+        review.resources.forEach((resource) => {
+            let mark = this.getMark(resource);
+            let status = (mark === null || mark.status === null) ? "not reviewed" : mark.status;
+            if(status === "flagged") status = "**flagged**";
+            let action = (resource.changes.length === 0) ? "no-op" : resource.changes.join("/");
+            let reviewer = (mark === null || mark.reviewer === null) ? "" : escape(mark.reviewer);
+            let comment = (mark === null) ? "" : escape(mark.comment);
+            lines.push(`| \`${escape(this.getKey(resource))}\` | ${action} | ${status} | ${reviewer} | ${comment} |`);
+        });
+        return `${lines.join("\n")}\n`;
+    }
+}
+
+module.exports = ReviewSession;
@@ -0,0 +1,252 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const GLOB = require("./Glob");
+
+/**
+ * Narrows a review model down to the resources of interest and optionally
+ *  groups them by module, resource type or action, each group with its
+ *  own change counts.  Counts and findings of the filtered review only
+ *  cover the resources that are left; those of the whole plan are kept as
+ *  totals, so gates like exit codes don't depend on what's shown.
+ *  Ordering by dependencies needs the plan's configuration, so
+ *  PlanReviewer does that part.
+ */
+class ReviewView {
+
+    /**
+     * @param {object} [view]
+     * @param {string[]} [view.include] address globs; only matching resources are kept
+     * @param {string[]} [view.exclude] address globs; matching resources are dropped
+     * @param {string[]} [view.types] resource type globs
+     * @param {string[]} [view.modules] module addresses or globs; "root" is the root module
+     * @param {string[]} [view.actions] create, update, delete, replace, read, forget, import, move
+     * @param {string} [view.groupBy] module, type or action
+     * @param {string} [view.order] plan (default) or dependencies
+     * @param {boolean} [view.refreshOnly] review a -refresh-only plan: only drift and outputs are reported
+     */
+    constructor(view = {}) {
+        this.CHANGES = CONSTANTS.CHANGES;
+        this.ROOT_MODULE = "root";
+        this.ACTIONS = ["create", "update", "delete", "replace", "read", "forget", "import", "move"];
+        this.GROUP_BY = ["module", "type", "action"];
+        this.ORDERS = ["plan", "dependencies"];
+
+        this.include = this.getPatterns(view.include, "include");
+        this.exclude = this.getPatterns(view.exclude, "exclude");
+        this.types = this.getPatterns(view.types, "types");
+        this.modules = this.getList(view.modules, "modules");
+        this.actions = this.getList(view.actions, "actions");
+        this.actions.forEach((action) => {
+            if(!this.ACTIONS.includes(action)) throw new Error(`Unknown action [${action}]; expected one of: ${this.ACTIONS.join(", ")}`);
+        });
+        this.refreshOnly = view.refreshOnly === true;
+        this.groupBy = (view.groupBy === undefined) ? null : view.groupBy;
+        if(this.groupBy !== null && !this.GROUP_BY.includes(this.groupBy)) {
+            throw new Error(`Unknown grouping [${this.groupBy}]; expected one of: ${this.GROUP_BY.join(", ")}`);
+        }
+        this.order = (view.order === undefined) ? "plan" : view.order;
+        if(!this.ORDERS.includes(this.order)) throw new Error(`Unknown order [${this.order}]; expected one of: ${this.ORDERS.join(", ")}`);
+        if(this.order === "dependencies" && this.groupBy !== null) throw new Error("Resources can't be grouped and ordered by dependencies at the same time.");
+    }
+
+    /**
+     * @param {string[]} [list]
+     * @param {string} where option name for error messages
+     * @returns {string[]}
+     * @memberof ReviewView
+     */
+    getList(list = [], where) {
+        if(!Array.isArray(list) || list.some((item) => typeof item !== "string")) throw new Error(`${where} must be an array of strings.`);
+        return list;
+    }
+
+    /**
+     * @param {string[]} [globs]
+     * @param {string} where option name for error messages
+     * @returns {RegExp[]}
+     * @memberof ReviewView
+     */
+    getPatterns(globs, where) {
+        return this.getList(globs, where).map((glob) => GLOB.toRegExp(glob));
+    }
+
+    /**
+     * Indicates if the view leaves the review as it is
+     *
+     * @returns {boolean}
+     * @memberof ReviewView
+     */
+    isEmpty() {
+        return !this.isFiltering() && this.groupBy === null;
+    }
+
+    /**
+     * @returns {boolean}
+     * @memberof ReviewView
+     */
+    isFiltering() {
+        return this.include.length > 0 || this.exclude.length > 0 || this.types.length > 0 ||
+            this.modules.length > 0 || this.actions.length > 0;
+    }
+
+    /**
+     * Applies the filters and grouping to a review model
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {object} new review model; the one passed in is left as it is
+     * @memberof ReviewView
+     */
+    apply(review) {
+        if(this.isEmpty()) return review;
+        let result = Object.assign({}, review);
+
+        if(this.isFiltering()) {
+            result.resources = review.resources.filter((resource) => this.matches(resource));
+            result.drift = review.drift.filter((resource) => this.matches(resource));
+            result.driftCount = {
+                update: result.drift.filter((resource) => !resource.changes.includes(this.CHANGES.DELETE)).length,
+                delete: result.drift.filter((resource) => resource.changes.includes(this.CHANGES.DELETE)).length,
+                relevant: result.drift.filter((resource) => resource.relevant).length
+            };
+            result.changeCount = this.getChangeCount(result.resources);
+            result.findings = review.findings.filter((finding) => result.resources.some((resource) => resource.findings.includes(finding)));
+            result.findingCount = Object.keys(review.findingCount).reduce((count, severity) => {
+                count[severity] = result.findings.filter((finding) => finding.severity === severity).length;
+                return count;
+            }, {});
+            // outputs aren't resources; only an exclude-only view keeps them
+            let onlyExcluding = this.include.length === 0 && this.types.length === 0 && this.modules.length === 0 && this.actions.length === 0;
+            if(!onlyExcluding) {
+                result.outputs = [];
+                result.outputChangeCount = { create: 0, update: 0, delete: 0 };
+            }
+            result.hasChanges = result.resources.length > 0 || result.outputs.length > 0 || (result.refreshOnly && result.drift.length > 0);
+            result.filtered = {
+                shown: result.resources.length,
+                total: review.resources.length
+            };
+            result.totals = (review.totals) ? review.totals : {
+                hasChanges: review.hasChanges,
+                changeCount: review.changeCount,
+                findings: review.findings
+            };
+        }
+        if(this.groupBy !== null) result.grouping = this.getGrouping(result.resources);
+        return result;
+    }
+
+    /**
+     * Indicates if a resource of the review model passes the filters
+     *
+     * @param {object} resource
+     * @returns {boolean}
+     * @memberof ReviewView
+     */
+    matches(resource) {
+        if(this.include.length > 0 && !this.include.some((pattern) => pattern.test(resource.address))) return false;
+        if(this.exclude.some((pattern) => pattern.test(resource.address))) return false;
+        if(this.types.length > 0 && !this.types.some((pattern) => pattern.test(resource.type))) return false;
+        if(this.modules.length > 0 && !this.modules.some((module) => this.isInModule(resource, module))) return false;
+        if(this.actions.length > 0) {
+            let actions = this.getActions(resource);
+            if(!this.actions.some((action) => actions.includes(action))) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Indicates if the resource is in the module, or any of its instances and child modules
+     *
+     * @param {object} resource
+     * @param {string} module module address, glob or "root"
+     * @returns {boolean}
+     * @memberof ReviewView
+     */
+    isInModule(resource, module) {
+        let moduleAddress = resource.moduleAddress || "";
+        if(module === this.ROOT_MODULE) return moduleAddress === "";
+        if(moduleAddress === "") return false;
+        return moduleAddress === module || moduleAddress.startsWith(`${module}.`) || moduleAddress.startsWith(`${module}[`) ||
+            GLOB.matches(module, moduleAddress);
+    }
+
+    /**
+     * Gets every action a resource can be filtered by: its changes, plus
+     *  replace, import and move where they apply
+     *
+     * @param {object} resource
+     * @returns {string[]}
+     * @memberof ReviewView
+     */
+    getActions(resource) {
+        let actions = resource.changes.slice();
+        if(resource.replace !== null) actions.push("replace");
+        if(resource.importing !== null) actions.push("import");
+        if(resource.previousAddress !== null) actions.push("move");
+        return actions;
+    }
+
+    /**
+     * Gets the single action a resource is grouped under
+     *
+     * @param {object} resource
+     * @returns {string}
+     * @memberof ReviewView
+     */
+    getPrimaryAction(resource) {
+        if(resource.replace !== null) return "replace";
+        if(resource.changes.length === 1) return resource.changes[0];
+        if(resource.changes.length === 0) return (resource.importing !== null) ? "import" : "move";
+        return this.CHANGES.UNKNOWN;
+    }
+
+    /**
+     * Tallies the change counts of a set of resources like the plan summary does
+     *
+     * @param {object[]} resources
+     * @returns {object}
+     * @memberof ReviewView
+     */
+    getChangeCount(resources) {
+        let changeCount = { read: 0, create: 0, update: 0, delete: 0, import: 0, forget: 0, unknown: 0 };
+        resources.forEach((resource) => {
+            resource.changes.forEach((change) => changeCount[change]++);
+            if(resource.importing !== null) changeCount.import++;
+        });
+        return changeCount;
+    }
+
+    /**
+     * Groups the resources, keeping the order in which each group first appears
+     *
+     * @param {object[]} resources
+     * @returns {object} { by, groups: [{ name, resourceIndexes, changeCount }] }
+     * @memberof ReviewView
+     */
+    getGrouping(resources) {
+        let groups = [];
+        let byName = {};
+        resources.forEach((resource, i) => {
+            let name;
+            if(this.groupBy === "module") name = resource.moduleAddress || this.ROOT_MODULE;
+            else if(this.groupBy === "type") name = (resource.mode === "managed") ? resource.type : `${resource.mode}.${resource.type}`;
+            else name = this.getPrimaryAction(resource);
+
+            if(byName[name] === undefined) {
+                byName[name] = { name: name, resourceIndexes: [], changeCount: null };
+                groups.push(byName[name]);
+            }
+            byName[name].resourceIndexes.push(i);
+        });
+        groups.forEach((group) => {
+            group.changeCount = this.getChangeCount(group.resourceIndexes.map((i) => resources[i]));
+        });
+        return {
+            by: this.groupBy,
+            groups: groups
+        };
+    }
+}
+
+module.exports = ReviewView;
@@ -0,0 +1,166 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const STATEFUL_RESOURCE_RULE = require("./rules/StatefulResourceRule");
+const OPEN_INGRESS_RULE = require("./rules/OpenIngressRule");
+const IAM_WILDCARD_ACTION_RULE = require("./rules/IamWildcardActionRule");
+const CRITICAL_RESOURCE_RULE = require("./rules/CriticalResourceRule");
+
+class RiskEngine {
+
+    /**
+     * @param {object} [risk] the "risk" section of .tfreviewrc.json
+     * @param {string[]} [risk.critical] address globs of critical resources
+     * @param {string[]} [risk.statefulTypes] extra resource type globs treated as stateful
+     * @param {object} [risk.severity] rule name → default severity of its findings
+     * @param {string[]} [risk.disable] names of rules to leave out
+     */
+    constructor(risk = {}) {
+        this.SEVERITIES = CONSTANTS.SEVERITIES;
+        this.rules = [];
+
+        if(risk === null || typeof risk !== "object" || Array.isArray(risk)) throw new Error("risk must be an object.");
+        this.disabled = risk.disable || [];
+        this.severities = risk.severity || {};
+        if(!Array.isArray(this.disabled)) throw new Error("risk.disable must be an array of rule names.");
+        Object.keys(this.severities).forEach((name) => this.validateSeverity(this.severities[name], `risk.severity.${name}`));
+    }
+
+    /**
+     * Registers the built-in rules
+     *
+     * @param {object} [risk] the "risk" section of .tfreviewrc.json
+     * @memberof RiskEngine
+     */
+    registerDefaults(risk = {}) {
+        this.register(new STATEFUL_RESOURCE_RULE(risk.statefulTypes));
+        this.register(new OPEN_INGRESS_RULE());
+        this.register(new IAM_WILDCARD_ACTION_RULE());
+        this.register(new CRITICAL_RESOURCE_RULE(risk.critical));
+    }
+
+    /**
+     * Registers a rule unless it is disabled in the configuration
+     *
+     * @param {Rule} rule
+     * @memberof RiskEngine
+     */
+    register(rule) {
+        if(rule === null || typeof rule !== "object" || typeof rule.evaluate !== "function") {
+            throw new Error("Risk rule must be an object with an evaluate(context) method.");
+        }
+        let name = rule.name || "anonymous";
+        if(this.disabled.includes(name)) return;
+        if(this.severities[name] !== undefined) rule.severity = this.severities[name];
+        this.validateSeverity(rule.severity || "medium", `Severity of risk rule [${name}]`);
+        this.rules.push(rule);
+    }
+
+    /**
+     * Runs every rule against a resource change
+     *
+     * @param {object} resource entry of resource_changes
+     * @param {object} review review model of the resource
+     * @param {object} fullJson
+     * @returns {object[]} [{ rule, severity, address, message }], most severe first
+     * @memberof RiskEngine
+     */
+    evaluate(resource, review, fullJson) {
+        let context = this.getContext(resource, review, fullJson);
+        let findings = [];
+        for(let i=0; i<this.rules.length; i++) {
+            let rule = this.rules[i];
+            let name = rule.name || "anonymous";
+            let results;
+            try {
+                results = rule.evaluate(context) || [];
+            }
+            catch(error) {
+                // a broken rule must not hide the rest of the review
+                results = [{ severity: "high", message: `Risk rule ${name} failed: ${error.message}` }];
+            }
+            results.forEach((result) => {
+                let severity = result.severity || rule.severity || "medium";
+                this.validateSeverity(severity, `Severity of risk rule [${name}]`);
+                findings.push({
+                    rule: name,
+                    severity: severity,
+                    address: review.address,
+                    message: result.message
+                });
+            });
+        }
+        return this.sort(findings);
+    }
+
+    /**
+     * Builds what a rule gets to look at:
+     *  - resource (entry of resource_changes), review (its review model) and fullJson
+     *  - before and after values, null when the object doesn't exist on that side
+     *
+     * @param {object} resource
+     * @param {object} review
+     * @param {object} fullJson
+     * @returns {object}
+     * @memberof RiskEngine
+     */
+    getContext(resource, review, fullJson) {
+        let change = resource.change;
+        return {
+            resource: resource,
+            review: review,
+            fullJson: fullJson,
+            before: (change.before === undefined) ? null : change.before,
+            after: (change.after === undefined) ? null : change.after
+        };
+    }
+
+    /**
+     * Sorts findings most severe first, keeping plan order otherwise
+     *
+     * @param {object[]} findings
+     * @returns {object[]}
+     * @memberof RiskEngine
+     */
+    sort(findings) {
+        return findings
+            .map((finding, i) => ({ finding: finding, i: i }))
+            .sort((a, b) => (this.getRank(b.finding.severity) - this.getRank(a.finding.severity)) || (a.i - b.i))
+            .map((entry) => entry.finding);
+    }
+
+    /**
+     * @param {string} severity
+     * @returns {number} higher is more severe
+     * @memberof RiskEngine
+     */
+    getRank(severity) {
+        return this.SEVERITIES.indexOf(severity);
+    }
+
+    /**
+     * Indicates if any finding is at least as severe as the threshold
+     *
+     * @param {object[]} findings
+     * @param {string} threshold
+     * @returns {boolean}
+     * @memberof RiskEngine
+     */
+    hasFindingAtOrAbove(findings, threshold) {
+        this.validateSeverity(threshold, "Severity threshold");
+        return findings.some((finding) => this.getRank(finding.severity) >= this.getRank(threshold));
+    }
+
+    /**
+     * @param {string} severity
+     * @param {string} where for the error message
+     * @memberof RiskEngine
+     */
+    validateSeverity(severity, where) {
+        if(!this.SEVERITIES.includes(severity)) {
+            throw new Error(`${where} has unknown severity [${severity}]; expected one of: ${this.SEVERITIES.join(", ")}`);
+        }
+    }
+}
+
+module.exports = RiskEngine;
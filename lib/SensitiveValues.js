@@ -0,0 +1,152 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+
+/**
+ * Masks sensitive values so review output can be pasted into tickets.
+ *  Sensitivity comes from Terraform's before_sensitive/after_sensitive
+ *  structures (true at every sensitive leaf, or true for the whole value),
+ *  from attribute names matching the configured name patterns, and string
+ *  values matching the configured value patterns are redacted wherever
+ *  they appear.
+ */
+class SensitiveValues {
+
+    /**
+     * @param {object} [redact] the "redact" section of .tfreviewrc.json
+     * @param {string[]} [redact.attributes] regexes matched against attribute and key names
+     * @param {string[]} [redact.values] regexes matched against string values
+     */
+    constructor(redact = {}) {
+        this.SENSITIVE = CONSTANTS.SENSITIVE;
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+
+        let attributes = this.compilePatterns(redact.attributes, "redact.attributes", "i");
+        this.namePattern = (attributes.length === 0) ? null : new RegExp(attributes.map((p) => `(?:${p.source})`).join("|"), "i");
+        this.valuePatterns = this.compilePatterns(redact.values, "redact.values", "g");
+    }
+
+    /**
+     * @param {string[]} [patterns]
+     * @param {string} where config location for error messages
+     * @param {string} flags
+     * @returns {RegExp[]}
+     * @memberof SensitiveValues
+     */
+    compilePatterns(patterns = [], where, flags) {
+        if(!Array.isArray(patterns)) throw new Error(`${where} must be an array of regular expressions.`);
+        return patterns.map((pattern, i) => {
+            try {
+                return new RegExp(pattern, flags);
+            }
+            catch(error) {
+                throw new Error(`${where}[${i}] is not a valid regular expression: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Indicates if an attribute or key name is configured as sensitive
+     *
+     * @param {string|number} name
+     * @returns {boolean}
+     * @memberof SensitiveValues
+     */
+    isSensitiveName(name) {
+        return this.namePattern !== null && typeof name === "string" && this.namePattern.test(name);
+    }
+
+    /**
+     * Gets the sensitivity structure of a named attribute, combining Terraform's
+     *  flags with the configured name patterns
+     *
+     * @param {string} name
+     * @param {*} value attribute value
+     * @param {*} sensitive entry of before_sensitive/after_sensitive for the attribute
+     * @returns {*} true, a structure mirroring the value, or undefined
+     * @memberof SensitiveValues
+     */
+    getSensitivity(name, value, sensitive) {
+        if(sensitive === true || this.isSensitiveName(name)) return true;
+        return this.addNamedKeys(value, sensitive);
+    }
+
+    /**
+     * Marks the keys below value whose names match the name patterns
+     *
+     * @param {*} value
+     * @param {*} sensitive
+     * @returns {*}
+     * @memberof SensitiveValues
+     */
+    addNamedKeys(value, sensitive) {
+        if(sensitive === true || value === null || typeof value !== "object" || this.namePattern === null) return sensitive;
+        let result = (Array.isArray(value)) ? [] : {};
+        let keys = Object.keys(value);
+        for(let i=0; i<keys.length; i++) {
+            let key = (Array.isArray(value)) ? Number(keys[i]) : keys[i];
+            let child = (sensitive !== null && typeof sensitive === "object") ? sensitive[key] : undefined;
+            result[key] = (this.isSensitiveName(key)) ? true : this.addNamedKeys(value[key], child);
+        }
+        return result;
+    }
+
+    /**
+     * Indicates if anything within the sensitivity structure is sensitive
+     *
+     * @param {*} sensitive
+     * @returns {boolean}
+     * @memberof SensitiveValues
+     */
+    hasSensitive(sensitive) {
+        if(sensitive === true) return true;
+        if(sensitive === null || typeof sensitive !== "object") return false;
+        return Object.keys(sensitive).some((key) => this.hasSensitive(sensitive[key]));
+    }
+
+    /**
+     * Gets a copy of value with its sensitive parts replaced by (sensitive).
+     *  null stays null so additions and removals still read as such.
+     *
+     * @param {*} value
+     * @param {*} sensitive
+     * @returns {*}
+     * @memberof SensitiveValues
+     */
+    mask(value, sensitive) {
+        if(value === null || value === undefined) return value;
+        if(sensitive === true) return this.SENSITIVE;
+        if(sensitive === null || typeof sensitive !== "object" || typeof value !== "object") return value;
+        let result = (Array.isArray(value)) ? [] : {};
+        Object.keys(value).forEach((key) => {
+            result[key] = this.mask(value[key], sensitive[key]);
+        });
+        return result;
+    }
+
+    /**
+     * Redacts substrings matching the value patterns in every string within value
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof SensitiveValues
+     */
+    redactStrings(value) {
+        if(this.valuePatterns.length === 0) return value;
+        if(typeof value === "string") {
+            let result = value;
+            for(let i=0; i<this.valuePatterns.length; i++) {
+                result = result.replace(this.valuePatterns[i], this.SENSITIVE);
+            }
+            return result;
+        }
+        if(value === null || typeof value !== "object") return value;
+        let result = (Array.isArray(value)) ? [] : {};
+        Object.keys(value).forEach((key) => {
+            result[key] = this.redactStrings(value[key]);
+        });
+        return result;
+    }
+}
+
+module.exports = SensitiveValues;
@@ -0,0 +1,317 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const GLOB = require("./Glob");
+
+class SuppressionRules {
+
+    /**
+     * @param {object[]} [rules] user rules, e.g. from the "suppress" section of .tfreviewrc.json
+     * @param {boolean} [includeDefaults] set false to drop the built-in rules
+     */
+    constructor(rules = [], includeDefaults = true) {
+        this.DEEPEQUAL = require("deep-eql");
+
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+
+        this.WHEN = {
+            ALWAYS: "always",
+            KNOWN_AFTER_APPLY: "known-after-apply",
+            UNCHANGED: "unchanged"
+        };
+
+        /*
+            Attributes that change on every apply and add nothing to a review
+        */
+        this.DEFAULT_RULES = [
+            {
+                resourceType: "aws_lambda_function",
+                attribute: "last_modified",
+                when: this.WHEN.KNOWN_AFTER_APPLY,
+                reason: "Updated on every deployment"
+            },
+            {
+                resourceType: "aws_lambda_function",
+                attribute: "qualified_arn",
+                when: this.WHEN.KNOWN_AFTER_APPLY,
+                reason: "Updated on every deployment"
+            },
+            {
+                resourceType: "aws_lambda_function",
+                attribute: "source_code_hash",
+                when: this.WHEN.ALWAYS,
+                reason: "Hash of the deployment package"
+            }
+        ];
+
+        if(!Array.isArray(rules)) throw new Error("Suppression rules must be an array.");
+        let allRules = (includeDefaults) ? this.DEFAULT_RULES.concat(rules) : rules;
+        this.rules = allRules.map((rule, i) => this.compileRule(rule, i));
+    }
+
+    /**
+     * Validates a rule and prepares it for matching
+     *
+     * @param {object} rule
+     * @param {number} index
+     * @returns {object}
+     * @memberof SuppressionRules
+     */
+    compileRule(rule, index) {
+        let where = `Suppression rule [${index}]`;
+        if(rule === null || typeof rule !== "object") throw new Error(`${where} must be an object.`);
+        if(typeof rule.attribute !== "string" || rule.attribute.length === 0) throw new Error(`${where} requires an attribute path.`);
+        let when = (rule.when === undefined) ? this.WHEN.ALWAYS : rule.when;
+        if(!Object.values(this.WHEN).includes(when)) {
+            throw new Error(`${where} has unknown condition [${when}]; expected one of: ${Object.values(this.WHEN).join(", ")}`);
+        }
+        let resourceType = (rule.resourceType === undefined) ? "*" : rule.resourceType;
+
+        return {
+            resourceType: resourceType,
+            typePattern: GLOB.toRegExp(resourceType),
+            attribute: rule.attribute,
+            path: this.parsePath(rule.attribute),
+            when: when,
+            reason: (typeof rule.reason === "string") ? rule.reason : null
+        };
+    }
+
+    /**
+     * Splits an attribute path such as environment.variables.LOG_LEVEL or
+     *  ingress[0].cidr_blocks into its segments
+     *
+     * @param {string} path
+     * @returns {string[]}
+     * @memberof SuppressionRules
+     */
+    parsePath(path) {
+        return path.replace(/\[(\w+|\*)\]/g, ".$1").split(".").filter((segment) => segment.length > 0);
+    }
+
+    /**
+     * Removes the parts of a top-level attribute diff matched by the rules
+     *  for this resource type.  Returns the remaining diff, or null when
+     *  the whole attribute is suppressed, along with what was suppressed.
+     *
+     * @param {string} resourceType
+     * @param {string} attribute top-level attribute name
+     * @param {object} diff { oldValue, newValue }
+     * @returns {object} { diff, suppressed: [{ path, when, reason }] }
+     * @memberof SuppressionRules
+     */
+    apply(resourceType, attribute, diff) {
+        let result = {
+            diff: diff,
+            suppressed: []
+        };
+
+        for(let i=0; i<this.rules.length; i++) {
+            let rule = this.rules[i];
+            if(!rule.typePattern.test(resourceType) || !this.matchesSegment(rule.path[0], attribute)) continue;
+
+            if(rule.path.length === 1) {
+                if(this.isConditionMet(rule.when, result.diff.oldValue, result.diff.newValue)) {
+                    result.suppressed.push(this.getSuppression(attribute, rule));
+                    result.diff = null;
+                    return result;
+                }
+                continue;
+            }
+
+            /*
+                Nested path: strip the matching leaves from copies of both values
+            */
+            let oldValue = this.clone(result.diff.oldValue);
+            let newValue = this.clone(result.diff.newValue);
+            let leafPaths = this.resolvePaths(oldValue, rule.path.slice(1), [])
+                .concat(this.resolvePaths(newValue, rule.path.slice(1), []));
+            let seen = {};
+            let matched = [];
+            for(let j=0; j<leafPaths.length; j++) {
+                let leafPath = leafPaths[j];
+                let key = JSON.stringify(leafPath);
+                if(seen[key]) continue;
+                seen[key] = true;
+
+                let oldLeaf = this.getAtPath(oldValue, leafPath);
+                let newLeaf = this.getAtPath(newValue, leafPath);
+                if(!this.isConditionMet(rule.when, oldLeaf, newLeaf)) continue;
+                matched.push(leafPath);
+                // leaves that wouldn't have been shown anyway aren't counted
+                if(newLeaf === this.KNOWN_AFTER_APPLY || !this.DEEPEQUAL(oldLeaf, newLeaf)) {
+                    result.suppressed.push(this.getSuppression(this.formatPath([attribute].concat(leafPath)), rule));
+                }
+            }
+            // list items are spliced out, so delete from the highest index down to keep the other paths pointing at their items
+            matched.sort((a, b) => this.comparePaths(b, a));
+            for(let j=0; j<matched.length; j++) {
+                this.deleteAtPath(oldValue, matched[j]);
+                this.deleteAtPath(newValue, matched[j]);
+            }
+            result.diff = {
+                oldValue: this.emptyToNull(oldValue),
+                newValue: this.emptyToNull(newValue)
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Indicates if a rule condition holds for the before and after value
+     *
+     * @param {string} when
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @returns {boolean}
+     * @memberof SuppressionRules
+     */
+    isConditionMet(when, oldValue, newValue) {
+        switch(when) {
+            case this.WHEN.KNOWN_AFTER_APPLY:
+                return newValue === this.KNOWN_AFTER_APPLY;
+            case this.WHEN.UNCHANGED:
+                return this.DEEPEQUAL(oldValue, newValue);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Finds the concrete key paths within value matching the rule segments.
+     *  "*" matches every key, and arrays (nested blocks) are descended into
+     *  when the segment isn't an index.
+     *
+     * @param {*} value
+     * @param {string[]} segments
+     * @param {Array<string|number>} prefix
+     * @returns {Array<Array<string|number>>}
+     * @memberof SuppressionRules
+     */
+    resolvePaths(value, segments, prefix) {
+        if(segments.length === 0) return [prefix];
+        if(value === null || typeof value !== "object") return [];
+
+        let paths = [];
+        let segment = segments[0];
+        if(Array.isArray(value) && !/^\d+$/.test(segment) && segment !== "*") {
+            for(let i=0; i<value.length; i++) {
+                paths = paths.concat(this.resolvePaths(value[i], segments, prefix.concat(i)));
+            }
+            return paths;
+        }
+
+        let keys = Object.keys(value);
+        for(let i=0; i<keys.length; i++) {
+            if(!this.matchesSegment(segment, keys[i])) continue;
+            let key = Array.isArray(value) ? Number(keys[i]) : keys[i];
+            paths = paths.concat(this.resolvePaths(value[keys[i]], segments.slice(1), prefix.concat(key)));
+        }
+        return paths;
+    }
+
+    /**
+     * @param {string} segment rule path segment, possibly a glob
+     * @param {string} key
+     * @returns {boolean}
+     * @memberof SuppressionRules
+     */
+    matchesSegment(segment, key) {
+        return segment === key || (segment.indexOf("*") > -1 && GLOB.matches(segment, `${key}`));
+    }
+
+    /**
+     * @param {*} value
+     * @param {Array<string|number>} path
+     * @returns {*} value at path, or undefined
+     * @memberof SuppressionRules
+     */
+    getAtPath(value, path) {
+        for(let i=0; i<path.length; i++) {
+            if(value === null || typeof value !== "object") return undefined;
+            value = value[path[i]];
+        }
+        return value;
+    }
+
+    /**
+     * Removes the value at path; list items are spliced out rather than
+     *  left as holes
+     *
+     * @param {*} value
+     * @param {Array<string|number>} path
+     * @memberof SuppressionRules
+     */
+    deleteAtPath(value, path) {
+        let parent = this.getAtPath(value, path.slice(0, -1));
+        if(parent === null || typeof parent !== "object") return;
+        let last = path[path.length - 1];
+        if(Array.isArray(parent)) parent.splice(last, 1);
+        else delete parent[last];
+    }
+
+    /**
+     * Orders key paths segment by segment, a path ahead of the paths within it
+     *
+     * @param {Array<string|number>} a
+     * @param {Array<string|number>} b
+     * @returns {number}
+     * @memberof SuppressionRules
+     */
+    comparePaths(a, b) {
+        for(let i=0; i<Math.min(a.length, b.length); i++) {
+            if(a[i] === b[i]) continue;
+            if(typeof a[i] === "number" && typeof b[i] === "number") return a[i] - b[i];
+            return (`${a[i]}` < `${b[i]}`) ? -1 : 1;
+        }
+        return a.length - b.length;
+    }
+
+    /**
+     * Formats key segments back into a dotted attribute path
+     *
+     * @param {Array<string|number>} path
+     * @returns {string}
+     * @memberof SuppressionRules
+     */
+    formatPath(path) {
+        return path.map((segment) => (typeof segment === "number") ? `[${segment}]` : `.${segment}`).join("").substring(1);
+    }
+
+    /**
+     * @param {string} path
+     * @param {object} rule
+     * @returns {object}
+     * @memberof SuppressionRules
+     */
+    getSuppression(path, rule) {
+        return {
+            path: path,
+            when: rule.when,
+            reason: rule.reason
+        };
+    }
+
+    /**
+     * @param {*} value
+     * @returns {*} deep copy of JSON data
+     * @memberof SuppressionRules
+     */
+    clone(value) {
+        return (value === null || value === undefined) ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Stripping leaves can leave empty objects behind, which the reviewer treats as null
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof SuppressionRules
+     */
+    emptyToNull(value) {
+        if(value !== null && typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0) return null;
+        return value;
+    }
+}
+
+module.exports = SuppressionRules;
@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+ * Turns a binary plan file, as written by terraform plan -out, into its
+ *  JSON by running terraform show -json in a subprocess.  The JSON is read
+ *  from the subprocess's stdout, so the plaintext secrets it holds never
+ *  touch the disk.
+ */
+class TerraformShow {
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.binary] path or name of the terraform binary; terraform on PATH when not given
+     * @param {object} [options.env] environment of the subprocess; defaults to the current process's
+     * @param {string} [options.cwd] directory to run terraform in; its .terraform holds the provider schemas
+     */
+    constructor(options = {}) {
+        this.FS = require("fs");
+        this.PATH = require("path");
+        this.CHILD_PROCESS = require("child_process");
+
+        this.BINARY_NAME = "terraform";
+        // plan files are zip archives
+        this.ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+        this.binary = (options.binary === undefined) ? null : options.binary;
+        this.env = options.env || process.env;
+        this.cwd = options.cwd || process.cwd();
+    }
+
+    /**
+     * Indicates if the contents are a binary plan rather than plan JSON
+     *
+     * @param {Buffer} contents
+     * @returns {boolean}
+     * @memberof TerraformShow
+     */
+    isBinaryPlan(contents) {
+        return contents.length >= this.ZIP_SIGNATURE.length && contents.subarray(0, this.ZIP_SIGNATURE.length).equals(this.ZIP_SIGNATURE);
+    }
+
+    /**
+     * Finds the terraform binary: the one configured, as a path or a name to
+     *  look for on PATH, or else terraform on PATH
+     *
+     * @returns {string} path of the binary
+     * @memberof TerraformShow
+     */
+    locate() {
+        let name = (this.binary === null) ? this.BINARY_NAME : this.binary;
+        if(name.includes("/") || name.includes(this.PATH.sep)) {
+            let binary = this.PATH.resolve(this.cwd, name);
+            if(!this.FS.existsSync(binary)) throw new Error(`Terraform binary not found: ${binary}`);
+            return binary;
+        }
+        let names = [name];
+        if(process.platform === "win32" && this.PATH.extname(name) === "") {
+            names = (this.env.PATHEXT || ".EXE").split(";").filter((ext) => ext.length > 0).map((ext) => `${name}${ext.toLowerCase()}`);
+        }
+        let directories = (this.env.PATH || "").split(this.PATH.delimiter).filter((directory) => directory.length > 0);
+        for(let i=0; i<directories.length; i++) {
+            for(let j=0; j<names.length; j++) {
+                let candidate = this.PATH.resolve(this.cwd, directories[i], names[j]);
+                if(this.isExecutable(candidate)) return candidate;
+            }
+        }
+        throw new Error(`${name} was not found on PATH; install it, or name the binary with --terraform=<path> or TFREVIEW_TERRAFORM.`);
+    }
+
+    /**
+     * @param {string} file
+     * @returns {boolean}
+     * @memberof TerraformShow
+     */
+    isExecutable(file) {
+        try {
+            this.FS.accessSync(file, this.FS.constants.X_OK);
+            return this.FS.statSync(file).isFile();
+        }
+        catch(error) {
+            return false;
+        }
+    }
+
+    /**
+     * Runs terraform show -json on a binary plan file
+     *
+     * @param {string} planFile
+     * @returns {Promise<string>} the plan JSON
+     * @memberof TerraformShow
+     */
+    show(planFile) {
+        let binary = this.locate();
+        return new Promise((resolve, reject) => {
+            let child = this.CHILD_PROCESS.spawn(binary, ["show", "-json", planFile], {
+                cwd: this.cwd,
+                env: Object.assign({}, this.env, { TF_IN_AUTOMATION: "1" }),
+                stdio: ["ignore", "pipe", "pipe"]
+            });
+            let chunks = [];
+            let errors = [];
+            child.stdout.on("data", (chunk) => chunks.push(chunk));
+            child.stderr.on("data", (chunk) => errors.push(chunk));
+            child.on("error", (error) => reject(new Error(`Could not run ${binary}: ${error.message}`)));
+            child.on("close", (code, signal) => {
+                if(code === 0) return resolve(Buffer.concat(chunks).toString("utf8"));
+                let status = (signal !== null) ? `was stopped by ${signal}` : `exited with code ${code}`;
+                let stderr = Buffer.concat(errors).toString("utf8").trim();
+                reject(new Error(`${this.PATH.basename(binary)} show -json ${status}${(stderr.length > 0) ? `:\n${stderr}` : "."}`));
+            });
+        });
+    }
+}
+
+module.exports = TerraformShow;
@@ -0,0 +1,132 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+const ADDRESS_PARSER = require("./AddressParser");
+const REFERENCE_TRACER = require("./ReferenceTracer");
+
+/**
+ * Explains why an attribute is (known after apply) by following the
+ *  references of its configuration expression upstream: through module
+ *  input variables to the calling module, through module outputs into the
+ *  called module, until it reaches resources the plan changes, e.g.
+ *  "depends on var.bucket_arn → module.storage.bucket_arn → module.storage.aws_s3_bucket.logs.arn (being created)".
+ *  References to resources that aren't changing are dropped since their
+ *  values are already known.
+ */
+class UnknownExplainer {
+
+    /**
+     * @param {object} resolver PlanReviewer providing getPlanIndex()
+     */
+    constructor(resolver) {
+        this.resolver = resolver;
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.STATUSES = {
+            "create": "being created",
+            "update": "being updated",
+            "delete,create": "being replaced",
+            "create,delete": "being replaced",
+            "read": "read during apply"
+        };
+    }
+
+    /**
+     * Indicates if a value is, or holds, (known after apply)
+     *
+     * @param {*} value
+     * @returns {boolean}
+     * @memberof UnknownExplainer
+     */
+    isUnknown(value) {
+        if(value === this.KNOWN_AFTER_APPLY) return true;
+        if(value === null || typeof value !== "object") return false;
+        return Object.keys(value).some((key) => this.isUnknown(value[key]));
+    }
+
+    /**
+     * Gets the chains of references the attribute's value depends on
+     *
+     * @param {object} resource entry of resource_changes
+     * @param {string} attribute
+     * @param {object} fullJson
+     * @returns {string[]} e.g. ["depends on aws_s3_bucket.logs.arn (being created)"]; empty when
+     *      the configuration doesn't explain it, e.g. for values the provider computes
+     * @memberof UnknownExplainer
+     */
+    explain(resource, attribute, fullJson) {
+        let planIndex = this.resolver.getPlanIndex(fullJson);
+        let address;
+        try {
+            address = this.ADDRESS_PARSER.parse(resource.address);
+        }
+        catch(error) {
+            return [];
+        }
+        let tracer = new REFERENCE_TRACER(planIndex);
+        let configResource = planIndex.getConfigResource(tracer.getModulePath(address.modules), address.configAddress);
+        if(configResource === null || configResource.expressions === null || typeof configResource.expressions !== "object") return [];
+
+        return this.explainExpression(configResource.expressions[attribute], address.modules, tracer, planIndex);
+    }
+
+    /**
+     * Gets the chains of references a root module output depends on
+     *
+     * @param {string} name
+     * @param {object} fullJson
+     * @returns {string[]}
+     * @memberof UnknownExplainer
+     */
+    explainOutput(name, fullJson) {
+        let planIndex = this.resolver.getPlanIndex(fullJson);
+        let rootModule = planIndex.getConfigModule("");
+        let output = (rootModule === null || !rootModule.outputs) ? undefined : rootModule.outputs[name];
+        if(output === undefined) return [];
+        return this.explainExpression(output.expression, [], new REFERENCE_TRACER(planIndex), planIndex);
+    }
+
+    /**
+     * @param {object} expression configuration expression
+     * @param {object[]} modules module instance the expression is in: [{ name, index }]
+     * @param {ReferenceTracer} tracer
+     * @param {PlanIndex} planIndex
+     * @returns {string[]}
+     * @memberof UnknownExplainer
+     */
+    explainExpression(expression, modules, tracer, planIndex) {
+        let explanations = [];
+        tracer.getReferences(expression).forEach((reference) => {
+            tracer.trace(reference, modules, (target) => {
+                if(target.kind === "local") {
+                    // the plan doesn't include locals, so this is as far as it goes
+                    explanations.push(`depends on ${target.chain.join(" → ")} (locals aren't in the plan)`);
+                }
+                else if(target.kind === "resource") {
+                    let status = this.getStatus(planIndex.getResourceChanges(target.moduleAddress, target.address));
+                    if(status !== null) explanations.push(`depends on ${target.chain.join(" → ")} (${status})`);
+                }
+            });
+        });
+        // the same upstream change is often reached more than one way
+        return explanations.filter((explanation, i) => explanations.indexOf(explanation) === i);
+    }
+
+    /**
+     * Describes what the plan does to a resource, or to all instances of it
+     *
+     * @param {object[]} resourceChanges
+     * @returns {string|null} null when none of them is changing
+     * @memberof UnknownExplainer
+     */
+    getStatus(resourceChanges) {
+        let statuses = [];
+        resourceChanges.forEach((resource) => {
+            let status = this.STATUSES[resource.change.actions.join(",")];
+            if(status !== undefined && !statuses.includes(status)) statuses.push(status);
+        });
+        return (statuses.length === 0) ? null : statuses.join(", ");
+    }
+}
+
+module.exports = UnknownExplainer;
@@ -0,0 +1,266 @@
+"use strict";
+
+const CONSTANTS = require("./Constants");
+
+class ValueDiff {
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.collapseSingleItemLists] leave the [0] out of paths through
+     *      lists that hold a single item on both sides, like Terraform nested blocks
+     */
+    constructor(options = {}) {
+        this.DEEPEQUAL = require("deep-eql");
+
+        this.CHANGES = CONSTANTS.CHANGES;
+        // lists whose differing middles would need a larger LCS table are aligned by index instead
+        this.MAX_LIST_DIFF_CELLS = 250000;
+        this.collapseSingleItemLists = options.collapseSingleItemLists === true;
+    }
+
+    /**
+     * Structural diff of two JSON values.  Returns one entry per changed
+     *  path; unchanged parts are left out entirely.  List items are aligned
+     *  by content, so an item inserted at the front of a list is reported
+     *  as one addition instead of a change to every following index.
+     *
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {object} [sensitivity] masks sensitive leaves of the reported values
+     * @param {*} [sensitivity.old] sensitivity structure of the old value
+     * @param {*} [sensitivity.new] sensitivity structure of the new value
+     * @param {SensitiveValues} [sensitivity.masker]
+     * @returns {object[]} [{ path, change, oldValue, newValue }]
+     * @memberof ValueDiff
+     */
+    diff(oldValue, newValue, sensitivity = {}) {
+        let context = {
+            changes: [],
+            masker: sensitivity.masker || null
+        };
+        this.collect(oldValue, newValue, [], context, sensitivity.old, sensitivity.new);
+        return context.changes;
+    }
+
+    /**
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {Array<string|number>} path
+     * @param {object} context { changes, masker }
+     * @param {*} oldSensitive
+     * @param {*} newSensitive
+     * @memberof ValueDiff
+     */
+    collect(oldValue, newValue, path, context, oldSensitive, newSensitive) {
+        if(this.DEEPEQUAL(oldValue, newValue)) return;
+
+        // a wholly sensitive value is reported as one change without looking inside
+        if(oldSensitive === true || newSensitive === true) {
+            context.changes.push(this.getChange(path, oldValue, newValue, context, oldSensitive, newSensitive));
+        }
+        else if(this.isObject(oldValue) && this.isObject(newValue)) {
+            let keys = Object.keys(oldValue).concat(Object.keys(newValue).filter((key) => !(key in oldValue)));
+            for(let i=0; i<keys.length; i++) {
+                this.collectMember(oldValue, newValue, keys[i], path, context, oldSensitive, newSensitive);
+            }
+        }
+        else if(Array.isArray(oldValue) && Array.isArray(newValue)) {
+            if(this.collapseSingleItemLists && oldValue.length === 1 && newValue.length === 1) {
+                this.collect(oldValue[0], newValue[0], path, context, this.child(oldSensitive, 0), this.child(newSensitive, 0));
+            }
+            else {
+                this.collectList(oldValue, newValue, path, context, oldSensitive, newSensitive);
+            }
+        }
+        else {
+            context.changes.push(this.getChange(path, oldValue, newValue, context, oldSensitive, newSensitive));
+        }
+    }
+
+    /**
+     * Diffs two lists by aligning equal items (longest common subsequence).
+     *  Unmatched items between two aligned ones are paired up in order and
+     *  diffed against each other; the rest are additions or removals.
+     *
+     * @param {Array} oldList
+     * @param {Array} newList
+     * @param {Array<string|number>} path
+     * @param {object} context
+     * @param {*} oldSensitive
+     * @param {*} newSensitive
+     * @memberof ValueDiff
+     */
+    collectList(oldList, newList, path, context, oldSensitive, newSensitive) {
+        let pairs = this.getCommonItems(oldList, newList);
+        pairs.push([oldList.length, newList.length]); // sentinel closes the last gap
+
+        let oldIndex = 0;
+        let newIndex = 0;
+        for(let p=0; p<pairs.length; p++) {
+            let oldEnd = pairs[p][0];
+            let newEnd = pairs[p][1];
+            while(oldIndex < oldEnd && newIndex < newEnd) {
+                this.collect(oldList[oldIndex], newList[newIndex], path.concat(newIndex), context,
+                    this.child(oldSensitive, oldIndex), this.child(newSensitive, newIndex));
+                oldIndex++;
+                newIndex++;
+            }
+            for(; oldIndex < oldEnd; oldIndex++) {
+                context.changes.push(this.getChange(path.concat(oldIndex), oldList[oldIndex], null, context, this.child(oldSensitive, oldIndex)));
+            }
+            for(; newIndex < newEnd; newIndex++) {
+                context.changes.push(this.getChange(path.concat(newIndex), null, newList[newIndex], context, undefined, this.child(newSensitive, newIndex)));
+            }
+            // skip past the aligned (equal) items
+            oldIndex = oldEnd + 1;
+            newIndex = newEnd + 1;
+        }
+    }
+
+    /**
+     * Gets the index pairs of the longest common subsequence of equal items.
+     *  Items are compared by their JSON text, and the common prefix and suffix
+     *  are lined up before the table is built for the part in between.  When
+     *  that part is too large nothing in it is aligned, so collectList pairs
+     *  its items up by index.
+     *
+     * @param {Array} oldList
+     * @param {Array} newList
+     * @returns {Array<number[]>} [[oldIndex, newIndex]] in ascending order
+     * @memberof ValueDiff
+     */
+    getCommonItems(oldList, newList) {
+        let oldKeys = oldList.map((item) => JSON.stringify(item));
+        let newKeys = newList.map((item) => JSON.stringify(item));
+        let pairs = [];
+
+        let start = 0;
+        while(start < oldKeys.length && start < newKeys.length && oldKeys[start] === newKeys[start]) {
+            pairs.push([start, start]);
+            start++;
+        }
+        let oldEnd = oldKeys.length;
+        let newEnd = newKeys.length;
+        while(oldEnd > start && newEnd > start && oldKeys[oldEnd - 1] === newKeys[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        let oldCount = oldEnd - start;
+        let newCount = newEnd - start;
+        if(oldCount * newCount <= this.MAX_LIST_DIFF_CELLS) {
+            // lengths[i][j] is the length of the longest common subsequence of the middles from start + i and start + j on
+            let lengths = [];
+            for(let i=oldCount; i>=0; i--) {
+                lengths[i] = new Uint32Array(newCount + 1);
+                if(i === oldCount) continue;
+                for(let j=newCount - 1; j>=0; j--) {
+                    lengths[i][j] = (oldKeys[start + i] === newKeys[start + j]) ?
+                        lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while(i < oldCount && j < newCount) {
+                if(oldKeys[start + i] === newKeys[start + j]) {
+                    pairs.push([start + i, start + j]);
+                    i++;
+                    j++;
+                }
+                else if(lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+                else j++;
+            }
+        }
+
+        for(let k=0; k<oldKeys.length - oldEnd; k++) {
+            pairs.push([oldEnd + k, newEnd + k]);
+        }
+        return pairs;
+    }
+
+    /**
+     * Diffs a single object key that may be missing on either side
+     *
+     * @param {object} oldValue
+     * @param {object} newValue
+     * @param {string} key
+     * @param {Array<string|number>} path
+     * @param {object} context
+     * @param {*} oldSensitive
+     * @param {*} newSensitive
+     * @memberof ValueDiff
+     */
+    collectMember(oldValue, newValue, key, path, context, oldSensitive, newSensitive) {
+        let childPath = path.concat(key);
+        let hasOld = key in oldValue;
+        let hasNew = key in newValue;
+        let oldChild = this.child(oldSensitive, key);
+        let newChild = this.child(newSensitive, key);
+        if(hasOld && hasNew) this.collect(oldValue[key], newValue[key], childPath, context, oldChild, newChild);
+        else if(hasOld) context.changes.push(this.getChange(childPath, oldValue[key], null, context, oldChild));
+        else context.changes.push(this.getChange(childPath, null, newValue[key], context, undefined, newChild));
+    }
+
+    /**
+     * @param {*} sensitive
+     * @param {string|number} key
+     * @returns {*} sensitivity structure of the child
+     * @memberof ValueDiff
+     */
+    child(sensitive, key) {
+        return (sensitive !== null && typeof sensitive === "object") ? sensitive[key] : undefined;
+    }
+
+    /**
+     * @param {Array<string|number>} path
+     * @param {*} oldValue null when the path is added
+     * @param {*} newValue null when the path is removed
+     * @param {object} [context]
+     * @param {*} [oldSensitive]
+     * @param {*} [newSensitive]
+     * @returns {object}
+     * @memberof ValueDiff
+     */
+    getChange(path, oldValue, newValue, context = {}, oldSensitive, newSensitive) {
+        let change = this.CHANGES.UPDATE;
+        if(oldValue === null && newValue !== null) change = this.CHANGES.CREATE;
+        else if(oldValue !== null && newValue === null) change = this.CHANGES.DELETE;
+        let masker = context.masker || null;
+        return {
+            path: this.formatPath(path),
+            change: change,
+            oldValue: (masker === null) ? oldValue : masker.mask(oldValue, oldSensitive),
+            newValue: (masker === null) ? newValue : masker.mask(newValue, newSensitive)
+        };
+    }
+
+    /**
+     * Formats path segments as a.b[0].c; keys that aren't identifiers are quoted
+     *
+     * @param {Array<string|number>} path
+     * @returns {string}
+     * @memberof ValueDiff
+     */
+    formatPath(path) {
+        let text = "";
+        for(let i=0; i<path.length; i++) {
+            let segment = path[i];
+            if(typeof segment === "number") text = `${text}[${segment}]`;
+            else if(/^[A-Za-z_][\w-]*$/.test(segment)) text = (text.length === 0) ? segment : `${text}.${segment}`;
+            else text = `${text}[${JSON.stringify(segment)}]`;
+        }
+        return text;
+    }
+
+    /**
+     * @param {*} x
+     * @returns {boolean} true for plain objects only
+     * @memberof ValueDiff
+     */
+    isObject(x) {
+        return (x !== null && typeof x == "object" && !Array.isArray(x));
+    }
+}
+
+module.exports = ValueDiff;
@@ -0,0 +1,115 @@
+"use strict";
+
+const PREDICTOR = require("./Predictor");
+const TEMPLATE_FILE_PREDICTOR = require("./TemplateFilePredictor");
+
+/**
+ * Predicts aws_ecs_task_definition container_definitions.  The provider stores
+ *  the definitions as returned by AWS, with defaults filled in and lists
+ *  reordered, so a plan frequently shows a replacement for JSON that is
+ *  equivalent to what is deployed.  Both sides are normalized before they
+ *  are compared; (known after apply) values rendered from a data.template_file
+ *  are predicted first.
+ */
+class EcsContainerDefinitionsPredictor extends PREDICTOR {
+
+    constructor() {
+        super("ecs_container_definitions");
+        this.TEMPLATE_FILE = new TEMPLATE_FILE_PREDICTOR();
+
+        // attributes AWS fills in when they are left out of a container definition
+        this.DEFAULTS = {
+            "cpu": 0,
+            "essential": true
+        };
+    }
+
+    /**
+     * Known values are checked as well since they are the common false positive
+     *
+     * @param {object} diff
+     * @returns {boolean}
+     * @memberof EcsContainerDefinitionsPredictor
+     */
+    appliesTo(diff) {
+        return typeof diff.oldValue === "string" && typeof diff.newValue === "string";
+    }
+
+    /**
+     * @param {object} context
+     * @returns {string|null}
+     * @memberof EcsContainerDefinitionsPredictor
+     */
+    predict(context) {
+        if(context.diff.newValue === this.KNOWN_AFTER_APPLY) return this.TEMPLATE_FILE.predict(context);
+        return context.diff.newValue;
+    }
+
+    /**
+     * @param {string} oldValue
+     * @param {string} predictedValue
+     * @returns {boolean}
+     * @memberof EcsContainerDefinitionsPredictor
+     */
+    isNoChange(oldValue, predictedValue) {
+        return this.DEEPEQUAL(this.normalize(JSON.parse(oldValue)), this.normalize(JSON.parse(predictedValue)));
+    }
+
+    /**
+     * Normalizes a list of container definitions the way AWS returns them
+     *
+     * @param {object[]} definitions
+     * @returns {object[]}
+     * @memberof EcsContainerDefinitionsPredictor
+     */
+    normalize(definitions) {
+        if(!Array.isArray(definitions)) return definitions;
+        return definitions.map((definition) => {
+            let normalized = this.removeEmpty(definition);
+            if(normalized === null || typeof normalized !== "object") return normalized;
+
+            Object.keys(this.DEFAULTS).forEach((key) => {
+                if(normalized[key] === this.DEFAULTS[key]) delete normalized[key];
+            });
+            ["environment", "secrets"].forEach((key) => {
+                if(Array.isArray(normalized[key])) {
+                    normalized[key] = normalized[key].slice().sort((a, b) => `${a.name}`.localeCompare(`${b.name}`));
+                }
+            });
+            if(Array.isArray(normalized.portMappings)) {
+                normalized.portMappings = normalized.portMappings.map((mapping) => {
+                    let copy = Object.assign({}, mapping);
+                    if(copy.protocol === "tcp") delete copy.protocol;
+                    if(copy.hostPort === copy.containerPort) delete copy.hostPort;
+                    return copy;
+                });
+            }
+            return normalized;
+        });
+    }
+
+    /**
+     * Drops null values and empty lists/objects, which AWS treats as unset
+     *
+     * @param {*} value
+     * @returns {*}
+     * @memberof EcsContainerDefinitionsPredictor
+     */
+    removeEmpty(value) {
+        if(Array.isArray(value)) {
+            let items = value.map((item) => this.removeEmpty(item)).filter((item) => item !== undefined);
+            return (items.length === 0) ? undefined : items;
+        }
+        if(value !== null && typeof value === "object") {
+            let result = {};
+            Object.keys(value).forEach((key) => {
+                let item = this.removeEmpty(value[key]);
+                if(item !== undefined) result[key] = item;
+            });
+            return (Object.keys(result).length === 0) ? undefined : result;
+        }
+        return (value === null) ? undefined : value;
+    }
+}
+
+module.exports = EcsContainerDefinitionsPredictor;
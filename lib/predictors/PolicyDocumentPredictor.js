@@ -0,0 +1,32 @@
+"use strict";
+
+const PREDICTOR = require("./Predictor");
+
+/**
+ * Predicts policy attributes, e.g. of aws_s3_bucket_policy, that are set from
+ *  a single data.aws_iam_policy_document whose json was rendered during plan.
+ */
+class PolicyDocumentPredictor extends PREDICTOR {
+
+    constructor() {
+        super("aws_iam_policy_document");
+    }
+
+    /**
+     * @param {object} context
+     * @returns {string|null}
+     * @memberof PolicyDocumentPredictor
+     */
+    predict(context) {
+        let references = this.getReferences(context);
+        if(references === null || references.length != 1) return null;
+
+        let reference = this.parseReference(references[0]);
+        if(reference === null || !reference.address.startsWith("data.aws_iam_policy_document.")) return null;
+        let resolved = this.resolveReference(`${reference.address}.json`, context);
+        if(!resolved.known || typeof resolved.value !== "string") return null;
+        return resolved.value;
+    }
+}
+
+module.exports = PolicyDocumentPredictor;
@@ -0,0 +1,187 @@
+"use strict";
+
+const CONSTANTS = require("../Constants");
+const JSON_SEMANTICS = require("../JsonSemantics");
+const ADDRESS_PARSER = require("../AddressParser");
+
+/**
+ * Base class for change predictors.  A predictor is asked about a single
+ *  attribute diff and returns the value it expects the attribute to have
+ *  after apply, or null when it can't tell.  The prediction engine then
+ *  compares that value with the old one to decide if the change is real.
+ */
+class Predictor {
+
+    /**
+     * @param {string} name reported with each prediction
+     */
+    constructor(name) {
+        this.DEEPEQUAL = require("deep-eql");
+
+        this.JSON_SEMANTICS = new JSON_SEMANTICS();
+        this.ADDRESS_PARSER = new ADDRESS_PARSER();
+
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.name = name;
+    }
+
+    /**
+     * Indicates if the predictor wants to look at this diff at all.
+     *  By default only (known after apply) values are predicted.
+     *
+     * @param {object} diff { oldValue, newValue }
+     * @returns {boolean}
+     * @memberof Predictor
+     */
+    appliesTo(diff) {
+        return diff.newValue === this.KNOWN_AFTER_APPLY;
+    }
+
+    /**
+     * Predicts the new value of the attribute
+     *
+     * @param {object} context see PredictionEngine.getContext()
+     * @returns {*} predicted value, or null when no prediction can be made
+     * @memberof Predictor
+     */
+    predict(context) {
+        return null;
+    }
+
+    /**
+     * Indicates if the predicted value means the attribute won't actually change.
+     *  JSON encoded strings are compared semantically (see JsonSemantics);
+     *  anything that isn't a string on both sides is compared as it is.
+     *
+     * @param {*} oldValue
+     * @param {*} predictedValue
+     * @returns {boolean}
+     * @memberof Predictor
+     */
+    isNoChange(oldValue, predictedValue) {
+        if(oldValue === predictedValue) return true;
+        if(typeof oldValue !== "string" || typeof predictedValue !== "string") return this.DEEPEQUAL(oldValue, predictedValue);
+        return this.JSON_SEMANTICS.equals(JSON.parse(oldValue), JSON.parse(predictedValue));
+    }
+
+    /**
+     * Splices vars into ${name} placeholders of a template.  $${ escapes
+     *  are rendered as a literal ${ like Terraform does.
+     *
+     * @param {string} template
+     * @param {object} vars
+     * @returns {string}
+     * @memberof Predictor
+     */
+    renderTemplate(template, vars) {
+        return template.replace(/(\$?)\$\{\s*([\w.-]+)\s*\}/g, (match, escape, name) => {
+            if(escape === "$") return match.substring(1);
+            if(!Object.prototype.hasOwnProperty.call(vars, name)) return match;
+            let value = vars[name];
+            return (typeof value === "string") ? value : JSON.stringify(value);
+        });
+    }
+
+    /**
+     * Resolves a configuration reference such as var.name, aws_s3_bucket.logs.arn
+     *  or data.template_file.policy.rendered to its planned value.  Sensitive
+     *  values are treated as unknown so they never end up in a prediction.
+     *
+     * @param {string} reference
+     * @param {object} context
+     * @returns {object} { known: boolean, value }
+     * @memberof Predictor
+     */
+    resolveReference(reference, context) {
+        let unknown = { known: false, value: null };
+        let tokens = reference.split(".");
+
+        if(tokens[0] === "var") {
+            // input variables are only listed for the root module
+            let variables = context.fullJson.variables;
+            if(context.moduleName !== "root_module" || variables === undefined || variables[tokens[1]] === undefined) return unknown;
+            let configuration = context.fullJson.configuration;
+            let declared = (configuration && configuration.root_module && configuration.root_module.variables) ? configuration.root_module.variables[tokens[1]] : undefined;
+            if(declared !== undefined && declared.sensitive === true) return unknown;
+            return this.getKnownValue(variables[tokens[1]].value, tokens.slice(2));
+        }
+
+        let parsed = this.parseReference(reference);
+        if(parsed === null) return unknown;
+        let plannedResource = context.getPlannedResource(parsed.address);
+        if(plannedResource === null || plannedResource.values === undefined) return unknown;
+        if(this.isSensitivePath(plannedResource.sensitive_values, parsed.path)) return unknown;
+        return this.getKnownValue(plannedResource.values, parsed.path);
+    }
+
+    /**
+     * Splits a reference to a resource into its address and attribute path
+     *
+     * @param {string} reference
+     * @returns {object|null} { address, path }, or null for anything but a resource reference
+     * @memberof Predictor
+     */
+    parseReference(reference) {
+        try {
+            return this.ADDRESS_PARSER.parseReference(reference);
+        }
+        catch(error) {
+            // expressions Terraform lists but we can't parse, e.g. splat references
+            return null;
+        }
+    }
+
+    /**
+     * Indicates if the value at path, or anything within it, is flagged in sensitive_values
+     *
+     * @param {*} sensitive
+     * @param {Array<string|number>} path
+     * @returns {boolean}
+     * @memberof Predictor
+     */
+    isSensitivePath(sensitive, path) {
+        for(let i=0; i<path.length; i++) {
+            if(sensitive === true) return true;
+            if(sensitive === null || typeof sensitive !== "object") return false;
+            sensitive = sensitive[path[i]];
+        }
+        if(sensitive === true) return true;
+        return sensitive !== null && typeof sensitive === "object" && JSON.stringify(sensitive).indexOf("true") > -1;
+    }
+
+    /**
+     * @param {*} value
+     * @param {Array<string|number>} path
+     * @returns {object} { known: boolean, value }
+     * @memberof Predictor
+     */
+    getKnownValue(value, path) {
+        for(let i=0; i<path.length; i++) {
+            if(value === null || value === undefined || typeof value !== "object") return { known: false, value: null };
+            value = value[path[i]];
+        }
+        // planned_values leave out anything that is (known after apply)
+        if(value === undefined) return { known: false, value: null };
+        return { known: true, value: value };
+    }
+
+    /**
+     * Gets the references of the attribute's configuration expression
+     *  that point at a specific attribute (not at the whole object)
+     *
+     * @param {object} context
+     * @returns {string[]|null} null when the expression has no references
+     * @memberof Predictor
+     */
+    getReferences(context) {
+        if(context.expression === null || !Array.isArray(context.expression.references)) return null;
+        let references = context.expression.references;
+        /*
+            Terraform 0.13+ lists both aws_x.y.attr and its containing aws_x.y;
+            drop the containing entries
+        */
+        return references.filter((reference) => !references.some((other) => other !== reference && other.startsWith(`${reference}.`)));
+    }
+}
+
+module.exports = Predictor;
@@ -0,0 +1,55 @@
+"use strict";
+
+const PREDICTOR = require("./Predictor");
+
+/**
+ * Predicts attributes whose expression is a plain reference to another value
+ *  (e.g. role = aws_iam_role.app.name) when that value is already known in
+ *  planned_values or the root module variables.
+ *
+ * The plan JSON only lists the references of an expression, not its text, so
+ *  a plain reference looks the same as "arn:${aws_s3_bucket.b.id}/*" or
+ *  lower(var.x).  The referenced value is therefore only taken as the new
+ *  value when it matches the old one, which an interpolation or function call
+ *  around it would have changed.  Expressions with several references, such
+ *  as "${var.a}-${var.b}", are left alone for the same reason.
+ */
+class ReferencePredictor extends PREDICTOR {
+
+    constructor() {
+        super("reference");
+    }
+
+    /**
+     * @param {object} context
+     * @returns {*}
+     * @memberof ReferencePredictor
+     */
+    predict(context) {
+        let references = this.getReferences(context);
+        if(references === null || references.length != 1) return null;
+
+        let resolved = this.resolveReference(references[0], context);
+        if(!resolved.known || !this.isNoChange(context.diff.oldValue, resolved.value)) return null;
+        return resolved.value;
+    }
+
+    /**
+     * Referenced strings needn't hold JSON; plain strings are only equal as they are
+     *
+     * @param {*} oldValue
+     * @param {*} predictedValue
+     * @returns {boolean}
+     * @memberof ReferencePredictor
+     */
+    isNoChange(oldValue, predictedValue) {
+        try {
+            return super.isNoChange(oldValue, predictedValue);
+        }
+        catch(error) {
+            return false; // plain strings that differ
+        }
+    }
+}
+
+module.exports = ReferencePredictor;
@@ -0,0 +1,41 @@
+"use strict";
+
+const PREDICTOR = require("./Predictor");
+
+/**
+ * Predicts attributes rendered from a single data.template_file, such as
+ *  an aws_iam_role_policy policy or an aws_sfn_state_machine definition,
+ *  by rendering the template with its planned vars.
+ */
+class TemplateFilePredictor extends PREDICTOR {
+
+    constructor() {
+        super("template_file");
+    }
+
+    /**
+     * @param {object} context
+     * @returns {string|null}
+     * @memberof TemplateFilePredictor
+     */
+    predict(context) {
+        let references = this.getReferences(context);
+        if(references === null || references.length != 1) return null;
+
+        let reference = this.parseReference(references[0]);
+        if(reference === null || !reference.address.startsWith("data.template_file.")) return null;
+        let templateAddress = reference.address;
+
+        /*
+            Find the template file resource in planned_values attribute of fullJson
+        */
+        let templateResource = context.getPlannedResource(templateAddress);
+        if(templateResource === null) throw new Error(`Couldn't find template resource [${templateAddress}] in fullJson`);
+        let template = templateResource.values.template;
+        let templateVars = templateResource.values.vars;
+        if(typeof template !== "string" || templateVars === null || typeof templateVars !== "object") return null;
+        return this.renderTemplate(template, templateVars);
+    }
+}
+
+module.exports = TemplateFilePredictor;
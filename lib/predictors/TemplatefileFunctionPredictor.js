@@ -0,0 +1,47 @@
+"use strict";
+
+const PREDICTOR = require("./Predictor");
+
+/**
+ * Predicts attributes rendered with the templatefile() function.  The plan
+ *  JSON doesn't record function arguments, so the template file and its vars
+ *  come from the "templates" section of the review settings; vars given as
+ *  { "reference": "aws_s3_bucket.logs.arn" } are resolved from planned values.
+ */
+class TemplatefileFunctionPredictor extends PREDICTOR {
+
+    /**
+     * @param {string} template contents of the template file
+     * @param {object} [vars] literal values or { reference } objects keyed by var name
+     */
+    constructor(template, vars = {}) {
+        super("templatefile");
+        this.template = template;
+        this.vars = vars;
+    }
+
+    /**
+     * @param {object} context
+     * @returns {string|null}
+     * @memberof TemplatefileFunctionPredictor
+     */
+    predict(context) {
+        // only plain interpolation is supported; directives need the HCL evaluator
+        if(this.template.indexOf("%{") > -1) return null;
+
+        let vars = {};
+        let names = Object.keys(this.vars);
+        for(let i=0; i<names.length; i++) {
+            let value = this.vars[names[i]];
+            if(value !== null && typeof value === "object" && typeof value.reference === "string") {
+                let resolved = this.resolveReference(value.reference, context);
+                if(!resolved.known) return null;
+                value = resolved.value;
+            }
+            vars[names[i]] = value;
+        }
+        return this.renderTemplate(this.template, vars);
+    }
+}
+
+module.exports = TemplatefileFunctionPredictor;
@@ -0,0 +1,853 @@
+"use strict";
+
+const CONSTANTS = require("../Constants");
+
+/**
+ * Renders the review as a single, self-contained HTML page: styles and the
+ *  little script it has are inline and its content security policy blocks
+ *  anything else, so the report can be kept as a CI artifact and opened
+ *  offline.
+ */
+class HtmlRenderer {
+
+    constructor() {
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.SENSITIVE = CONSTANTS.SENSITIVE;
+        this.CHANGES = CONSTANTS.CHANGES;
+
+        this.TITLE = "Terraform Plan Review";
+        this.NO_CHANGES_OUTPUT = "No changes. Infrastructure is up-to-date.";
+        this.NO_MATCHES_OUTPUT = "No changes match the filters.";
+        this.COMPARISON_TITLE = "Terraform Plan Comparison";
+        this.NO_DIFFERENCES_OUTPUT = "No differences. Both plans make the same changes.";
+        this.GROUP_LABELS = {
+            "module": "Module",
+            "type": "Type",
+            "action": "Action"
+        };
+        this.ROOT_MODULE = "root module";
+        this.PREDICTED_NO_CHANGE = "predicted no change";
+        this.FORCES_REPLACEMENT = "forces replacement";
+        this.RELEVANT_DRIFT = "relevant to planned changes";
+        this.DRIFT_TITLE = "Changes outside of Terraform";
+        this.NO_CHANGES_AFTER_DRIFT = "No changes. Your infrastructure matches the configuration.";
+        // string and JSON values longer than this, or spanning lines, are shown side by side
+        this.LARGE_VALUE_LENGTH = 80;
+        // values with more before x after lines than this are lined up by line number rather than diffed
+        this.MAX_LINE_DIFF_CELLS = 250000;
+        // resource sections start open up to this many resources
+        this.OPEN_LIMIT = 20;
+
+        this.CHANGE_MARKERS = {
+            "READ": "<=",
+            "CREATE": "+",
+            "DELETE": "-",
+            "UPDATE": "~",
+            "FORGET": ".",
+            "UNKNOWN":"?"
+        };
+
+        this.CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'";
+        this.STYLE = [
+            ":root { --create: #1a7f37; --delete: #cf222e; --update: #9a6700; --read: #0969da; --muted: #656d76; --border: #d0d7de; --subtle: #f6f8fa; }",
+            "* { box-sizing: border-box; }",
+            "body { margin: 0; font: 14px/1.5 -apple-system, \"Segoe UI\", Helvetica, Arial, sans-serif; color: #1f2328; }",
+            "header { padding: 16px 24px; border-bottom: 1px solid var(--border); background: var(--subtle); }",
+            "h1 { margin: 0 0 4px; font-size: 22px; }",
+            "h2 { font-size: 18px; margin: 24px 0 8px; }",
+            "code, pre, .marker { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; }",
+            "pre { margin: 0; white-space: pre-wrap; word-break: break-all; }",
+            "table { border-collapse: collapse; }",
+            "th, td { border: 1px solid var(--border); padding: 4px 8px; text-align: left; vertical-align: top; }",
+            "td.number, th.number { text-align: right; }",
+            ".layout { display: flex; align-items: flex-start; }",
+            "nav { position: sticky; top: 0; width: 320px; flex-shrink: 0; max-height: 100vh; overflow: auto; padding: 8px 16px; border-right: 1px solid var(--border); }",
+            "nav ul { list-style: none; margin: 4px 0 8px; padding-left: 8px; }",
+            "nav a { color: inherit; text-decoration: none; word-break: break-all; }",
+            "nav a:hover { text-decoration: underline; }",
+            "main { flex: 1; min-width: 0; padding: 8px 24px 24px; }",
+            ".meta, .note, .count { color: var(--muted); }",
+            ".toolbar { margin-top: 8px; }",
+            "details.resource { margin: 8px 0; border: 1px solid var(--border); border-radius: 6px; }",
+            "details.resource > summary { padding: 6px 10px; cursor: pointer; background: var(--subtle); border-radius: 6px; }",
+            "details.resource[open] > summary { border-bottom: 1px solid var(--border); border-radius: 6px 6px 0 0; }",
+            "details.resource > .body { padding: 8px 10px; overflow-x: auto; }",
+            "details.resource > .body > table { width: 100%; }",
+            ".marker { font-weight: bold; white-space: nowrap; }",
+            ".create .marker, .marker.create { color: var(--create); }",
+            ".delete .marker, .marker.delete { color: var(--delete); }",
+            ".update .marker, .marker.update, .forget .marker, .marker.forget { color: var(--update); }",
+            ".read .marker, .marker.read { color: var(--read); }",
+            ".badge { display: inline-block; padding: 0 6px; border-radius: 10px; font-size: 11px; font-weight: 600; white-space: nowrap; border: 1px solid; }",
+            ".badge.unknown { color: var(--read); border-color: var(--read); }",
+            ".badge.no-change { color: var(--create); border-color: var(--create); }",
+            ".badge.replace, .badge.critical, .badge.high { color: var(--delete); border-color: var(--delete); }",
+            ".badge.relevant, .badge.medium { color: var(--update); border-color: var(--update); }",
+            ".badge.sensitive, .badge.low { color: var(--muted); border-color: var(--muted); }",
+            "table.side-by-side { width: 100%; table-layout: fixed; }",
+            "table.side-by-side td { border-width: 0 1px; padding: 0 6px; }",
+            "table.side-by-side td.removed { background: #ffebe9; }",
+            "table.side-by-side td.added { background: #dafbe1; }",
+            "table.side-by-side td.empty { background: var(--subtle); }",
+            "ul.tree { list-style: none; padding-left: 0; }",
+            "@media print { nav, .toolbar { display: none; } }"
+        ].join("\n");
+        this.SCRIPT = [
+            "document.querySelectorAll(\"button[data-open]\").forEach(function(button) {",
+            "    button.addEventListener(\"click\", function() {",
+            "        var open = button.getAttribute(\"data-open\") === \"true\";",
+            "        document.querySelectorAll(\"details.resource\").forEach(function(section) { section.open = open; });",
+            "    });",
+            "});",
+            "function reveal() {",
+            "    var target = location.hash && document.getElementById(location.hash.substring(1));",
+            "    if(target && target.tagName === \"DETAILS\") target.open = true;",
+            "}",
+            "window.addEventListener(\"hashchange\", reveal);",
+            "reveal();"
+        ].join("\n");
+    }
+
+    /**
+     * Renders the review model as an HTML report
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    render(review) {
+        let lines = this.getHeaderLines(review);
+        if(!review.hasChanges && review.drift.length === 0) return this.getDocument(this.TITLE, lines);
+
+        let open = review.resources.length + review.drift.length <= this.OPEN_LIMIT;
+        let main = [];
+        if(review.findings.length > 0) main = main.concat(this.getFindingLines(review.findings, review.resources));
+        if(review.drift.length > 0) main = main.concat(this.getDriftLines(review, open));
+        if(review.dependencies) main = main.concat(this.getDependencyLines(review));
+        if(review.grouping) {
+            review.grouping.groups.forEach((group) => {
+                main.push(`<h2>${this.GROUP_LABELS[review.grouping.by]} <code>${this.escapeHtml(group.name)}</code></h2>`);
+                main.push(`<p class="note">${this.escapeHtml(this.getChangeCountText(group.changeCount))}</p>`);
+                group.resourceIndexes.forEach((i) => main.push(...this.getResourceLines(review.resources[i], `resource-${i}`, open)));
+            });
+        }
+        else if(review.resources.length > 0) {
+            main.push("<h2 id=\"resources\">Resource changes</h2>");
+            review.resources.forEach((resource, i) => main.push(...this.getResourceLines(resource, `resource-${i}`, open)));
+        }
+        if(review.outputs.length > 0) main = main.concat(this.getOutputLines(review.outputs));
+        if(review.impact) main = main.concat(this.getImpactLines(review.impact));
+
+        lines.push("<div class=\"layout\">");
+        lines = lines.concat(this.getNavigationLines(review));
+        lines.push("<main>", ...main, "</main>", "</div>");
+        return this.getDocument(this.TITLE, lines);
+    }
+
+    /**
+     * Wraps the body in a complete page with the inline styles and script
+     *
+     * @param {string} title
+     * @param {string[]} body
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getDocument(title, body) {
+        return [
+            "<!DOCTYPE html>",
+            "<html lang=\"en\">",
+            "<head>",
+            "<meta charset=\"utf-8\">",
+            `<meta http-equiv="Content-Security-Policy" content="${this.CONTENT_SECURITY_POLICY}">`,
+            "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">",
+            `<title>${this.escapeHtml(title)}</title>`,
+            `<style>\n${this.STYLE}\n</style>`,
+            "</head>",
+            "<body>",
+            ...body,
+            `<script>\n${this.SCRIPT}\n</script>`,
+            "</body>",
+            "</html>"
+        ].join("\n") + "\n";
+    }
+
+    /**
+     * Gets the summary header: versions, change counts, findings and the
+     *  buttons that open and close every resource section
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getHeaderLines(review) {
+        let lines = ["<header>", `<h1>${this.escapeHtml(this.TITLE)}</h1>`];
+        let versions = [];
+        if(review.terraformVersion !== null) versions.push(`Terraform ${review.terraformVersion}`);
+        if(review.formatVersion !== null) versions.push(`plan format ${review.formatVersion}`);
+        if(versions.length > 0) lines.push(`<div class="meta">${this.escapeHtml(versions.join(", "))}</div>`);
+
+        if(!review.hasChanges) {
+            let text = (review.filtered && review.filtered.total > 0) ? this.NO_MATCHES_OUTPUT : this.NO_CHANGES_OUTPUT;
+            if(review.drift.length > 0) text = this.NO_CHANGES_AFTER_DRIFT;
+            lines.push(`<p><strong>${this.escapeHtml(text)}</strong></p>`);
+        }
+        else {
+            if(review.refreshOnly) {
+                let count = review.drift.length;
+                lines.push(`<p class="note">Refresh-only: ${count} ${(count === 1) ? "object has" : "objects have"} changed outside of Terraform; no actions will be taken.</p>`);
+            }
+            lines = lines.concat(this.getSummaryLines(review.changeCount, review.outputChangeCount));
+            if(review.filtered) lines.push(`<p class="note">Showing ${review.filtered.shown} of ${review.filtered.total} resource changes.</p>`);
+            if(review.findings.length > 0) {
+                let counts = CONSTANTS.SEVERITIES.slice().reverse().filter((severity) => review.findingCount[severity] > 0);
+                lines.push(`<p>Findings: ${counts.map((severity) => this.getBadge(severity, `${review.findingCount[severity]} ${severity}`)).join(" ")}</p>`);
+            }
+        }
+        if(review.resources.length + review.drift.length > 0) {
+            lines.push("<div class=\"toolbar\"><button type=\"button\" data-open=\"true\">Expand all</button> <button type=\"button\" data-open=\"false\">Collapse all</button></div>");
+        }
+        lines.push("</header>");
+        return lines;
+    }
+
+    /**
+     * Gets the summary table of change counts
+     *
+     * @param {object} changeCount
+     * @param {object} outputChangeCount
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getSummaryLines(changeCount, outputChangeCount) {
+        // import and forget columns only appear when the plan has any
+        let extra = ["import", "forget"].filter((key) => changeCount[key] > 0);
+        let cell = (value) => `<td class="number">${value}</td>`;
+        return [
+            "<table class=\"summary\">",
+            `<tr><th></th><th class="number">Add</th><th class="number">Change</th><th class="number">Destroy</th><th class="number">Read</th>${extra.map((key) => `<th class="number">${key.charAt(0).toUpperCase()}${key.substring(1)}</th>`).join("")}</tr>`,
+            `<tr><th>Resources</th>${[changeCount.create, changeCount.update, changeCount.delete, changeCount.read].map(cell).join("")}${extra.map((key) => cell(changeCount[key])).join("")}</tr>`,
+            `<tr><th>Outputs</th>${[outputChangeCount.create, outputChangeCount.update, outputChangeCount.delete, ""].map(cell).join("")}${extra.map(() => cell("")).join("")}</tr>`,
+            "</table>"
+        ];
+    }
+
+    /**
+     * Gets the side bar listing the resources by module, root module first,
+     *  along with links to the other sections
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getNavigationLines(review) {
+        let lines = ["<nav>"];
+        let sections = [];
+        if(review.findings.length > 0) sections.push(["findings", "Findings"]);
+        if(review.drift.length > 0) sections.push(["drift", this.DRIFT_TITLE]);
+        if(review.dependencies) sections.push(["dependencies", "Dependency order"]);
+        if(review.outputs.length > 0) sections.push(["outputs", "Changes to Outputs"]);
+        if(review.impact) sections.push(["impact", "Impact"]);
+        if(sections.length > 0) {
+            lines.push("<ul>");
+            sections.forEach((section) => lines.push(`<li><a href="#${section[0]}">${this.escapeHtml(section[1])}</a></li>`));
+            lines.push("</ul>");
+        }
+
+        lines.push("<h2>Resources</h2>");
+        this.getModuleGroups(review.resources).forEach((group) => {
+            lines.push("<details open>");
+            lines.push(`<summary><code>${this.escapeHtml(group.name)}</code> <span class="count">(${group.indexes.length})</span></summary>`);
+            lines.push("<ul>");
+            group.indexes.forEach((i) => {
+                let resource = review.resources[i];
+                let address = (resource.moduleAddress) ? resource.address.substring(resource.moduleAddress.length + 1) : resource.address;
+                lines.push(`<li><a href="#resource-${i}">${this.getMarkerHtml(resource.changes)} ${this.escapeHtml(address)}</a></li>`);
+            });
+            lines.push("</ul>", "</details>");
+        });
+        lines.push("</nav>");
+        return lines;
+    }
+
+    /**
+     * @param {object[]} resources
+     * @returns {object[]} [{ name, indexes }] per module, root module first and the rest by name
+     * @memberof HtmlRenderer
+     */
+    getModuleGroups(resources) {
+        let groups = new Map();
+        resources.forEach((resource, i) => {
+            let name = resource.moduleAddress || "";
+            if(!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(i);
+        });
+        return Array.from(groups.keys()).sort().map((name) => ({
+            name: (name === "") ? this.ROOT_MODULE : name,
+            indexes: groups.get(name)
+        }));
+    }
+
+    /**
+     * Gets the table of risk findings, most severe first, linking to the resources
+     *
+     * @param {object[]} findings
+     * @param {object[]} resources
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getFindingLines(findings, resources) {
+        let indexes = new Map();
+        resources.forEach((resource, i) => {
+            if(!indexes.has(resource.address)) indexes.set(resource.address, i);
+        });
+        let lines = [
+            "<h2 id=\"findings\">Findings</h2>",
+            "<table>",
+            "<tr><th>Severity</th><th>Resource</th><th>Finding</th><th>Rule</th></tr>"
+        ];
+        findings.forEach((finding) => {
+            let address = `<code>${this.escapeHtml(finding.address)}</code>`;
+            if(indexes.has(finding.address)) address = `<a href="#resource-${indexes.get(finding.address)}">${address}</a>`;
+            lines.push(`<tr><td>${this.getBadge(finding.severity, finding.severity.toUpperCase())}</td><td>${address}</td><td>${this.escapeHtml(finding.message)}</td><td><code>${this.escapeHtml(finding.rule)}</code></td></tr>`);
+        });
+        lines.push("</table>");
+        return lines;
+    }
+
+    /**
+     * Gets the "Changes outside of Terraform" section
+     *
+     * @param {object} review
+     * @param {boolean} open
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getDriftLines(review, open) {
+        let lines = [`<h2 id="drift">${this.escapeHtml(this.DRIFT_TITLE)}</h2>`];
+        if(!review.refreshOnly && review.driftCount.relevant > 0) {
+            lines.push(`<p class="note">${review.driftCount.relevant} of ${review.drift.length} relevant to planned changes.</p>`);
+        }
+        review.drift.forEach((resource, i) => lines.push(...this.getResourceLines(resource, `drift-${i}`, open)));
+        return lines;
+    }
+
+    /**
+     * Gets the tree of changes, each indented under the changes it depends on
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getDependencyLines(review) {
+        let indexes = new Map(review.resources.map((resource, i) => [resource.address, i]));
+        let lines = ["<h2 id=\"dependencies\">Dependency order</h2>", "<ul class=\"tree\">"];
+        review.dependencies.tree.forEach((entry) => {
+            let i = indexes.get(entry.address);
+            let repeated = (entry.repeated) ? " <span class=\"note\">(see above)</span>" : "";
+            lines.push(`<li style="padding-left: ${entry.depth * 1.5}em">${this.getMarkerHtml(review.resources[i].changes)} <a href="#resource-${i}"><code>${this.escapeHtml(entry.address)}</code></a>${repeated}</li>`);
+        });
+        lines.push("</ul>");
+        return lines;
+    }
+
+    /**
+     * Gets the collapsible section for a single resource of the review model
+     *
+     * @param {object} resource
+     * @param {string} id element id the navigation links to
+     * @param {boolean} open
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getResourceLines(resource, id, open) {
+        let summary = `${this.getMarkerHtml(resource.changes)} <code>${this.escapeHtml(resource.address)}</code>`;
+        let badges = this.getResourceBadges(resource);
+        if(badges.length > 0) summary = `${summary} ${badges.join(" ")}`;
+        let lines = [
+            `<details class="resource ${this.getChangeClass(resource.changes)}" id="${id}"${(open) ? " open" : ""}>`,
+            `<summary>${summary}</summary>`,
+            "<div class=\"body\">",
+            `<p class="note">${[resource.description].concat(resource.notes).map((line) => this.escapeHtml(line)).join("<br>")}</p>`
+        ];
+        if(resource.attributes.length === 0) {
+            lines.push(`<p class="note">No attribute details for ${(resource.changes.length === 0) ? "no-op" : resource.changes.join("/")}.</p>`);
+        }
+        else {
+            lines.push("<table>", "<tr><th></th><th>Attribute</th><th>Before</th><th>After</th></tr>");
+            resource.attributes.forEach((attribute) => lines.push(...this.getAttributeRows(attribute)));
+            lines.push("</table>");
+        }
+        if(resource.suppressed.length > 0) {
+            let count = resource.suppressed.length;
+            lines.push(`<p class="note">${count} attribute ${(count === 1) ? "line" : "lines"} suppressed: ${resource.suppressed.map((s) => `<code>${this.escapeHtml(s.path)}</code>`).join(", ")}</p>`);
+        }
+        lines.push("</div>", "</details>");
+        return lines;
+    }
+
+    /**
+     * Badges for the summary line of a resource: how many of its attributes
+     *  are predicted not to change, how many are (known after apply), and
+     *  whether it's drift relevant to planned changes
+     *
+     * @param {object} resource
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getResourceBadges(resource) {
+        let badges = [];
+        let noChange = resource.attributes.filter((attribute) => attribute.prediction !== null && attribute.prediction.noChange).length;
+        let unknown = resource.attributes.filter((attribute) => !(attribute.prediction !== null && attribute.prediction.noChange) && this.containsValue(attribute.newValue, this.KNOWN_AFTER_APPLY)).length;
+        if(noChange > 0) badges.push(this.getBadge("no-change", `${noChange} ${this.PREDICTED_NO_CHANGE}`));
+        if(unknown > 0) badges.push(this.getBadge("unknown", `${unknown} known after apply`));
+        if(resource.relevant) badges.push(this.getBadge("relevant", this.RELEVANT_DRIFT));
+        return badges;
+    }
+
+    /**
+     * Gets the diff table rows for a single attribute; object and list
+     *  attributes get a row per changed path
+     *
+     * @param {object} attribute
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getAttributeRows(attribute) {
+        let noChange = attribute.prediction !== null && attribute.prediction.noChange;
+        let rows;
+        if(attribute.nestedDiff !== null && !noChange) {
+            rows = attribute.nestedDiff.map((change) => this.getAttributeRow({
+                name: change.path,
+                change: change.change,
+                oldValue: change.oldValue,
+                newValue: change.newValue,
+                prediction: null,
+                jsonDiff: null,
+                jsonDiffPredicted: false,
+                forcesReplacement: change.forcesReplacement,
+                relevant: change.relevant
+            }));
+        }
+        else {
+            rows = [this.getAttributeRow(attribute)];
+        }
+        if(attribute.explanation) {
+            rows = rows.concat(attribute.explanation.map((explanation) => `<tr><td></td><td colspan="3" class="note">↳ ${this.escapeHtml(explanation)}</td></tr>`));
+        }
+        return rows;
+    }
+
+    /**
+     * Gets the diff table row for a single attribute.  Large string and JSON
+     *  values are shown side by side, line by line, with the changed lines
+     *  marked; a (known after apply) value predicted to change shows the
+     *  predicted value.
+     *
+     * @param {object} attribute
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getAttributeRow(attribute) {
+        let noChange = attribute.prediction !== null && attribute.prediction.noChange;
+        let badges = [];
+        if(noChange) badges.push(this.getBadge("no-change", this.PREDICTED_NO_CHANGE));
+        // the value cell shows (known after apply) itself, unless a predicted value is shown instead
+        else if(attribute.jsonDiffPredicted) badges.push(this.getBadge("unknown", "known after apply"));
+        if(attribute.forcesReplacement) badges.push(this.getBadge("replace", this.FORCES_REPLACEMENT));
+        if(attribute.relevant) badges.push(this.getBadge("relevant", this.RELEVANT_DRIFT));
+        let name = `<code>${this.escapeHtml(attribute.name)}</code>`;
+        if(attribute.jsonDiff) {
+            let count = attribute.jsonDiff.length;
+            let source = (attribute.jsonDiffPredicted) ? `predicted by ${attribute.prediction.predictor}; JSON` : "JSON";
+            name = `${name} <span class="note">(${this.escapeHtml(source)}, ${count} ${(count === 1) ? "path" : "paths"} changed)</span>`;
+        }
+        if(badges.length > 0) name = `${name}<br>${badges.join(" ")}`;
+        let row = `<tr class="${attribute.change}"><td class="marker">${this.escapeHtml(this.getChangeMarker(attribute.change))}</td><td>${name}</td>`;
+
+        if(noChange) {
+            let after = `<span class="note">${this.escapeHtml(`Rendered - predicting no change by ${attribute.prediction.predictor}`)}</span>`;
+            return `${row}<td>${this.formatValue(attribute.oldValue)}</td><td>${after}</td></tr>`;
+        }
+        let newValue = (attribute.jsonDiffPredicted) ? attribute.prediction.value : attribute.newValue;
+        let before = this.getValueText(attribute.oldValue);
+        let after = this.getValueText(newValue);
+        if(before !== null && after !== null && (this.isLarge(before) || this.isLarge(after))) {
+            return `${row}<td colspan="2">${this.getSideBySideHtml(before, after)}</td></tr>`;
+        }
+        return `${row}<td>${this.formatValue(attribute.oldValue)}</td><td>${this.formatValue(newValue)}</td></tr>`;
+    }
+
+    /**
+     * Gets the before and after text of a value side by side, lined up so
+     *  unchanged lines face each other
+     *
+     * @param {string} before
+     * @param {string} after
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getSideBySideHtml(before, after) {
+        let cell = (line, changedClass) => {
+            if(line === undefined) return "<td class=\"empty\"></td>";
+            // a blank line still takes a line's height
+            return `<td${(changedClass === null) ? "" : ` class="${changedClass}"`}><pre>${this.highlightMarkers(this.escapeHtml(line)) || " "}</pre></td>`;
+        };
+        let rows = this.getLineDiff(before.split("\n"), after.split("\n")).map((row) => {
+            return `<tr>${cell(row.before, (row.changed) ? "removed" : null)}${cell(row.after, (row.changed) ? "added" : null)}</tr>`;
+        });
+        return `<table class="side-by-side">\n${rows.join("\n")}\n</table>`;
+    }
+
+    /**
+     * Lines up two texts by their longest common subsequence of lines; the
+     *  lines removed and added in between are paired up row by row
+     *
+     * @param {string[]} before
+     * @param {string[]} after
+     * @returns {object[]} [{ before, after, changed }], before or after undefined where a side has no line
+     * @memberof HtmlRenderer
+     */
+    getLineDiff(before, after) {
+        let rows = [];
+        if(before.length * after.length > this.MAX_LINE_DIFF_CELLS) {
+            for(let i=0; i<Math.max(before.length, after.length); i++) {
+                rows.push({ before: before[i], after: after[i], changed: before[i] !== after[i] });
+            }
+            return rows;
+        }
+
+        // lengths[i][j] is the length of the longest common subsequence of before[i..] and after[j..]
+        let lengths = [];
+        for(let i=before.length; i>=0; i--) {
+            lengths[i] = new Uint32Array(after.length + 1);
+            if(i === before.length) continue;
+            for(let j=after.length-1; j>=0; j--) {
+                lengths[i][j] = (before[i] === after[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let removed = [];
+        let added = [];
+        let flush = () => {
+            for(let k=0; k<Math.max(removed.length, added.length); k++) {
+                rows.push({ before: removed[k], after: added[k], changed: true });
+            }
+            removed = [];
+            added = [];
+        };
+        let i = 0;
+        let j = 0;
+        while(i < before.length || j < after.length) {
+            if(i < before.length && j < after.length && before[i] === after[j]) {
+                flush();
+                rows.push({ before: before[i], after: after[j], changed: false });
+                i++;
+                j++;
+            }
+            else if(j >= after.length || (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+                removed.push(before[i]);
+                i++;
+            }
+            else {
+                added.push(after[j]);
+                j++;
+            }
+        }
+        flush();
+        return rows;
+    }
+
+    /**
+     * Gets the text of a value as shown side by side: strings as they are,
+     *  JSON documents and other values pretty printed
+     *
+     * @param {*} value
+     * @returns {string|null} null when there's no value, or it's masked or unknown as a whole
+     * @memberof HtmlRenderer
+     */
+    getValueText(value) {
+        if(value === null || value === undefined || value === this.SENSITIVE || value === this.KNOWN_AFTER_APPLY) return null;
+        if(typeof value !== "string") return JSON.stringify(value, null, 2);
+        let trimmed = value.trim();
+        if(trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            try {
+                return JSON.stringify(JSON.parse(trimmed), null, 2);
+            }
+            catch(error) {
+                // not JSON after all
+            }
+        }
+        return value;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {boolean} if the text is too long or spans lines for a table cell
+     * @memberof HtmlRenderer
+     */
+    isLarge(text) {
+        return text.length > this.LARGE_VALUE_LENGTH || text.includes("\n");
+    }
+
+    /**
+     * Formats an attribute value for a table cell
+     *
+     * @param {*} value
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    formatValue(value) {
+        if(value === null || value === undefined) return "";
+        if(value === this.KNOWN_AFTER_APPLY) return this.getBadge("unknown", "known after apply");
+        if(value === this.SENSITIVE) return this.getBadge("sensitive", "sensitive");
+        let text = this.getValueText(value);
+        if(this.isLarge(text)) return `<pre>${this.highlightMarkers(this.escapeHtml(text))}</pre>`;
+        return `<code>${this.highlightMarkers(this.escapeHtml(JSON.stringify(value)))}</code>`;
+    }
+
+    /**
+     * Turns (known after apply) and (sensitive) placeholders within escaped
+     *  JSON text into badges
+     *
+     * @param {string} html
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    highlightMarkers(html) {
+        return html
+            .split(`&quot;${this.escapeHtml(this.KNOWN_AFTER_APPLY)}&quot;`).join(this.getBadge("unknown", "known after apply"))
+            .split(`&quot;${this.escapeHtml(this.SENSITIVE)}&quot;`).join(this.getBadge("sensitive", "sensitive"));
+    }
+
+    /**
+     * @param {*} value
+     * @param {string} marker
+     * @returns {boolean} if the value is the marker or holds it anywhere within
+     * @memberof HtmlRenderer
+     */
+    containsValue(value, marker) {
+        if(value === marker) return true;
+        if(value === null || typeof value !== "object") return false;
+        return Object.keys(value).some((key) => this.containsValue(value[key], marker));
+    }
+
+    /**
+     * Gets the section listing output changes
+     *
+     * @param {object[]} outputs
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getOutputLines(outputs) {
+        let lines = [
+            "<h2 id=\"outputs\">Changes to Outputs</h2>",
+            "<table>",
+            "<tr><th></th><th>Output</th><th>Before</th><th>After</th></tr>"
+        ];
+        outputs.forEach((output) => lines.push(...this.getAttributeRows(output)));
+        lines.push("</table>");
+        return lines;
+    }
+
+    /**
+     * Gets the impact summary: counts per resource type and per module, and
+     *  the estimated cost delta when priced
+     *
+     * @param {object} impact see ImpactSummary.summarize()
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getImpactLines(impact) {
+        let lines = ["<h2 id=\"impact\">Impact</h2>"];
+        if(impact.total.total > 0) {
+            lines = lines.concat(this.getImpactTableLines("Resource type", impact.types, impact));
+            lines.push("<p></p>");
+            lines = lines.concat(this.getImpactTableLines("Module", impact.modules, impact));
+        }
+        if(impact.cost !== null) {
+            let cost = impact.cost;
+            let total = `<strong>Estimated monthly cost: ${this.formatCost(cost.monthlyDelta)} ${this.escapeHtml(cost.currency)}</strong>`;
+            if(cost.increase !== 0 && cost.decrease !== 0) total = `${total} (${this.formatCost(cost.increase)} / ${this.formatCost(cost.decrease)})`;
+            lines.push(`<p>${total}</p>`);
+            if(cost.changes.length > 0) {
+                lines.push("<table>", "<tr><th>Resource</th><th>Action</th><th class=\"number\">Monthly cost</th><th>Size</th></tr>");
+                cost.changes.forEach((change) => {
+                    let size = (change.size === null) ? "" : `<code>${this.escapeHtml(change.size)}</code>`;
+                    lines.push(`<tr><td><code>${this.escapeHtml(change.address)}</code></td><td>${change.action}</td><td class="number">${this.formatCost(change.delta)}</td><td>${size}</td></tr>`);
+                });
+                lines.push("</table>");
+            }
+            if(cost.unpriced.length > 0) {
+                lines.push(`<p class="note">${cost.unpriced.length} ${(cost.unpriced.length === 1) ? "change" : "changes"} not priced:</p>`, "<ul>");
+                cost.unpriced.forEach((entry) => lines.push(`<li><code>${this.escapeHtml(entry.address)}</code> (${entry.action}): ${this.escapeHtml(entry.reason)}</li>`));
+                lines.push("</ul>");
+            }
+            if(cost.unpricedTypes.length > 0) {
+                lines.push(`<p class="note">Not in the pricing table: ${cost.unpricedTypes.map((type) => `<code>${this.escapeHtml(type)}</code>`).join(", ")}</p>`);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * @param {string} title heading of the name column
+     * @param {object[]} rows [{ name, counts, total }]
+     * @param {object} impact
+     * @returns {string[]}
+     * @memberof HtmlRenderer
+     */
+    getImpactTableLines(title, rows, impact) {
+        let lines = [
+            "<table>",
+            `<tr><th>${title}</th>${impact.actions.map((action) => `<th class="number">${action.charAt(0).toUpperCase()}${action.substring(1)}</th>`).join("")}<th class="number">Total</th></tr>`
+        ];
+        rows.forEach((row) => {
+            lines.push(`<tr><td><code>${this.escapeHtml(row.name)}</code></td>${impact.actions.map((action) => `<td class="number">${row.counts[action]}</td>`).join("")}<td class="number">${row.total}</td></tr>`);
+        });
+        lines.push(`<tr><th>Total</th>${impact.actions.map((action) => `<th class="number">${impact.total.counts[action]}</th>`).join("")}<th class="number">${impact.total.total}</th></tr>`);
+        lines.push("</table>");
+        return lines;
+    }
+
+    /**
+     * Renders the comparison of two plans as an HTML report
+     *
+     * @param {object} comparison model returned by PlanReviewer.compare()
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    renderComparison(comparison) {
+        let lines = ["<header>", `<h1>${this.escapeHtml(this.COMPARISON_TITLE)}</h1>`];
+        if(!comparison.hasDifferences) {
+            lines.push(`<p><strong>${this.escapeHtml(this.NO_DIFFERENCES_OUTPUT)}</strong></p>`, "</header>");
+            return this.getDocument(this.COMPARISON_TITLE, lines);
+        }
+        lines.push(
+            "<table class=\"summary\">",
+            "<tr><th class=\"number\">Newly in the plan</th><th class=\"number\">No longer in the plan</th><th class=\"number\">Planned differently</th></tr>",
+            `<tr><td class="number">${comparison.added.length}</td><td class="number">${comparison.dropped.length}</td><td class="number">${comparison.changed.length}</td></tr>`,
+            "</table>",
+            "</header>",
+            "<main>"
+        );
+        if(comparison.added.length > 0) {
+            lines.push("<h2>Newly in the plan</h2>", "<ul>");
+            comparison.added.forEach((resource) => lines.push(`<li><code>${this.escapeHtml(resource.address)}</code> (${this.escapeHtml(resource.actions.join(", "))})</li>`));
+            lines.push("</ul>");
+        }
+        if(comparison.dropped.length > 0) {
+            lines.push("<h2>No longer in the plan</h2>", "<ul>");
+            comparison.dropped.forEach((resource) => lines.push(`<li><code>${this.escapeHtml(resource.address)}</code> (was ${this.escapeHtml(resource.actions.join(", "))})</li>`));
+            lines.push("</ul>");
+        }
+        if(comparison.changed.length > 0) {
+            lines.push("<h2>Planned differently</h2>");
+            comparison.changed.forEach((resource) => {
+                lines.push("<details class=\"resource\" open>", `<summary><code>${this.escapeHtml(resource.address)}</code></summary>`, "<div class=\"body\">");
+                if(resource.actionChanged) {
+                    lines.push(`<p class="note">Action: ${this.escapeHtml(resource.oldActions.join(", "))} → ${this.escapeHtml(resource.newActions.join(", "))}</p>`);
+                }
+                if(resource.attributes.length > 0) {
+                    lines.push("<table>", "<tr><th></th><th>Attribute</th><th>Previous plan</th><th>This plan</th></tr>");
+                    resource.attributes.forEach((attribute) => lines.push(...this.getAttributeRows(attribute)));
+                    lines.push("</table>");
+                }
+                lines.push("</div>", "</details>");
+            });
+        }
+        lines.push("</main>");
+        return this.getDocument(this.COMPARISON_TITLE, lines);
+    }
+
+    /**
+     * Words change counts like terraform plan; imports and forgets are only mentioned when present
+     *
+     * @param {object} changeCount
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getChangeCountText(changeCount) {
+        let parts = [`${changeCount.create} to add`, `${changeCount.update} to change`, `${changeCount.delete} to destroy`];
+        if(changeCount.import > 0) parts.unshift(`${changeCount.import} to import`);
+        if(changeCount.forget > 0) parts.push(`${changeCount.forget} to forget`);
+        return parts.join(", ");
+    }
+
+    /**
+     * @param {number} amount
+     * @returns {string} signed, to the cent
+     * @memberof HtmlRenderer
+     */
+    formatCost(amount) {
+        return `${(amount < 0) ? "-" : "+"}${Math.abs(amount).toFixed(2)}`;
+    }
+
+    /**
+     * @param {string} kind badge class, e.g. unknown or no-change
+     * @param {string} text
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getBadge(kind, text) {
+        return `<span class="badge ${kind}">${this.escapeHtml(text)}</span>`;
+    }
+
+    /**
+     * Gets the markers of a resource's changes, -/+ for replacements
+     *
+     * @param {string[]} changes
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getMarkerHtml(changes) {
+        let markers = changes.map((change) => this.getChangeMarker(change)).join("/");
+        return `<span class="marker ${this.getChangeClass(changes)}">${this.escapeHtml(markers || " ")}</span>`;
+    }
+
+    /**
+     * @param {string[]} changes
+     * @returns {string} class the resource is colored by: update for replacements
+     * @memberof HtmlRenderer
+     */
+    getChangeClass(changes) {
+        if(changes.length === 1) return changes[0];
+        return (changes.length === 0) ? "no-op" : this.CHANGES.UPDATE;
+    }
+
+    /**
+     * Escapes characters that are significant in HTML text and attribute values
+     *
+     * @param {string} text
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    escapeHtml(text) {
+        return `${text}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Gets the plain text marker for a single change
+     *
+     * @param {string} change
+     * @returns {string}
+     * @memberof HtmlRenderer
+     */
+    getChangeMarker(change) {
+        switch(change) {
+            case this.CHANGES.READ:
+                return this.CHANGE_MARKERS.READ;
+            case this.CHANGES.CREATE:
+                return this.CHANGE_MARKERS.CREATE;
+            case this.CHANGES.UPDATE:
+                return this.CHANGE_MARKERS.UPDATE;
+            case this.CHANGES.DELETE:
+                return this.CHANGE_MARKERS.DELETE;
+            case this.CHANGES.FORGET:
+                return this.CHANGE_MARKERS.FORGET;
+            default:
+                return this.CHANGE_MARKERS.UNKNOWN;
+        }
+    }
+}
+
+module.exports = HtmlRenderer;
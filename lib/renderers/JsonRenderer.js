@@ -0,0 +1,28 @@
+"use strict";
+
+class JsonRenderer {
+
+    /**
+     * Renders the review model as a JSON report
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {string}
+     * @memberof JsonRenderer
+     */
+    render(review) {
+        return JSON.stringify(review, null, 4);
+    }
+
+    /**
+     * Renders the comparison of two plans as a JSON report
+     *
+     * @param {object} comparison model returned by PlanReviewer.compare()
+     * @returns {string}
+     * @memberof JsonRenderer
+     */
+    renderComparison(comparison) {
+        return JSON.stringify(comparison, null, 4);
+    }
+}
+
+module.exports = JsonRenderer;
@@ -0,0 +1,525 @@
+"use strict";
+
+const CONSTANTS = require("../Constants");
+
+class MarkdownRenderer {
+
+    constructor() {
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.SENSITIVE = CONSTANTS.SENSITIVE;
+        this.CHANGES = CONSTANTS.CHANGES;
+
+        this.TITLE = "## Terraform Plan Review";
+        this.NO_CHANGES_OUTPUT = "No changes. Infrastructure is up-to-date.";
+        this.NO_MATCHES_OUTPUT = "No changes match the filters.";
+        this.COMPARISON_TITLE = "## Terraform Plan Comparison";
+        this.NO_DIFFERENCES_OUTPUT = "No differences. Both plans make the same changes.";
+        this.GROUP_LABELS = {
+            "module": "Module",
+            "type": "Type",
+            "action": "Action"
+        };
+        this.PREDICTED_NO_CHANGE = "Rendered - Predicting No Change";
+        this.FORCES_REPLACEMENT = "forces replacement";
+        this.RELEVANT_DRIFT = "relevant to planned changes";
+        this.DRIFT_TITLE = "### Changes outside of Terraform";
+        this.NO_CHANGES_AFTER_DRIFT = "No changes. Your infrastructure matches the configuration.";
+
+        this.CHANGE_MARKERS = {
+            "READ": "<=",
+            "CREATE": "+",
+            "DELETE": "-",
+            "UPDATE": "~",
+            "FORGET": ".",
+            "UNKNOWN":"?"
+        };
+    }
+
+    /**
+     * Renders the review model as Markdown suitable for a pull-request comment
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    render(review) {
+        let lines = [this.TITLE, ""];
+        if(!review.hasChanges) {
+            let text = (review.filtered && review.filtered.total > 0) ? this.NO_MATCHES_OUTPUT : this.NO_CHANGES_OUTPUT;
+            if(review.drift.length > 0) text = this.NO_CHANGES_AFTER_DRIFT;
+            lines.push(`**${text}**`);
+            if(review.drift.length > 0) {
+                lines.push("");
+                lines = lines.concat(this.getDriftLines(review));
+            }
+            return lines.join("\n") + "\n";
+        }
+
+        if(review.refreshOnly) {
+            let count = review.drift.length;
+            lines.push(`_Refresh-only: ${count} ${(count === 1) ? "object has" : "objects have"} changed outside of Terraform; no actions will be taken._`);
+            lines.push("");
+        }
+        lines = lines.concat(this.getSummaryLines(review.changeCount, review.outputChangeCount));
+        if(review.filtered) {
+            lines.push("");
+            lines.push(`_Showing ${review.filtered.shown} of ${review.filtered.total} resource changes._`);
+        }
+        if(review.findings.length > 0) {
+            lines.push("");
+            lines = lines.concat(this.getFindingLines(review.findings));
+        }
+        if(review.drift.length > 0) {
+            lines.push("");
+            lines = lines.concat(this.getDriftLines(review));
+        }
+        if(review.dependencies) {
+            lines.push("");
+            lines = lines.concat(this.getDependencyLines(review));
+        }
+        if(review.grouping) {
+            review.grouping.groups.forEach((group) => {
+                lines.push("");
+                lines.push(`### ${this.GROUP_LABELS[review.grouping.by]} \`${this.escapeCell(group.name)}\``);
+                lines.push("");
+                lines.push(`_${this.getChangeCountText(group.changeCount)}_`);
+                group.resourceIndexes.forEach((i) => {
+                    lines.push("");
+                    lines.push(...this.getResourceLines(review.resources[i]));
+                });
+            });
+        }
+        else {
+            for(let i=0; i<review.resources.length; i++) {
+                lines.push("");
+                lines.push(...this.getResourceLines(review.resources[i]));
+            }
+        }
+        if(review.outputs.length > 0) {
+            lines.push("");
+            lines = lines.concat(this.getOutputLines(review.outputs));
+        }
+        if(review.impact) {
+            lines.push("");
+            lines = lines.concat(this.getImpactLines(review.impact));
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Gets the summary table of change counts
+     *
+     * @param {object} changeCount
+     * @param {object} outputChangeCount
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getSummaryLines(changeCount, outputChangeCount) {
+        // import and forget columns only appear when the plan has any
+        let extra = ["import", "forget"].filter((key) => changeCount[key] > 0);
+        let titles = extra.map((key) => ` ${key.charAt(0).toUpperCase()}${key.substring(1)} |`).join("");
+        return [
+            `| | Add | Change | Destroy | Read |${titles}`,
+            `|---|----:|-------:|--------:|-----:|${extra.map(() => "----:|").join("")}`,
+            `| Resources | ${changeCount.create} | ${changeCount.update} | ${changeCount.delete} | ${changeCount.read} |${extra.map((key) => ` ${changeCount[key]} |`).join("")}`,
+            `| Outputs | ${outputChangeCount.create} | ${outputChangeCount.update} | ${outputChangeCount.delete} | |${extra.map(() => " |").join("")}`
+        ];
+    }
+
+    /**
+     * Renders the comparison of two plans as Markdown
+     *
+     * @param {object} comparison model returned by PlanReviewer.compare()
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    renderComparison(comparison) {
+        let lines = [this.COMPARISON_TITLE, ""];
+        if(!comparison.hasDifferences) {
+            lines.push(`**${this.NO_DIFFERENCES_OUTPUT}**`);
+            return lines.join("\n") + "\n";
+        }
+
+        lines.push("| Newly in the plan | No longer in the plan | Planned differently |");
+        lines.push("|----:|----:|----:|");
+        lines.push(`| ${comparison.added.length} | ${comparison.dropped.length} | ${comparison.changed.length} |`);
+        if(comparison.added.length > 0) {
+            lines.push("", "### Newly in the plan", "");
+            comparison.added.forEach((resource) => lines.push(`* \`${resource.address}\` (${resource.actions.join(", ")})`));
+        }
+        if(comparison.dropped.length > 0) {
+            lines.push("", "### No longer in the plan", "");
+            comparison.dropped.forEach((resource) => lines.push(`* \`${resource.address}\` (was ${resource.actions.join(", ")})`));
+        }
+        if(comparison.changed.length > 0) {
+            lines.push("", "### Planned differently");
+            comparison.changed.forEach((resource) => {
+                lines.push("", "<details>", `<summary><code>${this.escapeHtml(resource.address)}</code></summary>`, "");
+                if(resource.actionChanged) {
+                    lines.push(`_Action: ${resource.oldActions.join(", ")} → ${resource.newActions.join(", ")}_`, "");
+                }
+                if(resource.attributes.length > 0) {
+                    lines.push("| | Attribute | Previous plan | This plan |");
+                    lines.push("|---|---|---|---|");
+                    resource.attributes.forEach((attribute) => {
+                        lines = lines.concat(this.getAttributeRows(attribute));
+                    });
+                    lines.push("");
+                }
+                lines.push("</details>");
+            });
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Words change counts like terraform plan; imports and forgets are only mentioned when present
+     *
+     * @param {object} changeCount
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    getChangeCountText(changeCount) {
+        let parts = [`${changeCount.create} to add`, `${changeCount.update} to change`, `${changeCount.delete} to destroy`];
+        if(changeCount.import > 0) parts.unshift(`${changeCount.import} to import`);
+        if(changeCount.forget > 0) parts.push(`${changeCount.forget} to forget`);
+        return parts.join(", ");
+    }
+
+    /**
+     * Gets the impact summary: counts per resource type and per module, and
+     *  the estimated cost delta when priced
+     *
+     * @param {object} impact see ImpactSummary.summarize()
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getImpactLines(impact) {
+        let lines = ["### Impact"];
+        if(impact.total.total > 0) {
+            lines.push("");
+            lines = lines.concat(this.getImpactTableLines("Resource type", impact.types, impact));
+            lines.push("");
+            lines = lines.concat(this.getImpactTableLines("Module", impact.modules, impact));
+        }
+        if(impact.cost !== null) {
+            let cost = impact.cost;
+            let total = `**Estimated monthly cost: ${this.formatCost(cost.monthlyDelta)} ${this.escapeText(cost.currency)}**`;
+            if(cost.increase !== 0 && cost.decrease !== 0) total = `${total} (${this.formatCost(cost.increase)} / ${this.formatCost(cost.decrease)})`;
+            lines.push("", total);
+            if(cost.changes.length > 0) {
+                lines.push("", "| Resource | Action | Monthly cost | Size |", "|---|---|---:|---|");
+                cost.changes.forEach((change) => {
+                    let size = (change.size === null) ? "" : `\`${this.escapeCell(change.size)}\``;
+                    lines.push(`| \`${this.escapeCell(change.address)}\` | ${change.action} | ${this.formatCost(change.delta)} | ${size} |`);
+                });
+            }
+            if(cost.unpriced.length > 0) {
+                lines.push("", `_${cost.unpriced.length} ${(cost.unpriced.length === 1) ? "change" : "changes"} not priced:_`, "");
+                cost.unpriced.forEach((entry) => lines.push(`* \`${this.escapeCell(entry.address)}\` (${entry.action}): ${this.escapeText(entry.reason)}`));
+            }
+            if(cost.unpricedTypes.length > 0) {
+                lines.push("", `_Not in the pricing table: ${cost.unpricedTypes.map((type) => `\`${this.escapeCell(type)}\``).join(", ")}_`);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * @param {string} title heading of the name column
+     * @param {object[]} rows [{ name, counts, total }]
+     * @param {object} impact
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getImpactTableLines(title, rows, impact) {
+        let titles = impact.actions.map((action) => ` ${action.charAt(0).toUpperCase()}${action.substring(1)} |`).join("");
+        let lines = [
+            `| ${title} |${titles} Total |`,
+            `|---|${impact.actions.map(() => "----:|").join("")}----:|`
+        ];
+        rows.forEach((row) => {
+            lines.push(`| \`${this.escapeCell(row.name)}\` |${impact.actions.map((action) => ` ${row.counts[action]} |`).join("")} ${row.total} |`);
+        });
+        lines.push(`| **Total** |${impact.actions.map((action) => ` **${impact.total.counts[action]}** |`).join("")} **${impact.total.total}** |`);
+        return lines;
+    }
+
+    /**
+     * @param {number} amount
+     * @returns {string} signed, to the cent
+     * @memberof MarkdownRenderer
+     */
+    formatCost(amount) {
+        return `${(amount < 0) ? "-" : "+"}${Math.abs(amount).toFixed(2)}`;
+    }
+
+    /**
+     * Gets the table of risk findings, most severe first
+     *
+     * @param {object[]} findings
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getFindingLines(findings) {
+        let lines = [
+            "### Findings",
+            "",
+            "| Severity | Resource | Finding | Rule |",
+            "|---|---|---|---|"
+        ];
+        findings.forEach((finding) => {
+            let severity = finding.severity.toUpperCase();
+            if(["CRITICAL", "HIGH"].includes(severity)) severity = `**${severity}**`;
+            lines.push(`| ${severity} | \`${this.escapeCell(finding.address)}\` | ${this.escapeText(finding.message)} | \`${this.escapeCell(finding.rule)}\` |`);
+        });
+        return lines;
+    }
+
+    /**
+     * Gets the section listing output changes
+     *
+     * @param {object[]} outputs
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getOutputLines(outputs) {
+        let lines = [
+            "### Changes to Outputs",
+            "",
+            "| | Output | Before | After |",
+            "|---|---|---|---|"
+        ];
+        for(let i=0; i<outputs.length; i++) {
+            lines = lines.concat(this.getAttributeRows(outputs[i]));
+        }
+        return lines;
+    }
+
+    /**
+     * Gets the tree of changes as a nested list, each indented under the
+     *  changes it depends on
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getDependencyLines(review) {
+        let resources = new Map(review.resources.map((resource) => [resource.address, resource]));
+        let lines = ["### Dependency order", ""];
+        review.dependencies.tree.forEach((entry) => {
+            let resource = resources.get(entry.address);
+            let markers = resource.changes.map((change) => this.getChangeMarker(change)).join("/");
+            let repeated = (entry.repeated) ? " _(see above)_" : "";
+            lines.push(`${"  ".repeat(entry.depth)}- \`${markers}\` \`${entry.address}\`${repeated}`);
+        });
+        return lines;
+    }
+
+    /**
+     * Gets the "Changes outside of Terraform" section; each object changed
+     *  since the last apply gets a collapsible section like planned changes do
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getDriftLines(review) {
+        let lines = [this.DRIFT_TITLE, ""];
+        if(!review.refreshOnly && review.driftCount.relevant > 0) {
+            lines.push(`_${review.driftCount.relevant} of ${review.drift.length} relevant to planned changes._`);
+            lines.push("");
+        }
+        review.drift.forEach((resource, i) => {
+            if(i > 0) lines.push("");
+            lines.push(...this.getResourceLines(resource));
+        });
+        return lines;
+    }
+
+    /**
+     * Gets the collapsible section for a single resource of the review model
+     *
+     * @param {object} resource
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getResourceLines(resource) {
+        let markers = resource.changes.map((change) => this.getChangeMarker(change)).join("/");
+        let relevant = (resource.relevant) ? ` <strong>(${this.RELEVANT_DRIFT})</strong>` : "";
+        let lines = [
+            "<details>",
+            `<summary><code>${this.escapeHtml(markers)}</code> <code>${this.escapeHtml(resource.address)}</code>${relevant}</summary>`,
+            "",
+            [resource.description].concat(resource.notes).map((line) => `_${this.escapeHtml(line)}_`).join("<br>"),
+            ""
+        ];
+
+        if(resource.attributes.length === 0) {
+            lines.push(`_No attribute details for ${(resource.changes.length === 0) ? "no-op" : resource.changes.join("/")}._`);
+        }
+        else {
+            lines.push("| | Attribute | Before | After |");
+            lines.push("|---|---|---|---|");
+            for(let i=0; i<resource.attributes.length; i++) {
+                lines = lines.concat(this.getAttributeRows(resource.attributes[i]));
+            }
+        }
+        if(resource.suppressed.length > 0) {
+            let count = resource.suppressed.length;
+            lines.push("");
+            lines.push(`_${count} attribute ${(count === 1) ? "line" : "lines"} suppressed: ${resource.suppressed.map((s) => `\`${s.path}\``).join(", ")}_`);
+        }
+        lines.push("");
+        lines.push("</details>");
+        return lines;
+    }
+
+    /**
+     * Gets the diff table rows for a single attribute; object, list and
+     *  JSON encoded attributes get a row per changed path
+     *
+     * @param {object} attribute
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getAttributeRows(attribute) {
+        let rows = this.getDiffRows(attribute);
+        if(attribute.explanation) {
+            rows = rows.concat(attribute.explanation.map((explanation) => `| | ↳ _${this.escapeText(explanation)}_ | | |`));
+        }
+        return rows;
+    }
+
+    /**
+     * @param {object} attribute
+     * @returns {string[]}
+     * @memberof MarkdownRenderer
+     */
+    getDiffRows(attribute) {
+        let noChange = attribute.prediction !== null && attribute.prediction.noChange;
+        if(attribute.nestedDiff !== null && !noChange) {
+            return attribute.nestedDiff.map((change) => this.getAttributeRow({
+                name: change.path,
+                change: change.change,
+                oldValue: change.oldValue,
+                newValue: change.newValue,
+                prediction: null,
+                forcesReplacement: change.forcesReplacement,
+                relevant: change.relevant
+            }));
+        }
+        if(attribute.jsonDiff === null || noChange) return [this.getAttributeRow(attribute)];
+
+        let source = (attribute.jsonDiffPredicted) ? " _(predicted)_" : "";
+        return attribute.jsonDiff.map((change) => {
+            let before = (change.oldValue === null) ? "" : this.formatValue(change.oldValue);
+            let after = (change.newValue === null) ? "" : this.formatValue(change.newValue);
+            let name = `\`${this.escapeCell(attribute.name)}\` → \`${this.escapeCell(change.path)}\`${source}${this.getAnnotationText(attribute)}`;
+            return `| \`${this.getChangeMarker(change.change)}\` | ${name} | ${before} | ${after} |`;
+        });
+    }
+
+    /**
+     * Gets the diff table row for a single attribute
+     *
+     * @param {object} attribute
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    getAttributeRow(attribute) {
+        let marker = this.getChangeMarker(attribute.change);
+        let before = (attribute.oldValue === null) ? "" : this.formatValue(attribute.oldValue);
+        let after;
+        if(attribute.prediction !== null && attribute.prediction.noChange) after = `_(${this.PREDICTED_NO_CHANGE} by ${attribute.prediction.predictor})_`;
+        else if(attribute.newValue === null) after = "";
+        else after = this.formatValue(attribute.newValue);
+
+        return `| \`${marker}\` | \`${this.escapeCell(attribute.name)}\`${this.getAnnotationText(attribute)} | ${before} | ${after} |`;
+    }
+
+    /**
+     * @param {object} attribute
+     * @returns {string} annotations for attributes in replace_paths or drift
+     *      relevant to planned changes, or nothing
+     * @memberof MarkdownRenderer
+     */
+    getAnnotationText(attribute) {
+        let text = (attribute.forcesReplacement) ? ` _(${this.FORCES_REPLACEMENT})_` : "";
+        if(attribute.relevant) text = `${text} **(${this.RELEVANT_DRIFT})**`;
+        return text;
+    }
+
+    /**
+     * Formats an attribute value as an inline code span safe for a table cell
+     *
+     * @param {*} value
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    formatValue(value) {
+        if(value === this.SENSITIVE || value === this.KNOWN_AFTER_APPLY) return `_${value}_`;
+        // table cells can't hold newlines so values are always kept on one line
+        let text = this.escapeCell(JSON.stringify(value));
+        return `<code>${this.escapeHtml(text)}</code>`;
+    }
+
+    /**
+     * Escapes characters that would break a Markdown table cell
+     *
+     * @param {string} text
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    escapeCell(text) {
+        return `${text}`.replace(/\r?\n/g, " ").replace(/\|/g, "\\|");
+    }
+
+    /**
+     * Escapes free text for a table cell so it isn't read as HTML or Markdown emphasis
+     *
+     * @param {string} text
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    escapeText(text) {
+        return this.escapeHtml(this.escapeCell(text)).replace(/[*_`]/g, "\\$&");
+    }
+
+    /**
+     * Escapes characters that are significant inside HTML elements
+     *
+     * @param {string} text
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    escapeHtml(text) {
+        return `${text}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    }
+
+    /**
+     * Gets the plain text marker for a single change
+     *
+     * @param {string} change
+     * @returns {string}
+     * @memberof MarkdownRenderer
+     */
+    getChangeMarker(change) {
+        switch(change) {
+            case this.CHANGES.READ:
+                return this.CHANGE_MARKERS.READ;
+            case this.CHANGES.CREATE:
+                return this.CHANGE_MARKERS.CREATE;
+            case this.CHANGES.UPDATE:
+                return this.CHANGE_MARKERS.UPDATE;
+            case this.CHANGES.DELETE:
+                return this.CHANGE_MARKERS.DELETE;
+            case this.CHANGES.FORGET:
+                return this.CHANGE_MARKERS.FORGET;
+            default:
+                return this.CHANGE_MARKERS.UNKNOWN;
+        }
+    }
+}
+
+module.exports = MarkdownRenderer;
@@ -0,0 +1,646 @@
+"use strict";
+
+const CONSTANTS = require("../Constants");
+const THEMES = require("./Themes");
+
+class TerminalRenderer {
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.color] set false to render without escape codes
+     * @param {string|object} [options.theme] name of a built-in theme or a (partial) theme object
+     */
+    constructor(options = {}) {
+        this.DEEPMERGE = require("deepmerge");
+
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.SENSITIVE = CONSTANTS.SENSITIVE;
+        this.CHANGES = CONSTANTS.CHANGES;
+
+        this.NO_CHANGES_OUTPUT = "No changes. Infrastructure is up-to-date.";
+        this.NO_MATCHES_OUTPUT = "No changes match the filters.";
+        this.NO_DIFFERENCES_OUTPUT = "No differences. Both plans make the same changes.";
+        this.GROUP_LABELS = {
+            "module": "Module",
+            "type": "Type",
+            "action": "Action"
+        };
+        this.CLOSE_RESOURCE = "}\n\n";
+        this.FORCES_REPLACEMENT = "# forces replacement";
+        this.RELEVANT_DRIFT = "# relevant to planned changes";
+        this.DRIFT_TITLE = "Changes outside of Terraform:";
+        this.NO_CHANGES_AFTER_DRIFT = "No changes. Your infrastructure matches the configuration.";
+        // theme color used for each finding severity
+        this.SEVERITY_COLORS = {
+            "critical": "DELETE",
+            "high": "DELETE",
+            "medium": "UPDATE",
+            "low": "READ"
+        };
+
+        let theme = this.getTheme(options.theme);
+        this.CHANGE_MARKERS = theme.markers;
+        this.COLOR = theme.colors;
+        if(options.color === false) {
+            Object.keys(this.COLOR).forEach((key) => this.COLOR[key] = "");
+        }
+    }
+
+    /**
+     * Resolves a theme name or partial theme object into a complete theme
+     *
+     * @param {string|object} [theme]
+     * @returns {object} { markers, colors }
+     * @memberof TerminalRenderer
+     */
+    getTheme(theme = "default") {
+        if(typeof theme === "string") {
+            if(!Object.prototype.hasOwnProperty.call(THEMES, theme)) {
+                throw new Error(`Unknown theme [${theme}]; expected one of: ${Object.keys(THEMES).join(", ")}`);
+            }
+            theme = THEMES[theme];
+        }
+        let base = THEMES[theme.base || "default"];
+        if(base === undefined) throw new Error(`Unknown base theme [${theme.base}]`);
+        // always merge into fresh copies so disabling color never alters the shared themes
+        return {
+            markers: this.DEEPMERGE(base.markers, theme.markers || {}),
+            colors: this.DEEPMERGE(base.colors, theme.colors || {})
+        };
+    }
+
+    /**
+     * Renders the review model as (optionally colored) terminal text
+     *
+     * @param {object} review model returned by PlanReviewer.review()
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    render(review) {
+        if(!review.hasChanges && review.drift.length === 0) {
+            let text = (review.filtered && review.filtered.total > 0) ? this.NO_MATCHES_OUTPUT : this.NO_CHANGES_OUTPUT;
+            return `${this.COLOR.CREATE}${text}${this.COLOR.RESET}`;
+        }
+
+        let lines = this.getHeaderLines(review);
+        if(review.dependencies) {
+            lines.push(...this.getDependencyLines(review));
+        }
+        if(review.grouping) {
+            review.grouping.groups.forEach((group) => {
+                lines.push(`${this.GROUP_LABELS[review.grouping.by]} ${group.name}: ${this.getChangeCountText(group.changeCount)}`);
+                lines.push("");
+                group.resourceIndexes.forEach((i) => {
+                    lines.push(...this.getResourceLines(review.resources[i]));
+                });
+            });
+        }
+        else {
+            for(let i=0; i<review.resources.length; i++) {
+                lines.push(...this.getResourceLines(review.resources[i]));
+            }
+        }
+        return lines.concat(this.getFooterLines(review)).join("\n");
+    }
+
+    /**
+     * Starts rendering a review incrementally: render() produces the same
+     *  text as renderStart(), renderResource() for each resource as it is
+     *  reviewed and renderEnd() written one after the other.  Grouped
+     *  reviews can't be rendered this way.
+     *
+     * @param {object} review review before any resources were added; see PlanReviewer.review()
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    renderStart(review) {
+        return `${this.getHeaderLines(review).join("\n")}\n`;
+    }
+
+    /**
+     * @param {object} resource
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    renderResource(resource) {
+        return `${this.getResourceLines(resource).join("\n")}\n`;
+    }
+
+    /**
+     * Finishes rendering a review incrementally
+     *
+     * @param {object} review the complete review
+     * @param {boolean} started if renderStart() was written; otherwise the whole review is rendered
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    renderEnd(review, started) {
+        if(!started) return this.render(review);
+        return this.getFooterLines(review).join("\n");
+    }
+
+    /**
+     * Gets the lines ahead of the resources: the changes outside of Terraform
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getHeaderLines(review) {
+        let lines = ["\n"];
+        if(review.drift.length > 0) {
+            lines = lines.concat(this.getDriftLines(review));
+        }
+        return lines;
+    }
+
+    /**
+     * Gets the lines after the resources: outputs, findings and the summary
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getFooterLines(review) {
+        let lines = [];
+        if(!review.hasChanges) {
+            lines.push(`${this.COLOR.CREATE}${this.NO_CHANGES_AFTER_DRIFT}${this.COLOR.RESET}`);
+            lines.push("\n");
+            return lines;
+        }
+        if(review.outputs.length > 0) {
+            lines.push("Changes to Outputs:");
+            for(let i=0; i<review.outputs.length; i++) {
+                lines.push(this.getAttributeLine(review.outputs[i]));
+            }
+            lines.push("\n");
+        }
+        if(review.findings.length > 0) {
+            lines.push("Findings:");
+            review.findings.forEach((finding) => lines.push(this.getFindingLine(finding)));
+            lines.push("\n");
+        }
+        if(review.impact) {
+            lines.push(...this.getImpactLines(review.impact));
+        }
+
+        // generate overall summary
+        let changeSummary = `  Plan: ${this.getChangeCountText(review.changeCount)}.`;
+        if(review.refreshOnly) {
+            changeSummary = `  Refresh-only: ${review.drift.length} ${(review.drift.length === 1) ? "object has" : "objects have"} changed outside of Terraform; no actions will be taken.`;
+        }
+        if(review.outputs.length > 0) {
+            let outputCount = review.outputChangeCount;
+            changeSummary = `${changeSummary}  Outputs: ${this.COLOR.CREATE}${outputCount.create}${this.COLOR.RESET} to add`;
+            changeSummary = `${changeSummary}, ${this.COLOR.UPDATE}${outputCount.update}${this.COLOR.RESET} to change`;
+            changeSummary = `${changeSummary}, ${this.COLOR.DELETE}${outputCount.delete}${this.COLOR.RESET} to remove.`;
+        }
+        lines.push(changeSummary);
+        if(review.filtered) {
+            lines.push(`  (showing ${review.filtered.shown} of ${review.filtered.total} resource changes)`);
+        }
+        lines.push("\n\n");
+        return lines;
+    }
+
+    /**
+     * Gets the impact summary: tables of counts per resource type and per
+     *  module, and the estimated cost delta when priced
+     *
+     * @param {object} impact see ImpactSummary.summarize()
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getImpactLines(impact) {
+        if(impact.total.total === 0 && impact.cost === null) return [];
+        let lines = [];
+        if(impact.total.total > 0) {
+            lines.push("Impact by resource type:", "");
+            lines.push(...this.getImpactTableLines("Type", impact.types, impact));
+            lines.push("", "Impact by module:", "");
+            lines.push(...this.getImpactTableLines("Module", impact.modules, impact));
+        }
+        if(impact.cost !== null) {
+            if(lines.length > 0) lines.push("");
+            let cost = impact.cost;
+            let currency = ` ${cost.currency}`;
+            let total = `Estimated monthly cost: ${this.formatCost(cost.monthlyDelta)}${currency}`;
+            if(cost.increase !== 0 && cost.decrease !== 0) total = `${total} (${this.formatCost(cost.increase)} / ${this.formatCost(cost.decrease)})`;
+            lines.push(total);
+            let rows = cost.changes.map((change) => [change.address, change.action, `${this.formatCost(change.delta)}${currency}`, change.size || ""]);
+            lines.push(...this.getColumnLines(rows, [false, false, true, false]));
+            if(cost.unpriced.length > 0) {
+                lines.push(`  ${cost.unpriced.length} ${(cost.unpriced.length === 1) ? "change" : "changes"} not priced:`);
+                lines.push(...this.getColumnLines(cost.unpriced.map((entry) => [entry.address, entry.action, entry.reason]), [false, false, false]));
+            }
+            if(cost.unpricedTypes.length > 0) {
+                lines.push(`  Not in the pricing table: ${cost.unpricedTypes.join(", ")}`);
+            }
+        }
+        lines.push("\n");
+        return lines;
+    }
+
+    /**
+     * @param {string} title heading of the name column
+     * @param {object[]} rows [{ name, counts, total }]
+     * @param {object} impact
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getImpactTableLines(title, rows, impact) {
+        let table = [[title].concat(impact.actions, "total")];
+        rows.concat(Object.assign({ name: "Total" }, impact.total)).forEach((row) => {
+            table.push([row.name].concat(impact.actions.map((action) => `${row.counts[action]}`), `${row.total}`));
+        });
+        return this.getColumnLines(table, table[0].map((column, i) => i > 0));
+    }
+
+    /**
+     * Lays rows of text out in aligned columns
+     *
+     * @param {string[][]} rows
+     * @param {boolean[]} alignRight per column
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getColumnLines(rows, alignRight) {
+        let widths = alignRight.map((right, i) => Math.max(...rows.map((row) => row[i].length)));
+        return rows.map((row) => {
+            let cells = row.map((cell, i) => (alignRight[i]) ? cell.padStart(widths[i]) : cell.padEnd(widths[i]));
+            return `    ${cells.join("  ").trimEnd()}`;
+        });
+    }
+
+    /**
+     * @param {number} amount
+     * @returns {string} signed, to the cent
+     * @memberof TerminalRenderer
+     */
+    formatCost(amount) {
+        return `${(amount < 0) ? "-" : "+"}${Math.abs(amount).toFixed(2)}`;
+    }
+
+    /**
+     * Gets the tree of changes, each indented under the changes it depends on
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getDependencyLines(review) {
+        let resources = new Map(review.resources.map((resource) => [resource.address, resource]));
+        let lines = ["Dependency order:", ""];
+        review.dependencies.tree.forEach((entry) => {
+            let resource = resources.get(entry.address);
+            let markers = resource.changes.map((change) => this.getChangeSymbol(change)).join("/");
+            let repeated = (entry.repeated) ? " (see above)" : "";
+            lines.push(`${"    ".repeat(entry.depth + 1)}${markers} ${entry.address}${repeated}`);
+        });
+        lines.push("\n");
+        return lines;
+    }
+
+    /**
+     * Gets the "Changes outside of Terraform" section
+     *
+     * @param {object} review
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getDriftLines(review) {
+        let title = this.DRIFT_TITLE;
+        if(!review.refreshOnly && review.driftCount.relevant > 0) {
+            title = `${title} (${review.driftCount.relevant} of ${review.drift.length} relevant to planned changes)`;
+        }
+        let lines = [title, ""];
+        review.drift.forEach((resource) => {
+            lines.push(...this.getResourceLines(resource));
+        });
+        return lines;
+    }
+
+    /**
+     * Renders the comparison of two plans as (optionally colored) terminal text
+     *
+     * @param {object} comparison model returned by PlanReviewer.compare()
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    renderComparison(comparison) {
+        if(!comparison.hasDifferences) {
+            return `${this.COLOR.CREATE}${this.NO_DIFFERENCES_OUTPUT}${this.COLOR.RESET}`;
+        }
+
+        let lines = ["\n"];
+        if(comparison.added.length > 0) {
+            lines.push("Newly in the plan:");
+            comparison.added.forEach((resource) => lines.push(`\t${this.getChangeSymbol(this.CHANGES.CREATE)} ${resource.address} (${resource.actions.join(", ")})`));
+            lines.push("");
+        }
+        if(comparison.dropped.length > 0) {
+            lines.push("No longer in the plan:");
+            comparison.dropped.forEach((resource) => lines.push(`\t${this.getChangeSymbol(this.CHANGES.DELETE)} ${resource.address} (was ${resource.actions.join(", ")})`));
+            lines.push("");
+        }
+        comparison.changed.forEach((resource) => {
+            lines.push(`${this.getChangeSymbol(this.CHANGES.UPDATE)} ${resource.address}  {`);
+            if(resource.actionChanged) {
+                lines.push(`\t  action ${resource.oldActions.join(", ")} ${this.COLOR.ARROW}->${this.COLOR.RESET} ${resource.newActions.join(", ")}`);
+            }
+            resource.attributes.forEach((attribute) => lines.push(this.getAttributeLine(attribute)));
+            lines.push(this.CLOSE_RESOURCE);
+        });
+
+        lines.push(`  Differences: ${comparison.added.length} newly in the plan, ${comparison.dropped.length} no longer in the plan, ${comparison.changed.length} planned differently.`);
+        lines.push("\n\n");
+        return lines.join("\n");
+    }
+
+    /**
+     * Words change counts like terraform plan; imports and forgets are only mentioned when present
+     *
+     * @param {object} changeCount
+     * @returns {string} e.g. 1 to add, 2 to change, 0 to destroy
+     * @memberof TerminalRenderer
+     */
+    getChangeCountText(changeCount) {
+        let text = "";
+        if(changeCount.import > 0) text = `${changeCount.import} to import, `;
+        text = `${text}${this.COLOR.CREATE}${changeCount.create}${this.COLOR.RESET} to add`;
+        text = `${text}, ${this.COLOR.UPDATE}${changeCount.update}${this.COLOR.RESET} to change`;
+        text = `${text}, ${this.COLOR.DELETE}${changeCount.delete}${this.COLOR.RESET} to destroy`;
+        if(changeCount.forget > 0) text = `${text}, ${this.COLOR.FORGET}${changeCount.forget}${this.COLOR.RESET} to forget`;
+        return text;
+    }
+
+    /**
+     * Gets the output lines for a single resource of the review model
+     *
+     * @param {object} resource
+     * @returns {string[]}
+     * @memberof TerminalRenderer
+     */
+    getResourceLines(resource) {
+        let lines = [`  # ${resource.description}`];
+        resource.notes.forEach((note) => lines.push(`  # ${note}`));
+        // replacements read -/+ or +/- like terraform plan
+        let line = resource.changes.map((change) => this.getChangeSymbol(change)).join("/");
+        line = line.trim();
+        // right-align the markers in a 2 character column; escape codes take no space
+        line = line.padStart(line.length - this.getVisibleLength(line) + 2, " ");
+        if(resource.mode != "managed") {
+            line = `${line} ${resource.mode}`
+        }
+        line = `${line} "${resource.type}" "${resource.name}"  {`;
+        lines.push(line);
+
+        for(let i=0; i<resource.attributes.length; i++) {
+            let attribute = resource.attributes[i];
+            if(attribute.prediction !== null && attribute.prediction.error) {
+                lines.push(`***${attribute.prediction.error}`);
+            }
+            lines.push(this.getAttributeLine(attribute));
+        }
+        if(resource.suppressed.length > 0) {
+            lines.push(`\t(${this.getSuppressedText(resource.suppressed.length)})`);
+        }
+        lines.push(this.CLOSE_RESOURCE);
+        return lines;
+    }
+
+    /**
+     * @param {object} finding { rule, severity, address, message }
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getFindingLine(finding) {
+        let color = this.COLOR[this.SEVERITY_COLORS[finding.severity]] || "";
+        return `\t${color}[${finding.severity.toUpperCase()}]${this.COLOR.RESET} ${finding.address}: ${finding.message} (${finding.rule})`;
+    }
+
+    /**
+     * @param {number} count
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getSuppressedText(count) {
+        return `${count} attribute ${(count === 1) ? "line" : "lines"} suppressed`;
+    }
+
+    /**
+     * Gets the single (possibly multi-line) output line for an attribute diff
+     *
+     * @param {object} attribute
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getAttributeLine(attribute) {
+        let text = this.getAttributeText(attribute);
+        let noChange = attribute.prediction !== null && attribute.prediction.noChange;
+        // nested lines are annotated one by one
+        if(attribute.nestedDiff === null || noChange) text = this.addAnnotations(text, attribute);
+        if(attribute.explanation) {
+            text = [text].concat(attribute.explanation.map((explanation) => `\t    # ${explanation}`)).join("\n");
+        }
+        return text;
+    }
+
+    /**
+     * Annotates a diff line as forcing replacement or as drift relevant to the
+     *  plan; multi-line values get the annotation on their first line, where
+     *  terraform puts it
+     *
+     * @param {string} text
+     * @param {object} change attribute or nested change with forcesReplacement/relevant flags
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    addAnnotations(text, change) {
+        let lines = text.split("\n");
+        if(change.forcesReplacement) lines[0] = `${lines[0]} ${this.COLOR.DELETE}${this.FORCES_REPLACEMENT}${this.COLOR.RESET}`;
+        if(change.relevant) lines[0] = `${lines[0]} ${this.COLOR.UPDATE}${this.RELEVANT_DRIFT}${this.COLOR.RESET}`;
+        return lines.join("\n");
+    }
+
+    /**
+     * Gets the attribute diff text without annotations
+     *
+     * @param {object} attribute
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getAttributeText(attribute) {
+        let line = `\t${this.getChangeSymbol(attribute.change)}`;
+
+        line = `${line} ${attribute.name}`;
+        line = line.padEnd(line.length - this.getVisibleLength(line) + 36, " ");
+        line = `${line}= `;
+
+        if(attribute.prediction !== null && attribute.prediction.noChange) {
+            return `${line} ${this.COLOR.ARROW}->${this.COLOR.RESET} (Rendered - Predicting No Change by ${attribute.prediction.predictor})`;
+        }
+
+        if(attribute.nestedDiff !== null) {
+            return attribute.nestedDiff.map((change) => this.getNestedDiffLine(change)).join("\n");
+        }
+
+        if(attribute.jsonDiff !== null) {
+            return [`${line}${this.getJsonDiffLabel(attribute)}`].concat(attribute.jsonDiff.map((change) => this.getJsonDiffLine(change))).join("\n");
+        }
+
+        // display old value if it exists
+        if(attribute.oldValue !== null) {
+            line = `${line}${this.formatOldValue(attribute.oldValue)} ${this.COLOR.ARROW}->${this.COLOR.RESET} `;
+        }
+
+        // always display new value
+        return `${line}${this.formatNewValue(attribute.newValue)}`;
+    }
+
+    /**
+     * Describes the structural diff shown below a JSON encoded attribute
+     *
+     * @param {object} attribute
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getJsonDiffLabel(attribute) {
+        let count = attribute.jsonDiff.length;
+        let source = (attribute.jsonDiffPredicted) ? "known after apply; predicted JSON" : "JSON";
+        return `(${source}, ${count} ${(count === 1) ? "path" : "paths"} changed)`;
+    }
+
+    /**
+     * Gets the output line for one changed path of a JSON encoded attribute
+     *
+     * @param {object} change { path, change, oldValue, newValue }
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getJsonDiffLine(change) {
+        let line = `\t    ${this.getChangeSymbol(change.change)} ${change.path}`;
+        line = line.padEnd(line.length - this.getVisibleLength(line) + 36, " ");
+        line = `${line}= `;
+        if(change.oldValue !== null) {
+            line = `${line}${this.formatJsonValue(change.oldValue)} ${this.COLOR.ARROW}->${this.COLOR.RESET} `;
+        }
+        return `${line}${this.formatJsonValue(change.newValue)}`;
+    }
+
+    /**
+     * Formats a value within a JSON document on a single line
+     *
+     * @param {*} value
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    formatJsonValue(value) {
+        if(value === this.SENSITIVE) return this.SENSITIVE;
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Gets the output line for one changed leaf of an object or list attribute.
+     *  Laid out like a top-level attribute line, with the full path as its name.
+     *
+     * @param {object} change { path, change, oldValue, newValue }
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getNestedDiffLine(change) {
+        let line = `\t${this.getChangeSymbol(change.change)} ${change.path}`;
+        line = line.padEnd(line.length - this.getVisibleLength(line) + 36, " ");
+        line = `${line}= `;
+        if(change.oldValue !== null) {
+            line = `${line}${this.formatOldValue(change.oldValue)} ${this.COLOR.ARROW}->${this.COLOR.RESET} `;
+        }
+        line = `${line}${this.formatNewValue(change.newValue)}`;
+        return this.addAnnotations(line, change);
+    }
+
+    /**
+     * Formats the value an attribute had before the change
+     *
+     * @param {*} value
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    formatOldValue(value) {
+        switch(typeof value) {
+            case "string":
+                if(value === this.SENSITIVE) return this.SENSITIVE;
+                return `"${value}"`;
+            case "object":
+                if(Array.isArray(value) && value.length == 1) {
+                    return JSON.stringify(value[0], null, 4);
+                }
+                return JSON.stringify(value, null, 4);
+            default:
+                return `${value}`;
+        }
+    }
+
+    /**
+     * Formats the value an attribute will have after the change
+     *
+     * @param {*} value
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    formatNewValue(value) {
+        switch(typeof value) {
+            case "string":
+                if(value === this.KNOWN_AFTER_APPLY || value === this.SENSITIVE) return value;
+                return `"${value}"`;
+            case "object":
+                /*
+                    Seems like this value will be array or json object;
+                    for array with single json object, we'll output the object w/o
+                    the array wrapping it.  This is more similar to TF output.
+                */
+                if(Array.isArray(value) && value.length == 1 && this.isObject(value[0])) {
+                    return JSON.stringify(value[0], null, 4);
+                }
+                return JSON.stringify(value, null, 4);
+            default:
+                return `${value}`;
+        }
+    }
+
+    /**
+     * Gets the colored marker for a single resource change
+     *
+     * @param {string} change
+     * @returns {string}
+     * @memberof TerminalRenderer
+     */
+    getChangeSymbol(change) {
+        let key = Object.keys(this.CHANGES).find((k) => this.CHANGES[k] === change) || "UNKNOWN";
+        return `${this.COLOR[key]}${this.CHANGE_MARKERS[key]}${this.COLOR.RESET}`;
+    }
+
+    /**
+     * Gets the length of text as displayed, ignoring color escape codes
+     *
+     * @param {string} text
+     * @returns {number}
+     * @memberof TerminalRenderer
+     */
+    getVisibleLength(text) {
+        return text.replace(/\x1b\[[0-9;]*m/g, "").length;
+    }
+
+    /**
+     * Customized method that excludes array
+     *
+     * @param {*} x
+     * @returns
+     * @memberof TerminalRenderer
+     */
+    isObject(x) {
+        return (x !== null && typeof x == "object" && !Array.isArray(x));
+    }
+}
+
+module.exports = TerminalRenderer;
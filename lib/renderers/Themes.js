@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * Built-in themes for the terminal renderer.  A theme maps each change
+ *  to the marker printed for it and the escape code used to color it.
+ *  Every theme other than default, built-in or custom, only needs to
+ *  supply the entries it overrides; see TerminalRenderer.getTheme().
+ */
+const RESET = "\x1b[0m";
+
+module.exports = {
+    "default": {
+        markers: {
+            "READ": "<=",
+            "CREATE": "+",
+            "DELETE": "-",
+            "UPDATE": "~",
+            "FORGET": ".",
+            "UNKNOWN": "?"
+        },
+        colors: {
+            "READ": "\x1b[34m",
+            "CREATE": "\x1b[32m",
+            "DELETE": "\x1b[31m",
+            "UPDATE": "\x1b[33m",
+            "FORGET": "\x1b[31m",
+            "UNKNOWN": "\x1b[31m",
+            "ARROW": "\x1b[33m",
+            "RESET": RESET
+        }
+    },
+    // blue/orange palette that stays distinguishable with red-green color blindness
+    "colorblind": {
+        markers: {
+            "READ": "<=",
+            "CREATE": "+",
+            "DELETE": "-",
+            "UPDATE": "~",
+            "FORGET": ".",
+            "UNKNOWN": "?"
+        },
+        colors: {
+            "READ": "\x1b[36m",
+            "CREATE": "\x1b[34m",
+            "DELETE": "\x1b[38;5;208m",
+            "UPDATE": "\x1b[35m",
+            "FORGET": "\x1b[38;5;208m",
+            "UNKNOWN": "\x1b[38;5;208m",
+            "ARROW": "\x1b[35m",
+            "RESET": RESET
+        }
+    },
+    // terraform plan prints the same symbols and colors, except reads in cyan
+    "terraform": {
+        colors: {
+            "READ": "\x1b[36m"
+        }
+    }
+};
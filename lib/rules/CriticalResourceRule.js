@@ -0,0 +1,38 @@
+"use strict";
+
+const GLOB = require("../Glob");
+const RULE = require("./Rule");
+
+/**
+ * Flags any change to resources configured as critical, the review
+ *  counterpart of lifecycle prevent_destroy.  Destroying or replacing one
+ *  is critical, any other change is high.
+ */
+class CriticalResourceRule extends RULE {
+
+    /**
+     * @param {string[]} [addresses] resource address globs, e.g. module.prod.aws_route53_zone.*
+     */
+    constructor(addresses = []) {
+        super("critical-resource", "high");
+        if(!Array.isArray(addresses)) throw new Error("risk.critical must be an array of resource address globs.");
+        this.addressPatterns = addresses.map((address) => GLOB.toRegExp(address));
+    }
+
+    /**
+     * @param {object} context
+     * @returns {object[]}
+     * @memberof CriticalResourceRule
+     */
+    evaluate(context) {
+        let review = context.review;
+        if(review.mode !== "managed" || review.changes.length === 0) return [];
+        if(!this.addressPatterns.some((pattern) => pattern.test(review.address))) return [];
+        if(this.isDestroyed(context)) {
+            return [{ severity: "critical", message: `Critical resource will be ${this.getDestroyVerb(context)}` }];
+        }
+        return [{ message: `Critical resource will change (${review.changes.join("/")})` }];
+    }
+}
+
+module.exports = CriticalResourceRule;
@@ -0,0 +1,67 @@
+"use strict";
+
+const JSON_SEMANTICS = require("../JsonSemantics");
+const RULE = require("./Rule");
+
+/**
+ * Flags IAM policy documents that gain Allow statements with wildcard
+ *  actions.  Policies are found in any JSON encoded attribute, including
+ *  values only known after apply that a predictor has rendered.
+ */
+class IamWildcardActionRule extends RULE {
+
+    constructor() {
+        super("iam-wildcard-action", "medium");
+        this.JSON_SEMANTICS = new JSON_SEMANTICS();
+        this.FULL_WILDCARDS = ["*", "*:*"];
+    }
+
+    /**
+     * @param {object} context
+     * @returns {object[]}
+     * @memberof IamWildcardActionRule
+     */
+    evaluate(context) {
+        if(context.after === null) return [];
+        let before = this.getWildcardActions(context.before);
+        let afterValues = [context.after];
+        context.review.attributes.forEach((attribute) => {
+            if(attribute.prediction !== null && typeof attribute.prediction.value === "string") afterValues.push(attribute.prediction.value);
+        });
+
+        let gained = this.getWildcardActions(afterValues).filter((action) => !before.includes(action));
+        return gained.filter((action, i) => gained.indexOf(action) === i).map((action) => ({
+            severity: (this.FULL_WILDCARDS.includes(action)) ? "critical" : this.severity,
+            message: `IAM policy allows wildcard action ${action}`
+        }));
+    }
+
+    /**
+     * Collects the wildcard actions allowed by every policy document within value
+     *
+     * @param {*} value
+     * @returns {string[]}
+     * @memberof IamWildcardActionRule
+     */
+    getWildcardActions(value) {
+        if(typeof value === "string") {
+            let policy = this.JSON_SEMANTICS.parse(value);
+            if(policy === undefined || !this.JSON_SEMANTICS.isPolicyDocument(policy)) return [];
+            let statements = (Array.isArray(policy.Statement)) ? policy.Statement : [policy.Statement];
+            let actions = [];
+            statements.forEach((statement) => {
+                if(statement === null || typeof statement !== "object" || statement.Effect !== "Allow") return;
+                actions = actions.concat([].concat(statement.Action || []).filter((action) => typeof action === "string" && action.indexOf("*") > -1));
+            });
+            return actions;
+        }
+        if(value === null || typeof value !== "object") return [];
+        let actions = [];
+        Object.keys(value).forEach((key) => {
+            actions = actions.concat(this.getWildcardActions(value[key]));
+        });
+        return actions;
+    }
+}
+
+module.exports = IamWildcardActionRule;
@@ -0,0 +1,85 @@
+"use strict";
+
+const RULE = require("./Rule");
+
+/**
+ * Flags security group ingress that newly allows traffic from anywhere
+ *  (0.0.0.0/0 or ::/0).  Ingress that was already open isn't reported again.
+ */
+class OpenIngressRule extends RULE {
+
+    constructor() {
+        super("open-ingress", "high");
+        this.OPEN_CIDRS = ["0.0.0.0/0", "::/0"];
+    }
+
+    /**
+     * @param {object} context
+     * @returns {object[]}
+     * @memberof OpenIngressRule
+     */
+    evaluate(context) {
+        if(context.after === null) return [];
+        let before = this.getOpenIngress(context.resource.type, context.before);
+        return this.getOpenIngress(context.resource.type, context.after)
+            .filter((ingress) => !before.includes(ingress))
+            .map((ingress) => ({ message: `Ingress opened to the internet: ${ingress}` }));
+    }
+
+    /**
+     * Describes each open ingress rule of the resource values
+     *
+     * @param {string} type resource type
+     * @param {object|null} values before or after values
+     * @returns {string[]} e.g. "0.0.0.0/0 on tcp port 22"
+     * @memberof OpenIngressRule
+     */
+    getOpenIngress(type, values) {
+        if(values === null || typeof values !== "object") return [];
+        let rules = [];
+        switch(type) {
+            case "aws_security_group":
+                rules = (Array.isArray(values.ingress)) ? values.ingress : [];
+                break;
+            case "aws_security_group_rule":
+                if(values.type === "ingress") rules = [values];
+                break;
+            case "aws_vpc_security_group_ingress_rule":
+                rules = [{
+                    cidr_blocks: [values.cidr_ipv4],
+                    ipv6_cidr_blocks: [values.cidr_ipv6],
+                    from_port: values.from_port,
+                    to_port: values.to_port,
+                    protocol: values.ip_protocol
+                }];
+                break;
+            default:
+                return [];
+        }
+
+        let open = [];
+        rules.forEach((rule) => {
+            if(rule === null || typeof rule !== "object") return;
+            let cidrs = [].concat(rule.cidr_blocks || [], rule.ipv6_cidr_blocks || []);
+            cidrs.filter((cidr) => this.OPEN_CIDRS.includes(cidr)).forEach((cidr) => {
+                open.push(`${cidr} on ${this.describePorts(rule)}`);
+            });
+        });
+        return open;
+    }
+
+    /**
+     * @param {object} rule { protocol, from_port, to_port }
+     * @returns {string}
+     * @memberof OpenIngressRule
+     */
+    describePorts(rule) {
+        let protocol = `${rule.protocol}`;
+        if(protocol === "-1" || protocol === "all") return "all traffic";
+        if(rule.from_port === undefined || rule.from_port === null) return protocol;
+        if(rule.from_port === rule.to_port || rule.to_port === undefined || rule.to_port === null) return `${protocol} port ${rule.from_port}`;
+        return `${protocol} ports ${rule.from_port}-${rule.to_port}`;
+    }
+}
+
+module.exports = OpenIngressRule;
@@ -0,0 +1,55 @@
+"use strict";
+
+const CONSTANTS = require("../Constants");
+
+/**
+ * Base class for risk rules.  A rule looks at a single resource change and
+ *  returns the findings it raises, each with a severity and a message
+ *  for the reviewer.
+ */
+class Rule {
+
+    /**
+     * @param {string} name reported with each finding
+     * @param {string} severity default severity of the findings
+     */
+    constructor(name, severity) {
+        this.CHANGES = CONSTANTS.CHANGES;
+        this.KNOWN_AFTER_APPLY = CONSTANTS.KNOWN_AFTER_APPLY;
+        this.name = name;
+        this.severity = severity;
+    }
+
+    /**
+     * Evaluates the resource change
+     *
+     * @param {object} context see RiskEngine.getContext()
+     * @returns {object[]} [{ message[, severity] }]; empty when there is nothing to report
+     * @memberof Rule
+     */
+    evaluate(context) {
+        return [];
+    }
+
+    /**
+     * Indicates if the change destroys the existing object, on its own or as part of a replacement
+     *
+     * @param {object} context
+     * @returns {boolean}
+     * @memberof Rule
+     */
+    isDestroyed(context) {
+        return context.review.changes.includes(this.CHANGES.DELETE);
+    }
+
+    /**
+     * @param {object} context
+     * @returns {string} "destroyed" or "replaced"
+     * @memberof Rule
+     */
+    getDestroyVerb(context) {
+        return (context.review.replace !== null) ? "replaced" : "destroyed";
+    }
+}
+
+module.exports = Rule;
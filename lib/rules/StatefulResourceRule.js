@@ -0,0 +1,57 @@
+"use strict";
+
+const GLOB = require("../Glob");
+const RULE = require("./Rule");
+
+/**
+ * Flags deletes and replacements of resources that hold data or keys,
+ *  which can't be recreated from configuration.
+ */
+class StatefulResourceRule extends RULE {
+
+    /**
+     * @param {string[]} [types] extra resource type globs to treat as stateful
+     */
+    constructor(types = []) {
+        super("stateful-resource", "high");
+        if(!Array.isArray(types)) throw new Error("risk.statefulTypes must be an array of resource type globs.");
+
+        this.DEFAULT_TYPES = [
+            "aws_db_instance",
+            "aws_rds_cluster",
+            "aws_rds_cluster_instance",
+            "aws_dynamodb_table",
+            "aws_s3_bucket",
+            "aws_kms_key",
+            "aws_efs_file_system",
+            "aws_ebs_volume",
+            "aws_elasticache_cluster",
+            "aws_elasticache_replication_group",
+            "aws_redshift_cluster",
+            "aws_docdb_cluster",
+            "aws_neptune_cluster",
+            "aws_opensearch_domain",
+            "aws_elasticsearch_domain",
+            "aws_secretsmanager_secret",
+            "azurerm_*database*",
+            "azurerm_storage_account",
+            "azurerm_key_vault*",
+            "google_sql_database*",
+            "google_storage_bucket",
+            "google_kms_crypto_key"
+        ];
+        this.typePatterns = this.DEFAULT_TYPES.concat(types).map((type) => GLOB.toRegExp(type));
+    }
+
+    /**
+     * @param {object} context
+     * @returns {object[]}
+     * @memberof StatefulResourceRule
+     */
+    evaluate(context) {
+        if(!this.isDestroyed(context) || !this.typePatterns.some((pattern) => pattern.test(context.resource.type))) return [];
+        return [{ message: `Stateful ${context.resource.type} will be ${this.getDestroyVerb(context)}` }];
+    }
+}
+
+module.exports = StatefulResourceRule;
@@ -0,0 +1,281 @@
+"use strict";
+
+const ASSERT = require("assert");
+const FS = require("fs");
+const OS = require("os");
+const PATH = require("path");
+const STREAM = require("stream");
+const { describe, it, before, after } = require("node:test");
+
+const CLI = require("../lib/Cli");
+
+const FIXTURES_DIR = PATH.join(__dirname, "fixtures");
+
+/**
+ * Runs the command line against the fixtures, collecting its output
+ *
+ * @param {string[]} args
+ * @param {object} [env]
+ * @param {object} [stdin] defaults to a terminal
+ * @returns {Promise<object>} { code, stdout, stderr }
+ */
+async function run(args, env = {}, stdin = { isTTY: true }) {
+    let stdout = { isTTY: false, text: "", write(chunk) { this.text += chunk; return true; } };
+    let stderr = { text: "", write(chunk) { this.text += chunk; return true; } };
+    let cli = new CLI({
+        stdin: stdin,
+        stdout: stdout,
+        stderr: stderr,
+        cwd: FIXTURES_DIR,
+        env: Object.assign({ PATH: "" }, env)
+    });
+    let code = await cli.run(args);
+    return { code: code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe("Cli", () => {
+    let tempDir;
+
+    before(() => {
+        tempDir = FS.mkdtempSync(PATH.join(OS.tmpdir(), "tfreview-test-"));
+    });
+
+    after(() => {
+        FS.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("exits 0 when there are no changes", async () => {
+        let planFile = PATH.join(tempDir, "no-changes.json");
+        FS.writeFileSync(planFile, JSON.stringify({
+            format_version: "1.2",
+            resource_changes: [{ address: "aws_sns_topic.a", mode: "managed", type: "aws_sns_topic", name: "a", change: { actions: ["no-op"], before: { name: "a" }, after: { name: "a" } } }]
+        }));
+        let result = await run([planFile]);
+        ASSERT.strictEqual(result.code, 0, result.stderr);
+    });
+
+    it("exits 2 on changes", async () => {
+        let result = await run(["unknown-merges.json"]);
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.match(result.stdout, /Plan: 1 to add, 2 to change, 0 to destroy\./);
+    });
+
+    it("exits 3 on changes that destroy", async () => {
+        let result = await run(["actions.json", "--format=json"]);
+        ASSERT.strictEqual(result.code, 3, result.stderr);
+        ASSERT.strictEqual(JSON.parse(result.stdout).changeCount.delete, 4);
+    });
+
+    it("exits 4 on findings at or above the --fail-on severity", async () => {
+        let result = await run(["risk.json", "--fail-on=high"]);
+        ASSERT.strictEqual(result.code, 4);
+        ASSERT.match(result.stderr, /Failing: risk findings at or above severity high/);
+    });
+
+    it("bases the exit code and --fail-on on the whole plan, not the filtered view", async () => {
+        let excluded = await run(["actions.json", "--exclude=*"]);
+        ASSERT.strictEqual(excluded.code, 3, excluded.stderr);
+
+        let created = await run(["actions.json", "--action=create"]);
+        ASSERT.strictEqual(created.code, 3, created.stderr);
+
+        let risky = await run(["risk.json", "--fail-on=high", "--exclude=*"]);
+        ASSERT.strictEqual(risky.code, 4);
+    });
+
+    it("checks --fail-on with --signoff and --compare too", async () => {
+        let signoff = await run(["risk.json", "--fail-on=high", "--signoff", `--session=${PATH.join(tempDir, "risk.review.json")}`]);
+        ASSERT.strictEqual(signoff.code, 4);
+
+        let compare = await run(["risk.json", "--fail-on=high", "--compare=risk.json"]);
+        ASSERT.strictEqual(compare.code, 4);
+    });
+
+    it("signs off on every change in the plan, whatever the filters", async () => {
+        let result = await run(["actions.json", "--signoff", "--exclude=*", `--session=${PATH.join(tempDir, "actions.review.json")}`]);
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.match(result.stdout, /\*\*Not signed off\.\*\*/);
+        ASSERT.match(result.stdout, /\| `aws_sns_topic\./);
+    });
+
+    it("reads a plan redirected from a file on stdin", async () => {
+        let stdin = FS.createReadStream(null, { fd: FS.openSync(PATH.join(FIXTURES_DIR, "actions.json"), "r") });
+        let result = await run(["--format=json"], {}, stdin);
+        ASSERT.strictEqual(result.code, 3, result.stderr);
+        ASSERT.strictEqual(JSON.parse(result.stdout).changeCount.delete, 4);
+    });
+
+    it("only reads stdin that isn't a pipe or file when asked to with -", { skip: process.platform === "win32" }, async () => {
+        // never ends, like a socket left open by a CI runner
+        let socket = new STREAM.PassThrough();
+        let result = await run([], {}, socket);
+        ASSERT.strictEqual(result.code, 1);
+        ASSERT.match(result.stderr, /Plan file not found: .*plan\.json/);
+
+        let devNull = FS.createReadStream(null, { fd: FS.openSync("/dev/null", "r") });
+        let empty = await run(["-"], {}, devNull);
+        ASSERT.strictEqual(empty.code, 1);
+        ASSERT.match(empty.stderr, /not valid JSON/);
+    });
+
+    it("documents --terraform and TFREVIEW_TERRAFORM in --help", async () => {
+        let result = await run(["--help"]);
+        ASSERT.strictEqual(result.code, 0);
+        ASSERT.match(result.stdout, /--terraform=<path>.*TFREVIEW_TERRAFORM/);
+    });
+
+    it("compares a plan with one reviewed before", async () => {
+        let same = await run(["actions.json", "--compare=actions.json"]);
+        ASSERT.strictEqual(same.code, 0, same.stderr);
+        ASSERT.match(same.stdout, /No differences\. Both plans make the same changes\./);
+
+        let different = await run(["risk.json", "--compare=actions.json", "--format=json"]);
+        ASSERT.strictEqual(different.code, 2, different.stderr);
+        ASSERT.strictEqual(JSON.parse(different.stdout).hasDifferences, true);
+
+        let stdin = await run(["actions.json", "--compare=-"]);
+        ASSERT.strictEqual(stdin.code, 1);
+        ASSERT.match(stdin.stderr, /The plan to compare with must be a file\./);
+    });
+
+    it("prints the dependency graph as dot or mermaid", async () => {
+        let dot = await run(["dependencies.json", "--graph=dot"]);
+        ASSERT.strictEqual(dot.code, 3, dot.stderr);
+        ASSERT.match(dot.stdout, /^digraph plan \{\n/);
+        ASSERT.ok(dot.stdout.includes("\"aws_iam_role.r\" [label=\"replace aws_iam_role.r\", color=red];"));
+
+        let mermaid = await run(["dependencies.json", "--graph=mermaid", "--exclude=aws_sns_topic.*"]);
+        ASSERT.strictEqual(mermaid.code, 3, mermaid.stderr);
+        ASSERT.match(mermaid.stdout, /^flowchart LR\n/);
+        ASSERT.ok(!mermaid.stdout.includes("aws_sns_topic.t"));
+    });
+
+    it("reviews only the drift of a refresh-only plan", async () => {
+        let result = await run(["drift.json", "--refresh-only"]);
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.match(result.stdout, /Refresh-only: 3 objects have changed outside of Terraform; no actions will be taken\./);
+    });
+
+    it("applies the suppressions and templates of the config file", async () => {
+        let planFile = PATH.join(tempDir, "config-plan.json");
+        FS.writeFileSync(planFile, JSON.stringify({
+            format_version: "1.2",
+            resource_changes: [{
+                address: "aws_iam_role_policy.p", mode: "managed", type: "aws_iam_role_policy", name: "p",
+                change: {
+                    actions: ["update"],
+                    before: { name: "p", policy: "{\"Resource\":\"arn:aws:s3:::logs\"}", tags: { build: "1" } },
+                    after: { name: "p", tags: { build: "2" } },
+                    after_unknown: { policy: true }
+                }
+            }]
+        }));
+        FS.writeFileSync(PATH.join(tempDir, "policy.json.tpl"), "{ \"Resource\": \"arn:aws:s3:::${bucket}\" }");
+        let configFile = PATH.join(tempDir, "templates.tfreviewrc.json");
+        FS.writeFileSync(configFile, JSON.stringify({
+            suppress: [{ resourceType: "aws_iam_role_policy", attribute: "tags.build", reason: "Set by CI" }],
+            templates: [{ resourceType: "aws_iam_role_policy", attribute: "policy", file: "policy.json.tpl", vars: { bucket: "logs" } }]
+        }));
+
+        let result = await run([planFile, `--config=${configFile}`]);
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.match(result.stdout, /~ policy += {2}-> \(Rendered - Predicting No Change by templatefile\)/);
+        ASSERT.match(result.stdout, /\(1 attribute line suppressed\)/);
+        ASSERT.ok(!result.stdout.includes("build"));
+
+        let missing = await run([planFile, "--config=missing.tfreviewrc.json"]);
+        ASSERT.strictEqual(missing.code, 1);
+        ASSERT.match(missing.stderr, /Config file not found: /);
+    });
+
+    it("registers the predictor modules of the config file", async () => {
+        let planFile = PATH.join(tempDir, "predictor-plan.json");
+        FS.writeFileSync(planFile, JSON.stringify({
+            format_version: "1.2",
+            resource_changes: [{
+                address: "aws_ssm_parameter.p", mode: "managed", type: "aws_ssm_parameter", name: "p",
+                change: { actions: ["update"], before: { value: "a" }, after: {}, after_unknown: { value: true } }
+            }]
+        }));
+        FS.writeFileSync(PATH.join(tempDir, "same-value.js"), [
+            `const PLAN_REVIEWER = require(${JSON.stringify(PATH.join(__dirname, "..", "lib", "PlanReviewer"))});`,
+            "module.exports = class extends PLAN_REVIEWER.Predictor {",
+            "    constructor() { super(\"same-value\"); }",
+            "    predict(context) { return context.diff.oldValue; }",
+            "    isNoChange(oldValue, predictedValue) { return oldValue === predictedValue; }",
+            "};",
+            ""
+        ].join("\n"));
+        let configFile = PATH.join(tempDir, "predictors.tfreviewrc.json");
+        FS.writeFileSync(configFile, JSON.stringify({
+            predictors: [{ module: "./same-value.js", resourceType: "aws_ssm_parameter", attribute: "value" }]
+        }));
+
+        let result = await run([planFile, `--config=${configFile}`]);
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.match(result.stdout, /Predicting No Change by same-value/);
+    });
+
+    it("colors terminal output by the flags, FORCE_COLOR and NO_COLOR", async () => {
+        let plain = await run(["actions.json"]);
+        ASSERT.ok(!plain.stdout.includes("\x1b["));
+
+        let forced = await run(["actions.json"], { FORCE_COLOR: "1" });
+        ASSERT.ok(forced.stdout.includes("\x1b[32m"));
+
+        let overridden = await run(["actions.json", "--color"], { NO_COLOR: "1", FORCE_COLOR: "0" });
+        ASSERT.ok(overridden.stdout.includes("\x1b[32m"));
+
+        let noColor = await run(["actions.json"], { NO_COLOR: "1" });
+        ASSERT.ok(!noColor.stdout.includes("\x1b["));
+    });
+
+    it("renders with a built-in theme or one from a file", async () => {
+        let colorblind = await run(["actions.json", "--color", "--theme=colorblind"]);
+        ASSERT.strictEqual(colorblind.code, 3, colorblind.stderr);
+        ASSERT.ok(colorblind.stdout.includes("\x1b[34m+"));
+
+        let themeFile = PATH.join(tempDir, "theme.json");
+        FS.writeFileSync(themeFile, JSON.stringify({ base: "colorblind", markers: { CREATE: "add" } }));
+        let custom = await run(["actions.json", "--color", `--theme=${themeFile}`]);
+        ASSERT.strictEqual(custom.code, 3, custom.stderr);
+        ASSERT.ok(custom.stdout.includes("\x1b[34madd"));
+
+        // terraform only shows reads differently from default
+        let terraform = await run(["actions.json", "--color", "--theme=terraform"]);
+        ASSERT.ok(terraform.stdout.includes("\x1b[36m<="));
+        ASSERT.ok(terraform.stdout.includes("\x1b[32m+"));
+
+        let unknown = await run(["actions.json", "--theme=neon"]);
+        ASSERT.strictEqual(unknown.code, 1);
+        ASSERT.match(unknown.stderr, /Unknown theme \[neon\]/);
+    });
+
+    it("exits 1 on errors", async () => {
+        let missing = await run(["missing.json"]);
+        ASSERT.strictEqual(missing.code, 1);
+        ASSERT.match(missing.stderr, /^Error: Plan file not found: /);
+
+        let stateFile = PATH.join(tempDir, "terraform.tfstate");
+        FS.writeFileSync(stateFile, JSON.stringify({ version: 4, lineage: "x", serial: 1, resources: [] }));
+        let state = await run([stateFile]);
+        ASSERT.strictEqual(state.code, 1);
+        ASSERT.match(state.stderr, /looks like a state file/);
+    });
+
+    it("runs terraform show -json on a binary plan", { skip: process.platform === "win32" }, async () => {
+        let planFile = PATH.join(tempDir, "plan.tfplan");
+        FS.writeFileSync(planFile, Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00]));
+        let terraform = PATH.join(tempDir, "terraform");
+        FS.writeFileSync(terraform, `#!/bin/sh\ncat "${PATH.join(FIXTURES_DIR, "unknown-merges.json")}"\n`, { mode: 0o755 });
+
+        // ahead of any terraform installed
+        let result = await run([planFile, "--format=json"], { PATH: `${tempDir}${PATH.delimiter}${process.env.PATH}` });
+        ASSERT.strictEqual(result.code, 2, result.stderr);
+        ASSERT.strictEqual(JSON.parse(result.stdout).terraformVersion, "1.7.5");
+
+        let missing = await run([planFile]);
+        ASSERT.strictEqual(missing.code, 1);
+        ASSERT.match(missing.stderr, /terraform was not found on PATH/);
+    });
+});
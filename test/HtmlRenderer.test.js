@@ -0,0 +1,68 @@
+"use strict";
+
+const ASSERT = require("assert");
+const { describe, it } = require("node:test");
+
+const HTML_RENDERER = require("../lib/renderers/HtmlRenderer");
+
+describe("HtmlRenderer", () => {
+    let renderer = new HTML_RENDERER();
+
+    describe("getLineDiff", () => {
+        it("lines up unchanged lines and pairs the changed ones", () => {
+            let rows = renderer.getLineDiff(["a", "b", "c"], ["a", "x", "c", "d"]);
+            ASSERT.deepStrictEqual(rows, [
+                { before: "a", after: "a", changed: false },
+                { before: "b", after: "x", changed: true },
+                { before: "c", after: "c", changed: false },
+                { before: undefined, after: "d", changed: true }
+            ]);
+        });
+
+        it("lines up very large values by line number", () => {
+            let before = Array.from({ length: 600 }, (value, i) => `${i}`);
+            let after = before.slice(1);
+            let rows = renderer.getLineDiff(before, after);
+            ASSERT.strictEqual(rows.length, 600);
+            ASSERT.deepStrictEqual(rows[599], { before: "599", after: undefined, changed: true });
+        });
+    });
+
+    describe("getValueText", () => {
+        it("pretty prints JSON held in strings and leaves other strings as they are", () => {
+            ASSERT.strictEqual(renderer.getValueText("{\"a\":1}"), "{\n  \"a\": 1\n}");
+            ASSERT.strictEqual(renderer.getValueText("{not json"), "{not json");
+            ASSERT.strictEqual(renderer.getValueText(renderer.KNOWN_AFTER_APPLY), null);
+        });
+    });
+
+    describe("render", () => {
+        it("escapes values and refers to nothing outside the page", () => {
+            let html = renderer.render({
+                formatVersion: "1.2",
+                terraformVersion: null,
+                resources: [{
+                    address: "aws_instance.a",
+                    moduleAddress: null,
+                    changes: ["update"],
+                    description: "aws_instance.a will be updated in-place",
+                    notes: [],
+                    suppressed: [],
+                    attributes: [{ name: "user_data", change: "update", oldValue: "<script>", newValue: "</script>", prediction: null, jsonDiff: null, nestedDiff: null, explanation: null }]
+                }],
+                changeCount: { read: 0, create: 0, update: 1, delete: 0, import: 0, forget: 0, unknown: 0 },
+                findings: [],
+                findingCount: { low: 0, medium: 0, high: 0, critical: 0 },
+                outputs: [],
+                outputChangeCount: { create: 0, update: 0, delete: 0 },
+                drift: [],
+                driftCount: { update: 0, delete: 0, relevant: 0 },
+                refreshOnly: false,
+                hasChanges: true
+            });
+            ASSERT.ok(html.includes("&quot;&lt;script&gt;&quot;"));
+            ASSERT.strictEqual((html.match(/<script>/g) || []).length, 1);
+            ASSERT.ok(!/(src|href)="(?!#)/.test(html));
+        });
+    });
+});
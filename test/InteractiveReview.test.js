@@ -0,0 +1,159 @@
+"use strict";
+
+const ASSERT = require("assert");
+const FS = require("fs");
+const OS = require("os");
+const PATH = require("path");
+const STREAM = require("stream");
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+const INTERACTIVE_REVIEW = require("../lib/InteractiveReview");
+const PLAN_REVIEWER = require("../lib/PlanReviewer");
+const REVIEW_SESSION = require("../lib/ReviewSession");
+
+const FIXTURES_DIR = PATH.join(__dirname, "fixtures");
+
+/**
+ * Types text into the prompt and submits it
+ *
+ * @param {InteractiveReview} interactive
+ * @param {string} text
+ */
+function type(interactive, text) {
+    text.split("").forEach((character) => interactive.handleKey(character, { name: character }));
+    interactive.handleKey(undefined, { name: "return" });
+}
+
+describe("InteractiveReview", () => {
+    let reviewer = new PLAN_REVIEWER();
+    let review = reviewer.review(JSON.parse(FS.readFileSync(PATH.join(FIXTURES_DIR, "actions.json"), "utf8")));
+    let renderer = reviewer.getRenderer("terminal", { color: false });
+    let tempDir;
+    let session;
+    let interactive;
+
+    before(() => {
+        tempDir = FS.mkdtempSync(PATH.join(OS.tmpdir(), "tfreview-interactive-"));
+    });
+
+    after(() => {
+        FS.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        let file = PATH.join(tempDir, "plan.json.review.json");
+        FS.rmSync(file, { force: true });
+        session = new REVIEW_SESSION(file, "hash-1");
+        interactive = new INTERACTIVE_REVIEW(review, session, renderer, { reviewer: "alex", rows: 12 });
+    });
+
+    it("shows a resource collapsed until it's expanded", () => {
+        let screen = interactive.getScreen();
+        ASSERT.match(screen, /^Resource 1 of 13   0 reviewed, 0 flagged, 13 to go\n/);
+        ASSERT.ok(screen.includes("(4 attribute changes; enter to expand)"));
+        ASSERT.ok(screen.includes("Status: not reviewed"));
+        ASSERT.strictEqual(screen.split("\n").length, 12);
+
+        interactive.handleKey(undefined, { name: "return" });
+        screen = interactive.getScreen();
+        ASSERT.ok(!screen.includes("enter to expand"));
+        ASSERT.match(screen, /\+ name +\= "alerts"/);
+    });
+
+    it("scrolls a long resource within the screen", () => {
+        interactive.handleKey(undefined, { name: "return" });
+        let first = interactive.getBodyLines()[0];
+        interactive.handleKey(undefined, { name: "down" });
+        ASSERT.strictEqual(interactive.scroll, 1);
+        ASSERT.ok(!interactive.getScreen().includes(first));
+        interactive.handleKey(undefined, { name: "up" });
+        interactive.handleKey(undefined, { name: "up" });
+        ASSERT.strictEqual(interactive.scroll, 0);
+    });
+
+    it("marks a resource reviewed and moves on", () => {
+        interactive.handleKey("r", { name: "r" });
+        ASSERT.strictEqual(interactive.position, 1);
+        ASSERT.strictEqual(session.getMark(review.resources[0]).status, "reviewed");
+        ASSERT.strictEqual(session.getMark(review.resources[0]).reviewer, "alex");
+        ASSERT.match(interactive.getScreen(), /^Resource 2 of 13   1 reviewed, 0 flagged, 12 to go\n/);
+    });
+
+    it("flags a resource with the comment typed", () => {
+        interactive.handleKey("f", { name: "f" });
+        ASSERT.ok(interactive.getScreen().includes("Flag comment (enter to save, esc to cancel): _"));
+        type(interactive, "too big");
+        ASSERT.strictEqual(session.getMark(review.resources[0]).status, "flagged");
+        ASSERT.ok(interactive.getScreen().includes("Status: flagged - too big"));
+
+        // escape leaves the comment as it was
+        interactive.handleKey("c", { name: "c" });
+        interactive.handleKey("x", { name: "x" });
+        interactive.handleKey(undefined, { name: "escape" });
+        ASSERT.strictEqual(session.getMark(review.resources[0]).comment, "too big");
+        ASSERT.strictEqual(interactive.prompt, null);
+    });
+
+    it("moves between resources and to the next one not reviewed", () => {
+        interactive.handleKey(undefined, { name: "left" });
+        ASSERT.strictEqual(interactive.position, 0);
+        interactive.handleKey("l", { name: "l" });
+        interactive.handleKey("r", { name: "r" });
+        interactive.handleKey(undefined, { name: "left" });
+        interactive.handleKey(undefined, { name: "left" });
+        interactive.handleKey("r", { name: "r" });
+        ASSERT.strictEqual(interactive.position, 1);
+        interactive.handleKey("n", { name: "n" });
+        ASSERT.strictEqual(interactive.position, 2);
+    });
+
+    it("clears a mark, and saves on quit", () => {
+        interactive.handleKey("r", { name: "r" });
+        interactive.handleKey(undefined, { name: "left" });
+        interactive.handleKey("x", { name: "x" });
+        ASSERT.strictEqual(session.getMark(review.resources[0]), null);
+        interactive.handleKey("r", { name: "r" });
+        interactive.handleKey("q", { name: "q" });
+        ASSERT.strictEqual(interactive.done, true);
+        ASSERT.strictEqual(new REVIEW_SESSION(session.file, "hash-1").getMark(review.resources[0]).status, "reviewed");
+    });
+
+    it("stays in the review when the session can't be saved", () => {
+        session.save = () => {
+            throw new Error("EROFS: read-only file system");
+        };
+        interactive.handleKey("r", { name: "r" });
+        interactive.handleKey("s", { name: "s" });
+        ASSERT.ok(interactive.getScreen().includes("Not saved: EROFS: read-only file system; press ctrl-c to quit without saving"));
+        interactive.handleKey("q", { name: "q" });
+        ASSERT.strictEqual(interactive.done, false);
+        ASSERT.strictEqual(session.getMark(review.resources[0]).status, "reviewed");
+
+        interactive.handleKey(undefined, { name: "c", ctrl: true });
+        ASSERT.strictEqual(interactive.done, true);
+    });
+
+    it("restores the terminal and rejects when a key fails", async () => {
+        let input = new STREAM.PassThrough();
+        let rawModes = [];
+        input.setRawMode = (mode) => rawModes.push(mode);
+        let output = { rows: 12, write() { return true; } };
+        let running = interactive.run(input, output);
+        interactive.handleKey = () => {
+            throw new Error("broken key");
+        };
+        input.emit("keypress", "r", { name: "r" });
+        await ASSERT.rejects(running, /broken key/);
+        ASSERT.deepStrictEqual(rawModes, [true, false]);
+        ASSERT.strictEqual(input.listenerCount("keypress"), 0);
+    });
+
+    it("has nothing to step through without resource changes", () => {
+        let empty = new INTERACTIVE_REVIEW(Object.assign({}, review, { resources: [] }), session, renderer);
+        ASSERT.strictEqual(empty.getScreen(), "No resource changes to review.\n\n[q] quit\n");
+        empty.handleKey("r", { name: "r" });
+        ASSERT.strictEqual(empty.done, false);
+        empty.handleKey("q", { name: "q" });
+        ASSERT.strictEqual(empty.done, true);
+    });
+});
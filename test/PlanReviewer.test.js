@@ -0,0 +1,165 @@
+"use strict";
+
+const ASSERT = require("assert");
+const FS = require("fs");
+const OS = require("os");
+const PATH = require("path");
+const { describe, it } = require("node:test");
+
+const CONSTANTS = require("../lib/Constants");
+const PLAN_REVIEWER = require("../lib/PlanReviewer");
+
+const UNKNOWN = CONSTANTS.KNOWN_AFTER_APPLY;
+const MANAGED = { mode: "managed", type: "aws_instance" };
+
+describe("PlanReviewer", () => {
+    let reviewer = new PLAN_REVIEWER();
+
+    describe("mergeUnknown", () => {
+        it("replaces a value that is unknown as a whole", () => {
+            ASSERT.strictEqual(reviewer.mergeUnknown("a", true), UNKNOWN);
+            ASSERT.strictEqual(reviewer.mergeUnknown(undefined, true), UNKNOWN);
+        });
+
+        it("keeps known values where nothing is unknown", () => {
+            ASSERT.strictEqual(reviewer.mergeUnknown("a", false), "a");
+            ASSERT.deepStrictEqual(reviewer.mergeUnknown({ a: 1 }, {}), { a: 1 });
+        });
+
+        it("marks the unknown keys of an object", () => {
+            ASSERT.deepStrictEqual(reviewer.mergeUnknown({ a: 1 }, { b: true }), { a: 1, b: UNKNOWN });
+        });
+
+        it("merges arrays item by item, including items only after_unknown has", () => {
+            ASSERT.deepStrictEqual(reviewer.mergeUnknown(["a", null], [false, true]), ["a", UNKNOWN]);
+            ASSERT.deepStrictEqual(reviewer.mergeUnknown([{ a: 1 }], [{ b: true }, { c: true }]), [{ a: 1, b: UNKNOWN }, { c: UNKNOWN }]);
+        });
+
+        it("builds the shape of the unknown value when nothing is known", () => {
+            ASSERT.deepStrictEqual(reviewer.mergeUnknown(undefined, [{ variables: { A: true } }]), [{ variables: { A: UNKNOWN } }]);
+        });
+
+        it("leaves the known value as it is", () => {
+            let known = { a: { b: 1 } };
+            reviewer.mergeUnknown(known, { a: { c: true } });
+            ASSERT.deepStrictEqual(known, { a: { b: 1 } });
+        });
+    });
+
+    describe("getAttributeDiffs", () => {
+        it("combines the keys of before, after and after_unknown", () => {
+            let diffs = reviewer.getAttributeDiffs({ b: 2 }, { a: 1 }, { c: true }, MANAGED);
+            ASSERT.deepStrictEqual(diffs, {
+                a: { oldValue: 1, newValue: null },
+                b: { oldValue: null, newValue: 2 },
+                c: { oldValue: null, newValue: UNKNOWN }
+            });
+        });
+
+        it("treats empty after_unknown objects as nothing unknown", () => {
+            let diffs = reviewer.getAttributeDiffs({ tags: { a: "1" } }, null, { tags: {} }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.tags.newValue, { a: "1" });
+        });
+
+        it("keeps the items of a list whose after_unknown is empty", () => {
+            let diffs = reviewer.getAttributeDiffs({ layers: ["x", "y"] }, null, { layers: [] }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.layers.newValue, ["x", "y"]);
+        });
+
+        it("merges unknown attributes of objects in a list", () => {
+            let diffs = reviewer.getAttributeDiffs(
+                { ebs: [{ size: 20 }, { size: 50 }] },
+                { ebs: [{ size: 20, id: "vol-1" }] },
+                { ebs: [{ id: true }, { id: true }] },
+                MANAGED
+            );
+            ASSERT.deepStrictEqual(diffs.ebs.newValue, [{ size: 20, id: UNKNOWN }, { size: 50, id: UNKNOWN }]);
+        });
+
+        it("takes over list items that are unknown as a whole and keeps those that aren't", () => {
+            let diffs = reviewer.getAttributeDiffs({ groups: ["sg-1", null] }, null, { groups: [false, true] }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.groups.newValue, ["sg-1", UNKNOWN]);
+        });
+
+        it("merges unknown keys into a known object", () => {
+            let diffs = reviewer.getAttributeDiffs({ tags: { Name: "a" } }, null, { tags: { Build: true } }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.tags.newValue, { Name: "a", Build: UNKNOWN });
+        });
+
+        it("builds the value from after_unknown when after has none", () => {
+            let diffs = reviewer.getAttributeDiffs({ network: null }, null, { network: [{ subnets: [true], groups: true }] }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.network.newValue, [{ subnets: [UNKNOWN], groups: UNKNOWN }]);
+        });
+
+        it("leaves a value whose after_unknown has another type as planned, with a warning", () => {
+            let diffs = reviewer.getAttributeDiffs({ port: 80 }, null, { port: [true] }, MANAGED);
+            ASSERT.deepStrictEqual(diffs.port, { oldValue: null, newValue: 80, warning: "(after_unknown of port doesn't match the type of its value; shown as planned)" });
+        });
+
+        it("ignores the id and rendered value of template_file data sources", () => {
+            let diffs = reviewer.getAttributeDiffs({ template: "t" }, null, { id: true, rendered: true }, { mode: "data", type: "template_file" });
+            ASSERT.deepStrictEqual(Object.keys(diffs), ["template"]);
+        });
+    });
+
+    describe("registerConfiguredPredictors", () => {
+        it("requires the attribute a template renders", () => {
+            ASSERT.throws(() => new PLAN_REVIEWER({ templates: [{ resourceType: "aws_iam_role_policy", file: "policy.json.tpl" }] }), /templates\[0\] requires an attribute\./);
+        });
+    });
+
+    describe("process", () => {
+        it("writes uncolored output to a file", async () => {
+            let tempDir = FS.mkdtempSync(PATH.join(OS.tmpdir(), "tfreview-process-"));
+            let forceColor = process.env.FORCE_COLOR;
+            delete process.env.FORCE_COLOR;
+            try {
+                let out = PATH.join(tempDir, "review.txt");
+                await reviewer.process(PATH.join(__dirname, "fixtures", "actions.json"), { out: out });
+                let output = FS.readFileSync(out, "utf8");
+                ASSERT.match(output, /aws_sns_topic\.alerts will be created/);
+                ASSERT.ok(!output.includes("\x1b["));
+            }
+            finally {
+                if(forceColor !== undefined) process.env.FORCE_COLOR = forceColor;
+                FS.rmSync(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("review", () => {
+        it("counts the changes of a plan", () => {
+            let review = reviewer.review({
+                format_version: "1.2",
+                resource_changes: [
+                    { address: "aws_sns_topic.a", mode: "managed", type: "aws_sns_topic", name: "a", change: { actions: ["create"], before: null, after: { name: "a" } } },
+                    { address: "aws_sns_topic.b", mode: "managed", type: "aws_sns_topic", name: "b", change: { actions: ["no-op"], before: { name: "b" }, after: { name: "b" } } }
+                ]
+            });
+            ASSERT.strictEqual(review.resources.length, 1);
+            ASSERT.strictEqual(review.changeCount.create, 1);
+            ASSERT.strictEqual(review.hasChanges, true);
+        });
+
+        it("notes after_unknown it can't merge on the resource rather than printing it", () => {
+            let log = console.log;
+            let printed = [];
+            console.log = (text) => printed.push(text);
+            let review;
+            try {
+                review = reviewer.review({
+                    format_version: "1.2",
+                    resource_changes: [
+                        { address: "aws_lb_listener.a", mode: "managed", type: "aws_lb_listener", name: "a", change: { actions: ["update"], before: { port: 80 }, after: { port: 443 }, after_unknown: { port: [true] } } }
+                    ]
+                });
+            }
+            finally {
+                console.log = log;
+            }
+            ASSERT.deepStrictEqual(printed, []);
+            ASSERT.deepStrictEqual(review.resources[0].notes, ["(after_unknown of port doesn't match the type of its value; shown as planned)"]);
+            ASSERT.strictEqual(review.resources[0].attributes[0].newValue, 443);
+        });
+    });
+});
@@ -0,0 +1,23 @@
+"use strict";
+
+const ASSERT = require("assert");
+const { describe, it } = require("node:test");
+
+const PREDICTOR = require("../lib/predictors/Predictor");
+
+describe("Predictor", () => {
+    let predictor = new PREDICTOR("test");
+
+    describe("isNoChange", () => {
+        it("compares JSON encoded strings by content", () => {
+            ASSERT.strictEqual(predictor.isNoChange("{\"a\":1,\"b\":2}", "{ \"b\": 2, \"a\": 1 }"), true);
+            ASSERT.strictEqual(predictor.isNoChange("{\"a\":1}", "{\"a\":2}"), false);
+        });
+
+        it("compares values that aren't strings as they are instead of parsing them", () => {
+            ASSERT.strictEqual(predictor.isNoChange(["a"], ["a"]), true);
+            ASSERT.strictEqual(predictor.isNoChange(80, 443), false);
+            ASSERT.strictEqual(predictor.isNoChange("80", 80), false);
+        });
+    });
+});
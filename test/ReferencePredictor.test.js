@@ -0,0 +1,40 @@
+"use strict";
+
+const ASSERT = require("assert");
+const { describe, it } = require("node:test");
+
+const REFERENCE_PREDICTOR = require("../lib/predictors/ReferencePredictor");
+
+/**
+ * @param {string[]} references
+ * @param {*} oldValue
+ * @returns {object} context of a root module attribute set from var.name
+ */
+function getContext(references, oldValue) {
+    return {
+        diff: { oldValue: oldValue },
+        expression: { references: references },
+        moduleName: "root_module",
+        fullJson: { variables: { name: { value: "app" } } },
+        getPlannedResource: () => null
+    };
+}
+
+describe("ReferencePredictor", () => {
+    let predictor = new REFERENCE_PREDICTOR();
+
+    it("predicts the referenced value when it matches the old one", () => {
+        ASSERT.strictEqual(predictor.predict(getContext(["var.name"], "app")), "app");
+    });
+
+    it("makes no prediction when the value differs, as it may be interpolated or passed through a function", () => {
+        ASSERT.strictEqual(predictor.predict(getContext(["var.name"], "arn:aws:s3:::app/*")), null);
+        ASSERT.strictEqual(predictor.predict(getContext(["var.name"], "APP")), null);
+    });
+
+    it("makes no prediction for expressions with several references, even when all are known", () => {
+        let context = getContext(["var.name", "var.stage"], "app-prod");
+        context.fullJson.variables.stage = { value: "prod" };
+        ASSERT.strictEqual(predictor.predict(context), null);
+    });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+const ASSERT = require("assert");
+const FS = require("fs");
+const OS = require("os");
+const PATH = require("path");
+const { describe, it, before, after } = require("node:test");
+
+const REVIEW_SESSION = require("../lib/ReviewSession");
+
+const RESOURCES = [
+    { address: "aws_sns_topic.a", deposed: null, changes: ["create"] },
+    { address: "aws_sns_topic.b", deposed: null, changes: ["delete"] }
+];
+
+describe("ReviewSession", () => {
+    let tempDir;
+
+    before(() => {
+        tempDir = FS.mkdtempSync(PATH.join(OS.tmpdir(), "tfreview-session-"));
+    });
+
+    after(() => {
+        FS.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("saves the marks of a plan and loads them for the same plan only", () => {
+        let file = PATH.join(tempDir, "save.review.json");
+        let session = new REVIEW_SESSION(file, "hash-1");
+        session.mark(RESOURCES[0], "reviewed", "looks fine", "alex");
+        session.save();
+
+        let reopened = new REVIEW_SESSION(file, "hash-1");
+        ASSERT.strictEqual(reopened.getMark(RESOURCES[0]).status, "reviewed");
+        ASSERT.strictEqual(reopened.getMark(RESOURCES[0]).comment, "looks fine");
+        ASSERT.strictEqual(reopened.getMark(RESOURCES[0]).reviewer, "alex");
+
+        let regenerated = new REVIEW_SESSION(file, "hash-2");
+        ASSERT.strictEqual(regenerated.getMark(RESOURCES[0]), null);
+        regenerated.save();
+        ASSERT.deepStrictEqual(Object.keys(JSON.parse(FS.readFileSync(file, "utf8")).sessions), ["hash-1", "hash-2"]);
+    });
+
+    it("rejects session files it can't read", () => {
+        let file = PATH.join(tempDir, "broken.review.json");
+        FS.writeFileSync(file, "{");
+        ASSERT.throws(() => new REVIEW_SESSION(file, "hash-1"), /is not valid JSON/);
+        FS.writeFileSync(file, "{}");
+        ASSERT.throws(() => new REVIEW_SESSION(file, "hash-1"), /has no sessions/);
+    });
+
+    it("keeps the comment when marking and the status when commenting", () => {
+        let session = new REVIEW_SESSION(PATH.join(tempDir, "comment.review.json"), "hash-1");
+        session.comment(RESOURCES[0], "check the name");
+        ASSERT.strictEqual(session.getMark(RESOURCES[0]).status, null);
+        session.mark(RESOURCES[0], "flagged");
+        ASSERT.strictEqual(session.getMark(RESOURCES[0]).comment, "check the name");
+        session.comment(RESOURCES[0], "renamed");
+        ASSERT.strictEqual(session.getMark(RESOURCES[0]).status, "flagged");
+        ASSERT.throws(() => session.mark(RESOURCES[0], "approved"), /Unknown review status \[approved\]/);
+    });
+
+    it("signs off only when every change is reviewed and none is flagged", () => {
+        let session = new REVIEW_SESSION(PATH.join(tempDir, "signoff.review.json"), "hash-1");
+        session.mark(RESOURCES[0], "reviewed");
+        ASSERT.strictEqual(session.isSignedOff(RESOURCES), false);
+        session.mark(RESOURCES[1], "flagged", "why | delete?");
+        ASSERT.strictEqual(session.isSignedOff(RESOURCES), false);
+        ASSERT.deepStrictEqual(session.getCounts(RESOURCES), { reviewed: 1, flagged: 1, pending: 0 });
+
+        let report = session.getReport({ terraformVersion: "1.9.0", resources: RESOURCES });
+        ASSERT.match(report, /^## Terraform Plan Sign-off\n\nPlan `hash-1` \(Terraform 1\.9\.0\): 1 reviewed, 1 flagged, 0 not reviewed\.\n\n\*\*Not signed off\.\*\*/);
+        ASSERT.ok(report.includes("| `aws_sns_topic.b` | delete | **flagged** |  | why \\| delete? |"));
+
+        session.mark(RESOURCES[1], "reviewed");
+        ASSERT.strictEqual(session.isSignedOff(RESOURCES), true);
+        session.clear(RESOURCES[1]);
+        ASSERT.strictEqual(session.isSignedOff(RESOURCES), false);
+    });
+
+    it("keeps deposed objects apart from the current one", () => {
+        let session = new REVIEW_SESSION(PATH.join(tempDir, "deposed.review.json"), "hash-1");
+        let deposed = Object.assign({}, RESOURCES[0], { deposed: "00000001" });
+        session.mark(deposed, "reviewed");
+        ASSERT.strictEqual(session.getKey(deposed), "aws_sns_topic.a (deposed object 00000001)");
+        ASSERT.strictEqual(session.getMark(RESOURCES[0]), null);
+    });
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+const ASSERT = require("assert");
+const { describe, it } = require("node:test");
+
+const CONSTANTS = require("../lib/Constants");
+const SUPPRESSION_RULES = require("../lib/SuppressionRules");
+
+const UNKNOWN = CONSTANTS.KNOWN_AFTER_APPLY;
+
+describe("SuppressionRules", () => {
+    describe("apply", () => {
+        it("removes suppressed list items without leaving holes", () => {
+            let rules = new SUPPRESSION_RULES([{ resourceType: "aws_instance", attribute: "security_groups.*", when: "known-after-apply" }], false);
+            let result = rules.apply("aws_instance", "security_groups", {
+                oldValue: ["sg-1", "sg-2", "sg-3"],
+                newValue: [UNKNOWN, "sg-2", UNKNOWN]
+            });
+            ASSERT.deepStrictEqual(result.diff, { oldValue: ["sg-2"], newValue: ["sg-2"] });
+            ASSERT.deepStrictEqual(result.suppressed.map((suppression) => suppression.path), ["security_groups[0]", "security_groups[2]"]);
+        });
+
+        it("keeps the other items of a list in place", () => {
+            let rules = new SUPPRESSION_RULES([{ resourceType: "aws_instance", attribute: "disks.cache", when: "always" }], false);
+            let result = rules.apply("aws_instance", "disks", {
+                oldValue: [{ size: 1, cache: "a" }, { size: 2 }],
+                newValue: [{ size: 1, cache: "b" }, { size: 3 }]
+            });
+            ASSERT.deepStrictEqual(result.diff, { oldValue: [{ size: 1 }, { size: 2 }], newValue: [{ size: 1 }, { size: 3 }] });
+        });
+
+        it("only counts the leaves that would have been shown", () => {
+            let rules = new SUPPRESSION_RULES([{ resourceType: "azurerm_*", attribute: "tags.*", when: "unchanged" }], false);
+            let result = rules.apply("azurerm_resource_group", "tags", {
+                oldValue: { owner: "a", stage: "dev" },
+                newValue: { owner: "a", stage: "prod" }
+            });
+            ASSERT.deepStrictEqual(result.diff, { oldValue: { stage: "dev" }, newValue: { stage: "prod" } });
+            ASSERT.strictEqual(result.suppressed.length, 0);
+        });
+    });
+});
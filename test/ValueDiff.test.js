@@ -0,0 +1,38 @@
+"use strict";
+
+const ASSERT = require("assert");
+const { describe, it } = require("node:test");
+
+const VALUE_DIFF = require("../lib/ValueDiff");
+
+describe("ValueDiff", () => {
+    let valueDiff = new VALUE_DIFF();
+
+    describe("getCommonItems", () => {
+        it("aligns equal items around insertions and removals", () => {
+            ASSERT.deepStrictEqual(valueDiff.getCommonItems(["a", "b", "c", "d"], ["x", "a", "c", "d", "y"]), [[0, 1], [2, 2], [3, 3]]);
+            ASSERT.deepStrictEqual(valueDiff.getCommonItems([{ a: 1 }, { b: 2 }], [{ b: 2 }]), [[1, 0]]);
+        });
+
+        it("aligns the common prefix and suffix of long lists without a table", () => {
+            let oldList = Array.from({ length: 2000 }, (value, i) => ({ name: `item-${i}` }));
+            let newList = oldList.slice(0, 1000).concat([{ name: "new" }], oldList.slice(1000));
+            let pairs = valueDiff.getCommonItems(oldList, newList);
+            ASSERT.strictEqual(pairs.length, 2000);
+            ASSERT.deepStrictEqual(pairs[1000], [1000, 1001]);
+        });
+
+        it("aligns what's in between by index when it's too large", () => {
+            let oldList = Array.from({ length: 2000 }, (value, i) => `old-${i}`);
+            let newList = ["first"].concat(Array.from({ length: 2000 }, (value, i) => `new-${i}`), ["last"]);
+            oldList = ["first"].concat(oldList, ["last"]);
+            ASSERT.deepStrictEqual(valueDiff.getCommonItems(oldList, newList), [[0, 0], [2001, 2001]]);
+        });
+    });
+
+    describe("diff", () => {
+        it("reports an item inserted at the front as one addition", () => {
+            ASSERT.deepStrictEqual(valueDiff.diff(["b", "c"], ["a", "b", "c"]), [{ path: "[0]", change: "create", oldValue: null, newValue: "a" }]);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+/**
+ * Scrubs a real plan JSON so it can be contributed as a test fixture.
+ *  Every run of letters or digits in the plan's strings, and in the names
+ *  of its outputs, variables and module calls, is replaced by a pseudonym
+ *  of the same length and character classes.  The same word always gets
+ *  the same pseudonym, so addresses, references, template vars and the
+ *  JSON held in strings still line up and the plan reviews the same way.
+ *  Structure is kept: resource types, attribute and JSON key names,
+ *  actions, versions, booleans, small numbers and words of one or two
+ *  characters, plus a list of common vocabulary.  Look the result over
+ *  before contributing it.
+ *
+ *  node test/anonymizePlan.js <plan.json> [--seed=<text>] [--keep=<word,...>] > test/fixtures/<name>.json
+ */
+
+const CRYPTO = require("crypto");
+const FS = require("fs");
+
+// values of these keys are kept as they are
+const KEPT_FIELDS = ["format_version", "terraform_version", "type", "mode", "provider_name", "actions", "action_reason", "schema_version"];
+// keys of these objects are names from the configuration, scrubbed like values
+const NAMED_MAPS = ["output_changes", "outputs", "variables", "module_calls", "provider_config"];
+const KEEP_WORDS = [
+    "true", "false", "null",
+    "module", "data", "var", "local", "each", "count", "path", "self", "terraform", "key", "value",
+    "arn", "aws", "amazonaws", "com", "http", "https", "www",
+    "Allow", "Deny", "Effect", "Action", "NotAction", "Resource", "NotResource", "Principal", "Service", "Federated",
+    "Statement", "Version", "Sid", "Condition", "root",
+    "tcp", "udp", "icmp", "all", "ingress", "egress",
+    "east", "west", "north", "south", "central",
+    "nano", "micro", "small", "medium", "large", "xlarge", "metal"
+];
+// digit runs this short are sizes, ports and versions rather than identifiers
+const MAX_KEPT_DIGITS = 4;
+
+/**
+ * @param {object} plan parsed plan JSON
+ * @param {object} [options]
+ * @param {string} [options.seed] makes the pseudonyms reproducible; random otherwise
+ * @param {string[]} [options.keep] more words to keep
+ * @returns {object} anonymized copy of the plan
+ */
+function anonymizePlan(plan, options = {}) {
+    let seed = (options.seed === undefined) ? CRYPTO.randomBytes(16).toString("hex") : options.seed;
+    let keep = new Set(KEEP_WORDS.concat(options.keep || []));
+    collectKeptWords(plan, keep);
+
+    let pseudonyms = new Map();
+    let taken = new Set();
+    let scrubWord = (word) => {
+        if(word.length <= 2 || keep.has(word) || (/^\d+$/.test(word) && word.length <= MAX_KEPT_DIGITS)) return word;
+        if(!pseudonyms.has(word)) {
+            let pseudonym;
+            for(let attempt=0; pseudonym === undefined || taken.has(pseudonym) || keep.has(pseudonym); attempt++) {
+                pseudonym = getPseudonym(word, `${seed}:${attempt}`);
+            }
+            pseudonyms.set(word, pseudonym);
+            taken.add(pseudonym);
+        }
+        return pseudonyms.get(word);
+    };
+    let scrubText = (text) => text.replace(/[A-Za-z]+|[0-9]+/g, scrubWord);
+
+    let scrub = (value, key) => {
+        if(typeof value === "string") return (KEPT_FIELDS.includes(key)) ? value : scrubText(value);
+        if(typeof value === "number") {
+            // identifiers such as account numbers can be numbers too; scrub them like their digits
+            return (Number.isInteger(value) && value >= 0 && String(value).length > MAX_KEPT_DIGITS) ? Number(scrubWord(String(value))) : value;
+        }
+        if(Array.isArray(value)) return value.map((item) => scrub(item, key));
+        if(value === null || typeof value !== "object") return value;
+        let result = {};
+        Object.keys(value).forEach((name) => {
+            let scrubbedName = (NAMED_MAPS.includes(key)) ? scrubText(name) : name;
+            result[scrubbedName] = scrub(value[name], name);
+        });
+        return result;
+    };
+    return scrub(plan, null);
+}
+
+/**
+ * Adds the words that are part of the plan's structure to the kept words:
+ *  object keys, also those of JSON held in strings, and resource types
+ *
+ * @param {*} value
+ * @param {Set} keep
+ * @param {string} [key]
+ */
+function collectKeptWords(value, keep, key = null) {
+    let addWords = (text) => (text.match(/[A-Za-z]+|[0-9]+/g) || []).forEach((word) => keep.add(word));
+    if(typeof value === "string") {
+        if(key === "type") addWords(value);
+        let trimmed = value.trim();
+        if(trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            try {
+                collectKeptWords(JSON.parse(trimmed), keep);
+            }
+            catch(error) {
+                // not JSON after all
+            }
+        }
+        return;
+    }
+    if(Array.isArray(value)) return value.forEach((item) => collectKeptWords(item, keep, key));
+    if(value === null || typeof value !== "object") return;
+    Object.keys(value).forEach((name) => {
+        if(!NAMED_MAPS.includes(key)) addWords(name);
+        collectKeptWords(value[name], keep, name);
+    });
+}
+
+/**
+ * @param {string} word
+ * @param {string} seed
+ * @returns {string} pseudonym with the same length and character classes
+ */
+function getPseudonym(word, seed) {
+    let bytes = Buffer.alloc(0);
+    for(let i=0; bytes.length < word.length; i++) {
+        bytes = Buffer.concat([bytes, CRYPTO.createHmac("sha256", seed).update(`${word}:${i}`).digest()]);
+    }
+    return word.split("").map((c, i) => {
+        if(c >= "a" && c <= "z") return String.fromCharCode(97 + bytes[i] % 26);
+        if(c >= "A" && c <= "Z") return String.fromCharCode(65 + bytes[i] % 26);
+        // no leading zero, so numbers stay numbers
+        if(i === 0 && c !== "0") return String(1 + bytes[i] % 9);
+        return String(bytes[i] % 10);
+    }).join("");
+}
+
+module.exports = anonymizePlan;
+
+if(require.main === module) {
+    let file = null;
+    let options = { keep: [] };
+    process.argv.slice(2).forEach((arg) => {
+        if(arg.startsWith("--seed=")) options.seed = arg.substring("--seed=".length);
+        else if(arg.startsWith("--keep=")) options.keep = options.keep.concat(arg.substring("--keep=".length).split(",").filter((word) => word.length > 0));
+        else file = arg;
+    });
+    if(file === null) {
+        process.stderr.write("Usage: node test/anonymizePlan.js <plan.json> [--seed=<text>] [--keep=<word,...>] > test/fixtures/<name>.json\n");
+        process.exit(1);
+    }
+    let plan;
+    try {
+        plan = JSON.parse(FS.readFileSync(file, "utf8"));
+    }
+    catch(error) {
+        process.stderr.write(`Can't read plan JSON from ${file}: ${error.message}\n`);
+        process.exit(1);
+    }
+    process.stdout.write(`${JSON.stringify(anonymizePlan(plan, options), null, 2)}\n`);
+}
@@ -0,0 +1,115 @@
+"use strict";
+
+const ASSERT = require("assert");
+const CHILD_PROCESS = require("child_process");
+const FS = require("fs");
+const PATH = require("path");
+const { describe, it } = require("node:test");
+
+const PLAN_REVIEWER = require("../lib/PlanReviewer");
+const ANONYMIZE_PLAN = require("./anonymizePlan");
+
+const FIXTURES_DIR = PATH.join(__dirname, "fixtures");
+
+let readFixture = (name) => JSON.parse(FS.readFileSync(PATH.join(FIXTURES_DIR, `${name}.json`), "utf8"));
+
+/**
+ * The parts of a review that don't depend on names
+ *
+ * @param {object} review
+ * @returns {object}
+ */
+function getShape(review) {
+    return {
+        changeCount: review.changeCount,
+        outputChangeCount: review.outputChangeCount,
+        driftCount: review.driftCount,
+        resources: review.resources.map((resource) => ({
+            type: resource.type,
+            actions: resource.actions,
+            replace: resource.replace,
+            attributes: resource.attributes.map((attribute) => ({
+                name: attribute.name,
+                change: attribute.change,
+                sensitive: attribute.sensitive,
+                forcesReplacement: attribute.forcesReplacement,
+                noChange: (attribute.prediction) ? attribute.prediction.noChange : undefined
+            }))
+        }))
+    };
+}
+
+describe("anonymizePlan", () => {
+    let plan = {
+        format_version: "1.2",
+        resource_changes: [{
+            address: "module.payments.aws_s3_bucket.invoices",
+            module_address: "module.payments",
+            mode: "managed",
+            type: "aws_s3_bucket",
+            name: "invoices",
+            change: {
+                actions: ["update"],
+                before: { bucket: "acme-invoices", policy: "{\"Statement\":[{\"Principal\":{\"AWS\":\"arn:aws:iam::123456789012:root\"}}]}" },
+                after: { bucket: "acme-invoices-eu", policy: "{\"Statement\":[{\"Principal\":{\"AWS\":\"arn:aws:iam::123456789012:root\"}}]}" },
+                after_unknown: {}
+            }
+        }],
+        output_changes: {
+            acme_bucket: { actions: ["create"], before: null, after: "acme-invoices", after_unknown: false }
+        }
+    };
+
+    it("replaces names consistently and keeps the structure", () => {
+        let anonymized = ANONYMIZE_PLAN(plan, { seed: "test" });
+        let text = JSON.stringify(anonymized);
+        ["acme", "invoices", "payments", "123456789012"].forEach((word) => ASSERT.ok(!text.includes(word), `${word} is left in`));
+
+        let resource = anonymized.resource_changes[0];
+        ASSERT.strictEqual(resource.type, "aws_s3_bucket");
+        ASSERT.deepStrictEqual(resource.change.actions, ["update"]);
+        ASSERT.deepStrictEqual(Object.keys(resource.change.before), ["bucket", "policy"]);
+        ASSERT.strictEqual(resource.address, `${resource.module_address}.aws_s3_bucket.${resource.name}`);
+        ASSERT.ok(resource.change.after.bucket.startsWith(resource.change.before.bucket));
+        // JSON in strings stays JSON, with its keys
+        ASSERT.match(JSON.parse(resource.change.before.policy).Statement[0].Principal.AWS, /^arn:aws:[a-z]{3}::[1-9]\d{11}:root$/);
+        ASSERT.strictEqual(Object.keys(anonymized.output_changes)[0].length, "acme_bucket".length);
+        ASSERT.notStrictEqual(Object.keys(anonymized.output_changes)[0], "acme_bucket");
+    });
+
+    it("gives the same pseudonyms for the same seed", () => {
+        ASSERT.deepStrictEqual(ANONYMIZE_PLAN(plan, { seed: "a" }), ANONYMIZE_PLAN(plan, { seed: "a" }));
+        ASSERT.notDeepStrictEqual(ANONYMIZE_PLAN(plan, { seed: "a" }), ANONYMIZE_PLAN(plan, { seed: "b" }));
+    });
+
+    it("keeps the words it's asked to keep", () => {
+        let anonymized = ANONYMIZE_PLAN(plan, { seed: "test", keep: ["invoices"] });
+        ASSERT.strictEqual(anonymized.resource_changes[0].name, "invoices");
+    });
+
+    it("leaves the plan passed in as it is", () => {
+        let copy = JSON.parse(JSON.stringify(plan));
+        ANONYMIZE_PLAN(plan, { seed: "test" });
+        ASSERT.deepStrictEqual(plan, copy);
+    });
+
+    FS.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith(".json")).forEach((file) => {
+        let name = PATH.basename(file, ".json");
+        it(`keeps the review of the ${name} fixture`, () => {
+            let plan = readFixture(name);
+            let expected = getShape(new PLAN_REVIEWER().review(plan));
+            let actual = getShape(new PLAN_REVIEWER().review(ANONYMIZE_PLAN(plan, { seed: "test" })));
+            ASSERT.deepStrictEqual(actual, expected);
+        });
+    });
+
+    it("runs from the command line", () => {
+        let result = CHILD_PROCESS.spawnSync(process.execPath, [PATH.join(__dirname, "anonymizePlan.js"), PATH.join(FIXTURES_DIR, "actions.json"), "--seed=test"], { encoding: "utf8" });
+        ASSERT.strictEqual(result.status, 0, result.stderr);
+        ASSERT.deepStrictEqual(JSON.parse(result.stdout), ANONYMIZE_PLAN(readFixture("actions"), { seed: "test" }));
+
+        let usage = CHILD_PROCESS.spawnSync(process.execPath, [PATH.join(__dirname, "anonymizePlan.js")], { encoding: "utf8" });
+        ASSERT.strictEqual(usage.status, 1);
+        ASSERT.match(usage.stderr, /^Usage: /);
+    });
+});
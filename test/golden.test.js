@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * Reviews every plan in test/fixtures and compares the output of each
+ *  renderer with its snapshot in test/golden.  After a deliberate change of
+ *  output, rewrite the snapshots with UPDATE_GOLDEN=1 npm test and review
+ *  their diff like any other change.
+ */
+
+const ASSERT = require("assert");
+const FS = require("fs");
+const PATH = require("path");
+const { describe, it } = require("node:test");
+
+const PLAN_REVIEWER = require("../lib/PlanReviewer");
+
+const FIXTURES_DIR = PATH.join(__dirname, "fixtures");
+const GOLDEN_DIR = PATH.join(__dirname, "golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+// snapshot extension per renderer
+const FORMATS = {
+    "terminal": "txt",
+    "markdown": "md",
+    "json": "json",
+    "html": "html"
+};
+// reviewer options and view per fixture; the others are reviewed with the defaults
+const SETTINGS = {
+    "actions": {
+        options: {
+            pricing: {
+                currency: "USD",
+                resources: {
+                    "aws_db_instance": { attribute: "instance_class", sizes: { "db.t3.micro": 12.41, "db.t3.small": 24.82 } },
+                    "aws_sns_topic": 0
+                }
+            }
+        }
+    },
+    "dependencies": { options: { explain: true }, view: { order: "dependencies" } },
+    "nested-modules": { view: { groupBy: "module" } },
+    "risk": { options: { risk: { critical: ["aws_route53_zone.*"] } } }
+};
+
+let fixtures = FS.readdirSync(FIXTURES_DIR).filter((file) => file.endsWith(".json")).map((file) => PATH.basename(file, ".json")).sort();
+
+describe("golden output", () => {
+    fixtures.forEach((fixture) => {
+        describe(fixture, () => {
+            let settings = SETTINGS[fixture] || {};
+            let json = JSON.parse(FS.readFileSync(PATH.join(FIXTURES_DIR, `${fixture}.json`), "utf8"));
+            let reviewer = new PLAN_REVIEWER(Object.assign({ baseDir: FIXTURES_DIR }, settings.options));
+            let review = reviewer.review(json, settings.view);
+
+            Object.keys(FORMATS).forEach((format) => {
+                it(`renders ${format} output`, () => {
+                    let output = reviewer.getRenderer(format, { color: false }).render(review);
+                    let goldenFile = PATH.join(GOLDEN_DIR, `${fixture}.${FORMATS[format]}`);
+                    if(UPDATE) {
+                        FS.mkdirSync(GOLDEN_DIR, { recursive: true });
+                        FS.writeFileSync(goldenFile, output);
+                        return;
+                    }
+                    ASSERT.ok(FS.existsSync(goldenFile), `No snapshot ${PATH.relative(process.cwd(), goldenFile)}; write it with UPDATE_GOLDEN=1 npm test`);
+                    ASSERT.strictEqual(output, FS.readFileSync(goldenFile, "utf8"));
+                });
+            });
+        });
+    });
+});